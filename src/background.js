@@ -1,570 +1,936 @@
-// Import polyfill for Chrome compatibility
-importScripts('browser-polyfill.min.js');
-
-// URL History Management Functions (duplicated from popup.js for background access)
-async function getExtractedUrls() {
-  const result = await browser.storage.local.get("extractedUrls");
-  return result.extractedUrls || [];
-}
-
-async function addExtractedUrl(url) {
-  const urls = await getExtractedUrls();
-  const timestamp = new Date().toISOString();
-
-  const existingIndex = urls.findIndex((item) => item.url === url);
-  if (existingIndex !== -1) {
-    urls[existingIndex].lastExtracted = timestamp;
-    urls[existingIndex].count = (urls[existingIndex].count || 1) + 1;
-  } else {
-    urls.push({
-      url: url,
-      firstExtracted: timestamp,
-      lastExtracted: timestamp,
-      count: 1,
-    });
-  }
-
-  const maxUrls = 100;
-  if (urls.length > maxUrls) {
-    urls.sort((a, b) => new Date(b.lastExtracted) - new Date(a.lastExtracted));
-    urls.splice(maxUrls);
-  }
-
-  await browser.storage.local.set({ extractedUrls: urls });
+// Import polyfill for Chrome compatibility, plus helpers shared with the popup.
+// Firefox loads the same files through "background.scripts" in its manifest.
+if (typeof importScripts === "function") {
+  importScripts(
+    "browser-polyfill.min.js",
+    "page-metadata.js",
+    "domain-rules.js",
+    "zip-writer.js",
+    "offline-assets.js",
+    "llm-providers.js",
+    "metadata-schema.js",
+    "markdown-chunks.js",
+    "prompt-templates.js",
+    "front-matter.js",
+    "obsidian-export.js",
+    "capture-pipeline.js",
+    "capture-library.js",
+    "watchlist.js"
+  );
 }
 
-// Background script for handling Gemini API calls
+// Background script for handling AI provider calls
 browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === "improveWithGemini") {
-    improveMarkdownWithGemini(
-      request.markdown,
-      request.apiKey,
-      request.images,
-      request.model
-    )
+  if (request.action === "improveWithLlm") {
+    getLlmSettings()
+      .then((llm) =>
+        improveMarkdownWithLlm(
+          request.markdown,
+          llm,
+          request.images,
+          request.context
+        )
+      )
       .then(sendResponse)
       .catch((error) => sendResponse({ error: error.message }));
     return true; // Will respond asynchronously
   } else if (request.action === "processAndDownload") {
-    // Handle background processing with Gemini and download
-    processAndDownloadWithGemini(request)
+    // Handle background processing with the AI provider and download
+    processAndDownloadEnriched(request)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  } else if (request.action === "startBatchCapture") {
+    // Runs on after the popup closes; progress is broadcast as batchProgress
+    sendResponse(startBatchCapture(request));
+  } else if (request.action === "getBatchStatus") {
+    sendResponse(batchState);
+  } else if (request.action === "cancelBatchCapture") {
+    if (batchState?.running) batchState.cancelled = true;
+    sendResponse({ success: true });
+  } else if (request.action === "downloadBundle") {
+    downloadCaptureBundle(request.captures, request.zipName)
+      .then(sendResponse)
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  } else if (request.action === "saveCaptureFile") {
+    // Popup downloads in offline assets mode need the image fetching here
+    saveCaptureFile(
+      request.filename,
+      request.content,
+      request.saveAs,
+      request.category
+    )
+      .then(sendResponse)
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  } else if (request.action === "processCapture") {
+    // Markdown converted in the page (element picker); finish it here
+    processCapture(request)
+      .then(sendResponse)
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  } else if (request.action === "checkWatchlist") {
+    // Options page "Check Now"
+    checkWatchlist()
+      .then(sendResponse)
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  } else if (request.action === "recordWatchBaseline") {
+    // Options page: a URL was just added to the watchlist
+    recordWatchBaseline(request.url)
       .then(() => sendResponse({ success: true }))
       .catch((error) => sendResponse({ error: error.message }));
     return true;
+  } else if (request.action === "testPromptTemplate") {
+    // Options page: run a template against a tab and show the raw reply
+    testPromptTemplate(request)
+      .then(sendResponse)
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
   }
 });
 
-async function improveMarkdownWithGemini(
+// Markdown longer than this is enriched in chunks, so the improved content
+// fits in the provider's output limit (8192 tokens)
+const LLM_CHUNK_MAX_CHARS = 20000;
+// Chunks of one document sent to the provider at the same time
+const LLM_CHUNK_CONCURRENCY = 2;
+
+/**
+ * Asks the configured AI provider for metadata and, depending on the
+ * enrichmentMode option, an improved version of the markdown:
+ * - "rewrite": the model's content replaces the converted markdown
+ * - "guarded": like rewrite, but a chunk keeps its original markdown when the
+ *   rewrite lost code blocks or headings
+ * - "metadata": only metadata is requested; the markdown is kept verbatim
+ * Long markdown is split at headings and enriched chunk by chunk; the chunks'
+ * metadata is merged and their content joined back in order.
+ * @param {string} markdown - The converted page
+ * @param {Object} llm - Provider settings from getLlmSettings
+ * @param {Array<{data: string, mimeType: string}>} [images] - Page images
+ * @param {{title?: string, url?: string, category?: string}} [context] - The
+ *   page, used to pick the prompt template and fill its placeholders
+ * @returns {Promise<{improvedMarkdown: Object}>} Metadata fields plus content
+ */
+async function improveMarkdownWithLlm(
   markdown,
-  apiKey,
+  llm,
   images = [],
-  model = "gemini-2.5-pro"
+  context = {}
 ) {
-  if (!apiKey) {
-    throw new Error("Gemini API key not configured");
+  const { enrichmentMode } = await browser.storage.sync.get({
+    enrichmentMode: "rewrite",
+  });
+  const template = findPromptTemplate(await getPromptTemplates(), context);
+
+  // Metadata replies are short, so only rewrites need chunking
+  const chunks =
+    enrichmentMode === "metadata"
+      ? [markdown]
+      : splitMarkdownIntoChunks(markdown, LLM_CHUNK_MAX_CHARS);
+  if (chunks.length > 1) {
+    console.log(`Enriching ${chunks.length} chunks with ${llm.label}`);
   }
 
-  // Enhanced prompt for richer metadata extraction with technologies
-  const improvePrompt = `You are a technical content analyzer. Analyze the provided content and extract metadata.
+  // Images go with the first chunk only
+  const results = await mapWithConcurrency(
+    chunks,
+    LLM_CHUNK_CONCURRENCY,
+    (chunk, index) =>
+      enrichChunk(chunk, llm, index === 0 ? images : [], {
+        isPart: chunks.length > 1,
+        mode: enrichmentMode,
+        template,
+        context,
+      })
+  );
+  const parts = results.flat();
 
-CRITICAL: You MUST format your response EXACTLY as shown below. Do not deviate from this format.
+  if (parts.every((part) => part.unprocessed)) {
+    throw new Error(
+      `${llm.label} output hit the token limit even for a single section`
+    );
+  }
+  if (parts.length === 1) {
+    return { improvedMarkdown: parts[0] };
+  }
 
-## Metadata
-Technologies: [LIST HERE - e.g., ASP.NET Core, Dapper, Entity Framework, SQL Server, PostgreSQL]
-Programming_Languages: [LIST HERE - e.g., C#, SQL, JavaScript]
-Tags: [LIST HERE - e.g., orm, database, dotnet, web-api, data-access]
-Key_Concepts: [LIST HERE - e.g., micro-orm, repository-pattern, dependency-injection]
-Code_Examples: [yes or no]
-Difficulty_Level: [beginner or intermediate or advanced]
-Summary: [Write 4-6 sentences here]
+  const merged = mergeChunkMetadata(parts);
+  merged.summary = await combineSummaries(parts, llm);
+  return { improvedMarkdown: merged };
+}
 
-## Content
-[Put the improved markdown content here]
+/**
+ * Enriches one chunk; a reply cut off at the output limit (MAX_TOKENS) is
+ * retried as two smaller chunks, and a chunk that can't be split further is
+ * kept as it was
+ * @param {Object} options - {isPart, mode}; see improveMarkdownWithLlm
+ * @returns {Promise<Array<Object>>} Metadata for the chunk's pieces, in order
+ */
+async function enrichChunk(chunk, llm, images, options) {
+  const metadata = await requestMetadata(chunk, llm, images, options);
+  if (metadata) {
+    if (options.mode === "metadata") {
+      metadata.content = chunk.trim();
+    } else if (options.mode === "guarded") {
+      const missing = findMissingStructure(chunk, metadata.content);
+      if (missing.length > 0) {
+        console.warn(
+          `${llm.label} rewrite dropped content, keeping the original:`,
+          missing
+        );
+        metadata.content = chunk.trim();
+      }
+    }
+    return [metadata];
+  }
 
-IMPORTANT RULES:
-1. For Technologies: List ALL technologies, frameworks, libraries, tools mentioned in the article (e.g., ASP.NET Core, Dapper, SQL Server, Docker, Redis, etc.)
-2. For Programming_Languages: List ONLY programming languages (C#, Python, JavaScript, SQL, etc.), NOT frameworks
-3. For Tags: Use lowercase, hyphenated terms for categorization (max 10)
-4. For Key_Concepts: List main technical concepts, patterns, or methodologies discussed (max 8)
-5. Never leave any field empty - if nothing found, write "none" 
-6. Do NOT use empty brackets []
+  const halves = splitMarkdownIntoChunks(chunk, Math.ceil(chunk.length / 2));
+  if (halves.length < 2) {
+    console.warn(`${llm.label} output was cut off, keeping a section as is`);
+    return [
+      {
+        technologies: [],
+        programmingLanguages: [],
+        tags: [],
+        keyConcepts: [],
+        codeExamples: false,
+        difficultyLevel: null,
+        summary: "",
+        content: chunk.trim(),
+        unprocessed: true,
+      },
+    ];
+  }
 
-Example for a Dapper article:
-Technologies: [Dapper, ASP.NET Core, SQL Server, .NET 6]
-Programming_Languages: [C#, SQL]
-Tags: [micro-orm, database, dotnet, performance, data-access]
-Key_Concepts: [micro-orm, query-optimization, parameterized-queries, mapping]
+  console.warn(`${llm.label} output was cut off, splitting the section`);
+  const results = [];
+  for (const [index, half] of halves.entries()) {
+    results.push(
+      ...(await enrichChunk(half, llm, index === 0 ? images : [], {
+        ...options,
+        isPart: true,
+      }))
+    );
+  }
+  return results;
+}
 
-Now analyze this content:
+/**
+ * Condenses the chunk summaries into one summary for the whole document
+ * @returns {Promise<string>} The summary; the chunk summaries run together if
+ *   the request fails
+ */
+async function combineSummaries(parts, llm) {
+  const summaries = parts.map((part) => part.summary).filter(Boolean);
+  if (summaries.length <= 1) return summaries[0] || "";
 
-${markdown}`;
+  const prompt = `The following are summaries of consecutive parts of one technical article. Combine them into a single summary of 4-6 sentences covering the whole article. Reply with the summary only.
+
+${summaries.map((summary, index) => `Part ${index + 1}: ${summary}`).join("\n\n")}`;
 
   try {
-    // Use the selected model for both text and vision tasks
-    /*
-    Available models:
-    gemini-2.5-pro
-    gemini-2.5-flash
-    gemini-2.5-flash-lite
-    */
-
-    // Prepare the content parts
-    const parts = [{ text: improvePrompt }];
-
-    // Add images if available
-    if (images.length > 0) {
-      // Add image analysis request to the prompt
-      parts[0].text = `${improvePrompt}\n\nAlso, please analyze any images found in the content and add descriptions where appropriate.`;
-
-      // Add image data
-      images.forEach((imageData) => {
-        parts.push({
-          inline_data: {
-            mime_type: imageData.mimeType,
-            data: imageData.data,
-          },
-        });
-      });
+    const { text } = await generateWithProvider(llm, prompt);
+    return text.trim() || summaries.join(" ");
+  } catch (error) {
+    console.warn("Could not combine chunk summaries:", error);
+    return summaries.join(" ");
+  }
+}
+
+/**
+ * Sends one enrichment request built from a template for a tab's page and
+ * returns the raw reply, so templates can be tried before saving. Long pages
+ * are cut to the first chunk, like the first request of a real capture.
+ * @param {Object} request - {tabId, template: {text}}
+ * @returns {Promise<{title: string, url: string, provider: string,
+ *   prompt: string, response: string, truncated: boolean}>}
+ */
+async function testPromptTemplate(request) {
+  const llm = await getLlmSettings();
+  if (!llm.ready) {
+    throw new Error(`${llm.label} is not configured`);
+  }
+
+  const tab = await browser.tabs.get(request.tabId);
+  const { pageContent, markdown } = await extractFromTab(tab);
+  const { enrichmentMode } = await browser.storage.sync.get({
+    enrichmentMode: "rewrite",
+  });
+
+  const chunks = splitMarkdownIntoChunks(markdown, LLM_CHUNK_MAX_CHARS);
+  const context = {
+    title: pageContent.title,
+    url: tab.url,
+    category: detectCategory(pageContent.title, tab.url),
+  };
+  const prompt = buildEnrichmentPrompt(chunks[0], {
+    isPart: chunks.length > 1,
+    mode: enrichmentMode,
+    template: request.template,
+    context,
+    hasImages: false,
+  });
+
+  const schema =
+    enrichmentMode === "metadata" ? METADATA_ONLY_SCHEMA : METADATA_SCHEMA;
+  const { text, truncated } = await generateWithProvider(llm, prompt, [], {
+    responseSchema: schema,
+  });
+
+  return {
+    title: context.title,
+    url: context.url,
+    provider: `${llm.label} (${llm.model})`,
+    prompt,
+    response: text,
+    truncated,
+  };
+}
+
+/**
+ * Runs an async function over items with at most `limit` calls in flight
+ * @returns {Promise<Array>} Results in the order of items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
     }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
+
+// What each reply field should hold; {{fields}} in prompt templates
+const METADATA_FIELD_GUIDE = {
+  technologies:
+    "ALL technologies, frameworks, libraries and tools mentioned in the article (e.g., ASP.NET Core, Dapper, SQL Server, Docker, Redis)",
+  programmingLanguages:
+    "ONLY programming languages (C#, Python, JavaScript, SQL, etc.), NOT frameworks",
+  tags: "lowercase, hyphenated terms for categorization (max 10)",
+  keyConcepts:
+    "main technical concepts, patterns, or methodologies discussed (max 8)",
+  codeExamples: "true if the content contains code examples",
+  difficultyLevel: '"beginner", "intermediate" or "advanced"',
+  summary: "4-6 sentences",
+  content: "the improved markdown content",
+};
+
+/**
+ * Builds the enrichment prompt from the page's template, plus the notes that
+ * depend on the request rather than on the template
+ * @param {string} markdown - The whole page or one chunk of it
+ * @param {Object} options - {isPart, mode, template, context, hasImages};
+ *   context holds the page's title, url and category
+ * @returns {string} The prompt
+ */
+function buildEnrichmentPrompt(markdown, options) {
+  const { isPart, mode, template, context = {}, hasImages } = options;
+  const rewrite = mode !== "metadata";
+
+  const fields = Object.entries(METADATA_FIELD_GUIDE)
+    .filter(([name]) => rewrite || name !== "content")
+    .map(([name, guide]) => `- ${name}: ${guide}`)
+    .join("\n");
+
+  let prompt = renderPromptTemplate(
+    (template || DEFAULT_PROMPT_TEMPLATE).text,
+    {
+      markdown,
+      fields,
+      title: context.title || "",
+      url: context.url || "",
+      category: context.category || "",
+    }
+  );
+
+  if (mode === "guarded") {
+    prompt +=
+      "\n\nKeep every heading and every code block of the content; never shorten or paraphrase code.";
+  }
+  // Ask for image descriptions when the page's images are sent along
+  if (hasImages && rewrite) {
+    prompt +=
+      "\n\nAlso, please analyze any images found in the content and add descriptions where appropriate.";
+  }
+  if (isPart) {
+    prompt +=
+      "\n\nThe content is one part of a longer article: improve only this part, don't add an introduction or conclusion, and summarize only this part.";
+  }
+  return prompt;
+}
+
+/**
+ * Requests metadata and improved content for one piece of markdown. The
+ * reply is requested as JSON in METADATA_SCHEMA's shape and validated; an
+ * invalid reply gets one repair attempt before falling back to the old text
+ * parser.
+ * @param {string} markdown - The whole page or one chunk of it
+ * @param {Object} llm - Provider settings from getLlmSettings
+ * @param {Array<{data: string, mimeType: string}>} images - Page images
+ * @param {Object} options - {isPart, mode, template, context}; isPart marks a
+ *   chunk of a longer page, mode "metadata" leaves content out of the request
+ * @returns {Promise<Object|null>} Metadata fields plus content, or null when
+ *   the reply was cut off at the output token limit
+ */
+async function requestMetadata(markdown, llm, images, options) {
+  const rewrite = options.mode !== "metadata";
+
+  try {
+    const prompt = buildEnrichmentPrompt(markdown, {
+      ...options,
+      hasImages: images.length > 0,
+    });
+    const schema = rewrite ? METADATA_SCHEMA : METADATA_ONLY_SCHEMA;
+    const generation = { responseSchema: schema };
+
+    let { text: reply, truncated } = await generateWithProvider(
+      llm,
+      prompt,
+      images,
+      generation
+    );
+    // A reply cut off at the output limit can't be repaired, only shortened
+    if (truncated) return null;
+
+    // Debug logging
+    console.log(`===== ${llm.label.toUpperCase()} RESPONSE START =====`);
+    console.log(
+      `Full ${llm.label} response (first 1000 chars):`,
+      reply.substring(0, 1000)
+    );
+    console.log(`===== ${llm.label.toUpperCase()} RESPONSE END =====`);
+
+    let { metadata, errors } = parseMetadataReply(reply, schema);
+
+    if (!metadata) {
+      console.warn(`${llm.label} reply failed validation, retrying:`, errors);
+      const repairPrompt = `${prompt}
+
+Your previous reply could not be used:
+${errors.map((error) => `- ${error}`).join("\n")}
+
+Start of the previous reply:
+${reply.substring(0, 2000)}
+
+Return the corrected JSON object only.`;
+      ({ text: reply, truncated } = await generateWithProvider(
+        llm,
+        repairPrompt,
+        [],
+        generation
+      ));
+      if (truncated) return null;
+      ({ metadata, errors } = parseMetadataReply(reply, schema));
+    }
+
+    if (metadata) {
+      return metadata;
+    }
+
+    // Last resort for models that ignore JSON mode and answer in plain text
+    const parsed = reply.trim().startsWith("{")
+      ? null
+      : parseMetadataText(reply);
+    if (!parsed) {
+      throw new Error(
+        `${llm.label} returned invalid metadata: ${errors.join("; ")}`
+      );
+    }
+    console.warn(`${llm.label} reply was not JSON, used the text parser`);
+    return parsed;
+  } catch (error) {
+    console.error(`${llm.label} enrichment failed:`, error);
+    throw error;
+  }
+}
 
-    const response = await generateContentWithBackoff(model, apiKey, parts);
-
-    // const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`, {
-    //   method: 'POST',
-    //   headers: {
-    //     'Content-Type': 'application/json',
-    //   },
-    //   body: JSON.stringify({
-    //     contents: [{
-    //       parts: parts
-    //     }],
-    //     generationConfig: {
-    //       temperature: 0.3,
-    //       maxOutputTokens: 8192,
-    //     }
-    //   })
-    // });
-
-    if (!response.ok) {
-      const errorData = await response.text();
-      throw new Error(`Gemini API error: ${response.status} - ${errorData}`);
+/**
+ * Pulls metadata out of a free-text "## Metadata" / "## Content" reply, the
+ * layout the extension asked for before structured output
+ * @param {string} improvedContent - The model's reply
+ * @returns {Object|null} Metadata fields plus content, or null if the reply
+ *   contains none of them
+ */
+function parseMetadataText(improvedContent) {
+  // Parse the enhanced response with metadata
+  const metadataMatch = improvedContent.match(
+    /## Metadata\n([\s\S]*?)\n\n## Content/
+  );
+  const contentMatch = improvedContent.match(/## Content\n([\s\S]*)/);
+
+  let technologies = [];
+  let programmingLanguages = [];
+  let tags = [];
+  let keyConcepts = [];
+  let codeExamples = false;
+  let difficultyLevel = "intermediate";
+  let summary = "";
+
+  if (metadataMatch) {
+    const metadataText = metadataMatch[1];
+    console.log("Extracted metadata text:", metadataText);
+
+    // Extract technologies - handle both with and without spaces after colon
+    const techMatch = metadataText.match(/Technologies:\s*\[([^\]]*)\]/i);
+    if (techMatch && techMatch[1] && techMatch[1].toLowerCase() !== "none") {
+      technologies = techMatch[1]
+        .split(",")
+        .map((tech) => tech.trim())
+        .filter((tech) => tech && tech.toLowerCase() !== "none");
     }
+    console.log("Technologies found:", technologies);
 
-    const data = await response.json();
+    // Extract programming languages - handle both with and without spaces after colon
+    const langMatch = metadataText.match(
+      /Programming_Languages:\s*\[([^\]]*)\]/i
+    );
+    if (langMatch && langMatch[1] && langMatch[1].toLowerCase() !== "none") {
+      programmingLanguages = langMatch[1]
+        .split(",")
+        .map((lang) => lang.trim())
+        .filter((lang) => lang && lang.toLowerCase() !== "none");
+    }
+    console.log("Programming languages found:", programmingLanguages);
+
+    // Extract tags - handle both with and without spaces after colon
+    const tagsMatch = metadataText.match(/Tags:\s*\[([^\]]*)\]/i);
+    if (tagsMatch && tagsMatch[1] && tagsMatch[1].toLowerCase() !== "none") {
+      tags = tagsMatch[1]
+        .split(",")
+        .map((tag) => tag.trim())
+        .filter((tag) => tag && tag.toLowerCase() !== "none");
+    }
+    console.log("Tags found:", tags);
 
-    // Check if the response has the expected structure
+    // Extract key concepts - handle both with and without spaces after colon
+    const conceptsMatch = metadataText.match(/Key_Concepts:\s*\[([^\]]*)\]/i);
     if (
-      !data.candidates ||
-      !data.candidates[0] ||
-      !data.candidates[0].content ||
-      !data.candidates[0].content.parts ||
-      !data.candidates[0].content.parts[0]
+      conceptsMatch &&
+      conceptsMatch[1] &&
+      conceptsMatch[1].toLowerCase() !== "none"
     ) {
-      console.error("Unexpected Gemini API response structure:", data);
-      throw new Error("Invalid response structure from Gemini API");
+      keyConcepts = conceptsMatch[1]
+        .split(",")
+        .map((concept) => concept.trim())
+        .filter((concept) => concept && concept.toLowerCase() !== "none");
     }
+    console.log("Key concepts found:", keyConcepts);
 
-    const improvedContent = data.candidates[0].content.parts[0].text;
+    // Extract code examples flag
+    const codeMatch = metadataText.match(/Code_Examples:\s*(yes|no)/i);
+    if (codeMatch) {
+      codeExamples = codeMatch[1].toLowerCase() === "yes";
+    }
 
-    // Debug logging
-    console.log("===== GEMINI RESPONSE START =====");
-    console.log(
-      "Full Gemini response (first 1000 chars):",
-      improvedContent.substring(0, 1000)
+    // Extract difficulty level
+    const difficultyMatch = metadataText.match(
+      /Difficulty_Level:\s*(beginner|intermediate|advanced)/i
     );
-    console.log("===== GEMINI RESPONSE END =====");
+    if (difficultyMatch) {
+      difficultyLevel = difficultyMatch[1].toLowerCase();
+    }
 
-    // Parse the enhanced response with metadata
-    const metadataMatch = improvedContent.match(
-      /## Metadata\n([\s\S]*?)\n\n## Content/
+    // Extract summary
+    const summaryMatch = metadataText.match(/Summary:\s*(.*)/s);
+    if (summaryMatch) {
+      summary = summaryMatch[1].trim();
+    }
+  } else {
+    console.log(
+      "No metadata match found in response - trying fallback parsing"
     );
-    const contentMatch = improvedContent.match(/## Content\n([\s\S]*)/);
-
-    let technologies = [];
-    let programmingLanguages = [];
-    let tags = [];
-    let keyConcepts = [];
-    let codeExamples = false;
-    let difficultyLevel = "intermediate";
-    let summary = "";
-
-    if (metadataMatch) {
-      const metadataText = metadataMatch[1];
-      console.log("Extracted metadata text:", metadataText);
-
-      // Extract technologies - handle both with and without spaces after colon
-      const techMatch = metadataText.match(/Technologies:\s*\[([^\]]*)\]/i);
-      if (techMatch && techMatch[1] && techMatch[1].toLowerCase() !== "none") {
-        technologies = techMatch[1]
-          .split(",")
+    // Try alternative parsing for less structured responses
+    // Look for individual fields even without the ## Metadata header
+    const fullText = improvedContent;
+
+    // Try to find technologies mentioned anywhere - more flexible patterns
+    const techPatterns = [
+      /Technologies?:?\s*\[([^\]]*)\]/i,
+      /Technologies?:?\s*([^\n]+)/i,
+    ];
+    for (const pattern of techPatterns) {
+      const match = fullText.match(pattern);
+      if (match && match[1] && match[1].toLowerCase() !== "none") {
+        const items = match[1].includes("[")
+          ? match[1].replace(/[\[\]]/g, "").split(",")
+          : match[1].split(",");
+        technologies = items
           .map((tech) => tech.trim())
           .filter((tech) => tech && tech.toLowerCase() !== "none");
+        if (technologies.length > 0) break;
       }
-      console.log("Technologies found:", technologies);
+    }
 
-      // Extract programming languages - handle both with and without spaces after colon
-      const langMatch = metadataText.match(
-        /Programming_Languages:\s*\[([^\]]*)\]/i
-      );
-      if (langMatch && langMatch[1] && langMatch[1].toLowerCase() !== "none") {
-        programmingLanguages = langMatch[1]
-          .split(",")
+    // Try to find programming languages - more flexible patterns
+    const langPatterns = [
+      /Programming[_\s]Languages?:?\s*\[([^\]]*)\]/i,
+      /Programming[_\s]Languages?:?\s*([^\n]+)/i,
+    ];
+    for (const pattern of langPatterns) {
+      const match = fullText.match(pattern);
+      if (match && match[1] && match[1].toLowerCase() !== "none") {
+        const items = match[1].includes("[")
+          ? match[1].replace(/[\[\]]/g, "").split(",")
+          : match[1].split(",");
+        programmingLanguages = items
           .map((lang) => lang.trim())
           .filter((lang) => lang && lang.toLowerCase() !== "none");
+        if (programmingLanguages.length > 0) break;
       }
-      console.log("Programming languages found:", programmingLanguages);
+    }
 
-      // Extract tags - handle both with and without spaces after colon
-      const tagsMatch = metadataText.match(/Tags:\s*\[([^\]]*)\]/i);
-      if (tagsMatch && tagsMatch[1] && tagsMatch[1].toLowerCase() !== "none") {
-        tags = tagsMatch[1]
-          .split(",")
+    // Try to find tags - more flexible patterns
+    const tagsPatterns = [/Tags?:?\s*\[([^\]]*)\]/i, /Tags?:?\s*([^\n]+)/i];
+    for (const pattern of tagsPatterns) {
+      const match = fullText.match(pattern);
+      if (match && match[1] && match[1].toLowerCase() !== "none") {
+        const items = match[1].includes("[")
+          ? match[1].replace(/[\[\]]/g, "").split(",")
+          : match[1].split(",");
+        tags = items
           .map((tag) => tag.trim())
           .filter((tag) => tag && tag.toLowerCase() !== "none");
+        if (tags.length > 0) break;
       }
-      console.log("Tags found:", tags);
-
-      // Extract key concepts - handle both with and without spaces after colon
-      const conceptsMatch = metadataText.match(/Key_Concepts:\s*\[([^\]]*)\]/i);
-      if (
-        conceptsMatch &&
-        conceptsMatch[1] &&
-        conceptsMatch[1].toLowerCase() !== "none"
-      ) {
-        keyConcepts = conceptsMatch[1]
-          .split(",")
+    }
+
+    // Try to find key concepts - more flexible patterns
+    const conceptPatterns = [
+      /Key[_\s]Concepts?:?\s*\[([^\]]*)\]/i,
+      /Key[_\s]Concepts?:?\s*([^\n]+)/i,
+    ];
+    for (const pattern of conceptPatterns) {
+      const match = fullText.match(pattern);
+      if (match && match[1] && match[1].toLowerCase() !== "none") {
+        const items = match[1].includes("[")
+          ? match[1].replace(/[\[\]]/g, "").split(",")
+          : match[1].split(",");
+        keyConcepts = items
           .map((concept) => concept.trim())
           .filter((concept) => concept && concept.toLowerCase() !== "none");
+        if (keyConcepts.length > 0) break;
       }
-      console.log("Key concepts found:", keyConcepts);
+    }
 
-      // Extract code examples flag
-      const codeMatch = metadataText.match(/Code_Examples:\s*(yes|no)/i);
-      if (codeMatch) {
-        codeExamples = codeMatch[1].toLowerCase() === "yes";
-      }
+    console.log("Fallback parsing - Technologies:", technologies);
+    console.log("Fallback parsing - Languages:", programmingLanguages);
+    console.log("Fallback parsing - Tags:", tags);
+    console.log("Fallback parsing - Key Concepts:", keyConcepts);
+  }
 
-      // Extract difficulty level
-      const difficultyMatch = metadataText.match(
-        /Difficulty_Level:\s*(beginner|intermediate|advanced)/i
-      );
-      if (difficultyMatch) {
-        difficultyLevel = difficultyMatch[1].toLowerCase();
-      }
+  // Nothing recognizable: let the caller report the validation errors
+  const found =
+    technologies.length ||
+    programmingLanguages.length ||
+    tags.length ||
+    keyConcepts.length;
+  if (!metadataMatch && !contentMatch && !found) {
+    return null;
+  }
 
-      // Extract summary
-      const summaryMatch = metadataText.match(/Summary:\s*(.*)/s);
-      if (summaryMatch) {
-        summary = summaryMatch[1].trim();
-      }
-    } else {
-      console.log(
-        "No metadata match found in response - trying fallback parsing"
-      );
-      // Try alternative parsing for less structured responses
-      // Look for individual fields even without the ## Metadata header
-      const fullText = improvedContent;
-
-      // Try to find technologies mentioned anywhere - more flexible patterns
-      const techPatterns = [
-        /Technologies?:?\s*\[([^\]]*)\]/i,
-        /Technologies?:?\s*([^\n]+)/i,
-      ];
-      for (const pattern of techPatterns) {
-        const match = fullText.match(pattern);
-        if (match && match[1] && match[1].toLowerCase() !== "none") {
-          const items = match[1].includes("[")
-            ? match[1].replace(/[\[\]]/g, "").split(",")
-            : match[1].split(",");
-          technologies = items
-            .map((tech) => tech.trim())
-            .filter((tech) => tech && tech.toLowerCase() !== "none");
-          if (technologies.length > 0) break;
-        }
-      }
+  const improvedMarkdown = contentMatch
+    ? contentMatch[1].trim()
+    : improvedContent;
+
+  // Return structured data
+  return {
+    technologies,
+    programmingLanguages,
+    tags,
+    keyConcepts,
+    codeExamples,
+    difficultyLevel,
+    summary,
+    content: improvedMarkdown,
+  };
+}
 
-      // Try to find programming languages - more flexible patterns
-      const langPatterns = [
-        /Programming[_\s]Languages?:?\s*\[([^\]]*)\]/i,
-        /Programming[_\s]Languages?:?\s*([^\n]+)/i,
-      ];
-      for (const pattern of langPatterns) {
-        const match = fullText.match(pattern);
-        if (match && match[1] && match[1].toLowerCase() !== "none") {
-          const items = match[1].includes("[")
-            ? match[1].replace(/[\[\]]/g, "").split(",")
-            : match[1].split(",");
-          programmingLanguages = items
-            .map((lang) => lang.trim())
-            .filter((lang) => lang && lang.toLowerCase() !== "none");
-          if (programmingLanguages.length > 0) break;
-        }
-      }
+/**
+ * Reads the per-image size limit from the options
+ * @returns {Promise<number>} The limit in bytes
+ */
+async function getMaxImageBytes() {
+  const { offlineImageMaxMB } = await browser.storage.sync.get({
+    offlineImageMaxMB: 5,
+  });
+  return offlineImageMaxMB * 1024 * 1024;
+}
 
-      // Try to find tags - more flexible patterns
-      const tagsPatterns = [/Tags?:?\s*\[([^\]]*)\]/i, /Tags?:?\s*([^\n]+)/i];
-      for (const pattern of tagsPatterns) {
-        const match = fullText.match(pattern);
-        if (match && match[1] && match[1].toLowerCase() !== "none") {
-          const items = match[1].includes("[")
-            ? match[1].replace(/[\[\]]/g, "").split(",")
-            : match[1].split(",");
-          tags = items
-            .map((tag) => tag.trim())
-            .filter((tag) => tag && tag.toLowerCase() !== "none");
-          if (tags.length > 0) break;
-        }
-      }
+/**
+ * Saves a capture. With the Obsidian profile enabled it goes into the vault
+ * (see saveToObsidian). In offline assets mode its images are downloaded into
+ * a folder named after the file and the Markdown points at them; both skip
+ * the Save dialog so they land next to each other in the download folder.
+ * @param {string} filename - The Markdown file name
+ * @param {string} content - The Markdown content
+ * @param {boolean} [saveAs] - Overrides the askWhereToSave option
+ * @param {string} [category] - Picks the Obsidian note folder
+ * @param {boolean} [unattended] - Not started by the user on this page
+ *   (watchlist, batch), see saveToObsidian
+ * @returns {Promise<{failedImages: Array<{url: string, reason: string}>}>}
+ */
+async function saveCaptureFile(
+  filename,
+  content,
+  saveAs,
+  category,
+  unattended
+) {
+  const obsidian = await getObsidianSettings();
+  if (obsidian.enabled) {
+    return saveToObsidian(filename, content, category, obsidian, unattended);
+  }
 
-      // Try to find key concepts - more flexible patterns
-      const conceptPatterns = [
-        /Key[_\s]Concepts?:?\s*\[([^\]]*)\]/i,
-        /Key[_\s]Concepts?:?\s*([^\n]+)/i,
-      ];
-      for (const pattern of conceptPatterns) {
-        const match = fullText.match(pattern);
-        if (match && match[1] && match[1].toLowerCase() !== "none") {
-          const items = match[1].includes("[")
-            ? match[1].replace(/[\[\]]/g, "").split(",")
-            : match[1].split(",");
-          keyConcepts = items
-            .map((concept) => concept.trim())
-            .filter((concept) => concept && concept.toLowerCase() !== "none");
-          if (keyConcepts.length > 0) break;
-        }
-      }
+  const { offlineAssets } = await browser.storage.sync.get({
+    offlineAssets: false,
+  });
+  if (!offlineAssets) {
+    await downloadMarkdownFile(filename, content, saveAs);
+    return { failedImages: [] };
+  }
 
-      console.log("Fallback parsing - Technologies:", technologies);
-      console.log("Fallback parsing - Languages:", programmingLanguages);
-      console.log("Fallback parsing - Tags:", tags);
-      console.log("Fallback parsing - Key Concepts:", keyConcepts);
-    }
+  const folder = filename.replace(/\.md$/, "");
+  const {
+    content: localContent,
+    files,
+    failed,
+  } = await localizeImages(content, folder, {
+    maxImageBytes: await getMaxImageBytes(),
+  });
+
+  for (const file of files) {
+    await downloadDataFile(file.name, file.data, file.mimeType, false);
+  }
+  await downloadMarkdownFile(filename, localContent, false);
 
-    const improvedMarkdown = contentMatch
-      ? contentMatch[1].trim()
-      : improvedContent;
-
-    // Return structured data
-    const finalMarkdown = {
-      technologies,
-      programmingLanguages,
-      tags,
-      keyConcepts,
-      codeExamples,
-      difficultyLevel,
-      summary,
-      content: improvedMarkdown,
-    };
-
-    return { improvedMarkdown: finalMarkdown };
-  } catch (error) {
-    console.error("Gemini API error:", error);
-    throw error;
+  if (failed.length > 0) {
+    console.warn(`Images not saved for ${filename}:`, failed);
   }
+  return { failedImages: failed };
 }
 
-async function generateContentWithBackoff(model, apiKey, parts) {
-  const maxRetries = 8;
-  const baseDelay = 2; // in seconds
-
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      // This is your original fetch call
-      const response = await fetch(
-        `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            contents: [
-              {
-                parts: parts,
-              },
-            ],
-            generationConfig: {
-              temperature: 0.3,
-              maxOutputTokens: 8192,
-            },
-          }),
-        }
-      );
+/**
+ * Delivers a capture into the Obsidian vault: either through an
+ * obsidian://new URI (text only), or as downloads into the vault folder with
+ * its images in the attachments folder. Image links are vault-relative paths,
+ * which Obsidian resolves from any note folder. Unattended captures are
+ * always downloaded: the URI opens in the active tab, which then belongs to
+ * whatever the user is doing.
+ * @param {string} filename - The Markdown file name
+ * @param {string} content - The Markdown content
+ * @param {string} category - Fills {category} in the note folder
+ * @param {Object} obsidian - Normalized Obsidian settings
+ * @param {boolean} [unattended] - A watchlist or batch capture
+ * @returns {Promise<{failedImages: Array<{url: string, reason: string}>}>}
+ */
+async function saveToObsidian(
+  filename,
+  content,
+  category,
+  obsidian,
+  unattended
+) {
+  const notePath = getObsidianNotePath(obsidian, category, filename);
 
-      // If the request was successful, return the result immediately
-      if (response.ok) {
-        return response;
-      }
+  if (obsidian.delivery === "uri" && !unattended) {
+    // Opening an external protocol leaves the current page where it is
+    await browser.tabs.update({
+      url: buildObsidianUri(obsidian, notePath, content),
+    });
+    return { failedImages: [] };
+  }
 
-      // If we get a 503 error, we should retry
-      if (response.status === 503) {
-        // If this was the last attempt, throw an error
-        if (attempt === maxRetries - 1) {
-          return response;
-        }
+  const inVault = (path) =>
+    obsidian.vaultFolder ? `${obsidian.vaultFolder}/${path}` : path;
+  // Encoded so folders with spaces still make valid Markdown links
+  const attachmentsLink = obsidian.attachmentsFolder
+    .split("/")
+    .map(encodeURIComponent)
+    .join("/");
+  const {
+    content: localContent,
+    files,
+    failed,
+  } = await localizeImages(content, attachmentsLink, {
+    maxImageBytes: await getMaxImageBytes(),
+  });
+
+  for (const file of files) {
+    await downloadDataFile(
+      inVault(decodeURIComponent(file.name)),
+      file.data,
+      file.mimeType,
+      false
+    );
+  }
+  // The Save dialog would let the note land outside the vault
+  await downloadMarkdownFile(inVault(notePath), localContent, false);
 
-        // Otherwise, wait and continue to the next attempt
-        const delay = baseDelay * Math.pow(2, attempt) + Math.random();
-        console.log(
-          `Model overloaded (503). Retrying in ${delay.toFixed(2)} seconds...`
-        );
-        await new Promise((resolve) => setTimeout(resolve, delay * 1000));
-        continue; // Go to the next iteration of the loop
-      }
+  if (failed.length > 0) {
+    console.warn(`Images not saved for ${notePath}:`, failed);
+  }
+  return { failedImages: failed };
+}
 
-      // For any other non-successful response, throw an error immediately
-      console.log(`Request failed with status ${response.status}`);
-      return response;
-    } catch (error) {
-      // Handle network errors or errors from the checks above
-      if (attempt === maxRetries - 1) {
-        console.error("API call failed after all retries.", error);
-        throw error; // Re-throw the final error
-      }
-      // For network errors, we can also retry
-      const delay = baseDelay * Math.pow(2, attempt) + Math.random();
-      console.log(
-        `Encountered an error. Retrying in ${delay.toFixed(2)} seconds...`,
-        error.message
-      );
-      await new Promise((resolve) => setTimeout(resolve, delay * 1000));
-    }
+/**
+ * Notification text for a saved capture, mentioning images left remote
+ * @param {string} filename - The saved file
+ * @param {Array} failedImages - Images that couldn't be fetched
+ * @returns {string} The message
+ */
+function describeSavedCapture(filename, failedImages) {
+  let message = `File "${filename}" has been downloaded successfully.`;
+  if (failedImages.length > 0) {
+    message += ` ${failedImages.length} image${
+      failedImages.length === 1 ? "" : "s"
+    } could not be saved offline (${failedImages[0].reason}).`;
   }
+  return message;
 }
 
-// Helper function to create metadata (duplicated from popup.js for background processing)
-function createMetadata(pageContent, url, category, geminiData = null) {
-  const escapeYaml = (str) => {
-    if (!str) return "";
-    if (/[:"'|>{}[\]@`!%&*]/.test(str) || str.includes("\n")) {
-      return `"${str.replace(/"/g, '\\"')}"`;
-    }
-    return str;
-  };
+/**
+ * Saves the picker's selector as the content selector of a domain rule,
+ * keeping any other fields of an existing rule for the same domain
+ * @param {{domain: string, contentSelector: string}} picked - The picked rule
+ */
+async function saveDomainRuleFromPicker(picked) {
+  const rules = await getDomainRules();
+  const existing = rules.find((rule) => rule.domain === picked.domain);
+  const rule = normalizeDomainRule({ ...existing, ...picked });
+
+  const error = validateDomainRule(rule);
+  if (error) throw new Error(error);
+
+  const updatedRules = rules.filter((item) => item.domain !== rule.domain);
+  updatedRules.push(rule);
+  updatedRules.sort((a, b) => a.domain.localeCompare(b.domain));
+  await saveDomainRules(updatedRules);
+}
 
-  const formatYamlArray = (arr) => {
-    if (!arr || arr.length === 0) return "[]";
-    return "[" + arr.map((item) => escapeYaml(item)).join(", ") + "]";
-  };
+/**
+ * Finishes a capture whose markdown was produced in the page: adds metadata,
+ * runs the AI provider if enabled, downloads the file and records the URL
+ * @param {Object} request - {pageContent, markdown, url, saveDomainRule,
+ *   forceGemini}; forceGemini enriches even when AI enrichment is off
+ * @returns {Promise<{success: boolean, queued?: boolean}>}
+ */
+async function processCapture(request) {
+  const { pageContent, markdown, url } = request;
+
+  if (request.saveDomainRule) {
+    await saveDomainRuleFromPicker(request.saveDomainRule);
+  }
 
-  const technologies = geminiData?.technologies || [];
-  const programmingLanguages = geminiData?.programmingLanguages || [];
-  const tags = geminiData?.tags || [];
-  const keyConcepts = geminiData?.keyConcepts || [];
-  const codeExamples = geminiData?.codeExamples || false;
-  const difficultyLevel = geminiData?.difficultyLevel || "unknown";
-  const summary = geminiData?.summary || "";
-
-  // Format dates
-  const publicationDate = pageContent.publicationDate || null;
-  const datePublished = publicationDate
-    ? new Date(publicationDate).toISOString()
-    : null;
-  const dateCaptured = new Date().toISOString();
-
-  return `\`\`\`yaml
----
-title: ${escapeYaml(pageContent.title)}
-source: ${url}
-date_published: ${datePublished || "unknown"}
-date_captured: ${dateCaptured}
-domain: ${new URL(url).hostname}
-author: ${escapeYaml(pageContent.author || "Unknown")}
-category: ${category}
-technologies: ${formatYamlArray(technologies)}
-programming_languages: ${formatYamlArray(programmingLanguages)}
-tags: ${formatYamlArray(tags)}
-key_concepts: ${formatYamlArray(keyConcepts)}
-code_examples: ${codeExamples}
-difficulty_level: ${difficultyLevel}
-summary: |
-  ${summary.replace(/\n/g, "\n  ")}
----
-\`\`\`
-
-# ${pageContent.title}
+  const capture = await runCapturePipeline(
+    { pageContent, markdown, url },
+    {},
+    { to: "convert" }
+  );
 
-`;
-}
+  const { useGemini } = await browser.storage.sync.get({ useGemini: false });
+  const llm = await getLlmSettings();
 
-// Process and download in background (allows popup to close)
-async function processAndDownloadWithGemini(request) {
-  const { pageContent, url, category, markdown, filename, apiKey, model } =
-    request;
+  if (request.forceGemini && !llm.ready) {
+    throw new Error(`${llm.label} is not configured`);
+  }
 
-  try {
-    // Process with Gemini
-    const result = await improveMarkdownWithGemini(
-      markdown,
-      apiKey,
-      pageContent.images || [],
-      model
-    );
+  if ((useGemini || request.forceGemini) && llm.ready) {
+    // Notifications report the outcome; don't hold the page waiting for the AI
+    processAndDownloadEnriched({ ...capture, llm }).catch(() => {
+      // Already reported through a notification
+    });
+    return { success: true, queued: true };
+  }
 
-    let finalContent;
-    if (
-      result.improvedMarkdown &&
-      typeof result.improvedMarkdown === "object"
-    ) {
-      const enrichedMetadata = createMetadata(
-        pageContent,
-        url,
-        category,
-        result.improvedMarkdown
-      );
+  await runCapturePipeline(
+    capture,
+    { deliver: saveCaptureDocument },
+    { from: "enrich" }
+  );
 
-      // Check if Gemini returned content, otherwise fallback to original markdown
-      // This handles cases where Gemini extracts metadata but fails to output the content
-      let contentToUse = result.improvedMarkdown.content;
-      if (!contentToUse || contentToUse.trim().length === 0) {
-        console.warn(
-          "Gemini returned empty content, falling back to original markdown"
-        );
-        contentToUse = markdown;
-      }
+  browser.notifications.create({
+    type: "basic",
+    iconUrl: "icons/icon48.png",
+    title: "Page Extraction Complete",
+    message: describeSavedCapture(capture.filename, capture.failedImages),
+  });
 
-      finalContent = enrichedMetadata + contentToUse;
-    } else {
-      // Fallback
-      const basicMetadata = createMetadata(pageContent, url, category);
-      finalContent = basicMetadata + markdown;
-    }
+  return { success: true, failedImages: capture.failedImages };
+}
 
-    // Convert content to base64 data URL for download
-    // Using TextEncoder for proper UTF-8 encoding instead of deprecated unescape
-    const encoder = new TextEncoder();
-    const data = encoder.encode(finalContent);
-
-    // Use a chunked approach to avoid stack overflow with String.fromCharCode(...data)
-    let binary = "";
-    const len = data.byteLength;
-    const chunkSize = 8192;
-    for (let i = 0; i < len; i += chunkSize) {
-      binary += String.fromCharCode.apply(
-        null,
-        data.subarray(i, i + chunkSize)
-      );
+/**
+ * Enrich step for the background: runs the AI provider on a capture
+ * @param {Object} capture - A converted capture; capture.llm defaults to the
+ *   configured provider
+ */
+async function enrichCaptureWithLlm(capture) {
+  capture.llm = capture.llm || (await getLlmSettings());
+
+  const result = await improveMarkdownWithLlm(
+    capture.markdown,
+    capture.llm,
+    capture.pageContent.images || [],
+    {
+      title: capture.pageContent.title,
+      url: capture.url,
+      category: capture.category,
     }
+  );
+  applyEnrichment(capture, result.improvedMarkdown, capture.llm.label);
+}
 
-    const base64Content = btoa(binary);
-    const dataUrl = `data:text/markdown;charset=utf-8;base64,${base64Content}`;
+/**
+ * Deliver step for the background: saves the document (with offline images
+ * when enabled) and records the URL
+ * @param {Object} capture - A serialized capture; capture.saveAs overrides
+ *   the askWhereToSave option, capture.unattended marks watchlist and batch
+ *   captures
+ */
+async function saveCaptureDocument(capture) {
+  const { failedImages } = await saveCaptureFile(
+    capture.filename,
+    capture.document,
+    capture.saveAs,
+    capture.category,
+    capture.unattended
+  );
+  capture.failedImages = failedImages;
+  await addExtractedUrl(capture.url);
+}
 
-    // Use Chrome downloads API to download the file
-    browser.downloads.download({
-      url: dataUrl,
-      filename: filename,
-      saveAs: true, // Changed to true to prompt user and remember the last used directory
-    });
+/**
+ * Enriches, saves and reports a converted capture in the background (so the
+ * popup can close). The popup and processCapture have run the stages up to
+ * convert already.
+ * @param {Object} request - {pageContent, url, category, markdown, filename,
+ *   llm, versionAction}; llm defaults to the configured provider, and
+ *   versionAction is the popup's choice for a re-extracted page
+ */
+async function processAndDownloadEnriched(request) {
+  const { pageContent, url, category, markdown, filename, llm, versionAction } =
+    request;
 
-    // Add URL to extracted list
-    await addExtractedUrl(url);
+  try {
+    const capture = await runCapturePipeline(
+      { pageContent, url, category, markdown, filename, llm, versionAction },
+      { enrich: enrichCaptureWithLlm, deliver: saveCaptureDocument },
+      { from: "enrich" }
+    );
 
     // Show notification that download completed
     browser.notifications.create({
       type: "basic",
       iconUrl: "icons/icon48.png",
       title: "Page Extraction Complete",
-      message: `File "${filename}" has been downloaded successfully.`,
+      message: describeSavedCapture(capture.filename, capture.failedImages),
     });
 
     // Notify popup if it's still open
@@ -572,7 +938,7 @@ async function processAndDownloadWithGemini(request) {
       .sendMessage({
         action: "processingComplete",
         success: true,
-        filename: filename,
+        filename: capture.filename,
       })
       .catch(() => {
         // Popup might be closed, ignore error
@@ -602,3 +968,804 @@ async function processAndDownloadWithGemini(request) {
     throw error;
   }
 }
+
+// Context menu capture
+// The background worker owns this pipeline so captures work without the popup.
+
+// Scripts injected into a tab so the page is converted where its DOM lives
+const PAGE_CONVERSION_SCRIPTS = [
+  "turndown.js",
+  "turndown-tables.js",
+  "markdown-converter.js",
+  "content-extractor.js",
+  "page-content.js",
+];
+
+const CONTEXT_MENU_ITEMS = [
+  { id: "save-page", title: "Save page as Markdown", contexts: ["page"] },
+  {
+    id: "save-selection",
+    title: "Save selection as Markdown",
+    contexts: ["selection"],
+  },
+  {
+    id: "save-link",
+    title: "Save linked page as Markdown",
+    contexts: ["link"],
+  },
+  { id: "copy-image", title: "Copy image as Markdown", contexts: ["image"] },
+];
+
+browser.runtime.onInstalled.addListener(async () => {
+  await browser.contextMenus.removeAll();
+  CONTEXT_MENU_ITEMS.forEach((item) => browser.contextMenus.create(item));
+});
+
+function notifyCaptureFailed(error) {
+  console.error("Capture failed:", error);
+  browser.notifications.create({
+    type: "basic",
+    iconUrl: "icons/icon48.png",
+    title: "Extraction Failed",
+    message: `Error: ${error.message}`,
+  });
+}
+
+browser.contextMenus.onClicked.addListener((info, tab) => {
+  handleContextMenuClick(info, tab).catch(notifyCaptureFailed);
+});
+
+async function handleContextMenuClick(info, tab) {
+  switch (info.menuItemId) {
+    case "save-page":
+      return capturePageInTab(tab);
+    case "save-selection":
+      return capturePageInTab(tab, { selection: true }, info.frameId);
+    case "save-link":
+      return captureLinkedPage(info.linkUrl);
+    case "copy-image":
+      return copyImageAsMarkdown(tab, info);
+  }
+}
+
+/**
+ * Extracts and converts a tab in the page itself
+ * @param {browser.tabs.Tab} tab - The tab to capture
+ * @param {Object} [captureOptions] - Passed to getPageContent ({selection})
+ * @param {number} [frameId] - Frame holding the selection (0 = top frame)
+ * @returns {Promise<{pageContent: Object, markdown: string}>}
+ */
+async function extractFromTab(tab, captureOptions = {}, frameId = 0) {
+  if (!tab?.id || !/^(https?|file):/.test(tab.url || "")) {
+    throw new Error("Cannot extract content from browser-internal pages.");
+  }
+
+  const domainRule = findDomainRule(
+    await getDomainRules(),
+    new URL(tab.url).hostname
+  );
+  const target = { tabId: tab.id, frameIds: [frameId || 0] };
+
+  await browser.scripting.executeScript({
+    target,
+    files: PAGE_CONVERSION_SCRIPTS,
+  });
+
+  const [{ result }] = await browser.scripting.executeScript({
+    target,
+    func: async (rule, options) => {
+      const pageContent = await getPageContent(rule, options);
+      const markdown = createTurndownService().turndown(pageContent.html);
+      return { pageContent, markdown };
+    },
+    args: [domainRule, captureOptions],
+  });
+
+  if (!result?.pageContent?.html) {
+    throw new Error("Could not extract content from the page.");
+  }
+
+  return result;
+}
+
+/**
+ * Captures a tab and finishes the capture (metadata, AI, download) here
+ * @param {browser.tabs.Tab} tab - The tab to capture
+ * @param {Object} [captureOptions] - Passed to getPageContent ({selection})
+ * @param {number} [frameId] - Frame holding the selection (0 = top frame)
+ * @param {Object} [processOptions] - Extra processCapture fields ({forceGemini})
+ * @returns {Promise<Object>} The processCapture result
+ */
+async function capturePageInTab(
+  tab,
+  captureOptions = {},
+  frameId = 0,
+  processOptions = {}
+) {
+  const { pageContent, markdown } = await extractFromTab(
+    tab,
+    captureOptions,
+    frameId
+  );
+  return processCapture({
+    pageContent,
+    markdown,
+    url: tab.url,
+    ...processOptions,
+  });
+}
+
+/**
+ * Fetches a linked page without opening it and captures it
+ * @param {string} linkUrl - The link target
+ * @returns {Promise<Object>} The processCapture result
+ */
+async function captureLinkedPage(linkUrl) {
+  const { origin, protocol } = new URL(linkUrl);
+  if (protocol !== "http:" && protocol !== "https:") {
+    throw new Error("Only http(s) links can be saved.");
+  }
+
+  const origins = [`${origin}/*`];
+  let granted;
+  try {
+    granted = await requestSiteAccess(origins);
+  } catch (error) {
+    granted = await browser.permissions.contains({ origins });
+  }
+  if (!granted) {
+    throw new Error(`Access to ${origin} is needed to fetch the linked page.`);
+  }
+
+  return processCapture(await fetchPageAsMarkdown(linkUrl));
+}
+
+/**
+ * Fetches a page and converts it the way a live tab would be (domain rule,
+ * content extraction, turndown); needs host access to the page
+ * @param {string} pageUrl - The page
+ * @returns {Promise<{pageContent: Object, markdown: string, url: string}>}
+ *   url is the final URL, after redirects
+ */
+async function fetchPageAsMarkdown(pageUrl) {
+  const response = await fetch(pageUrl, { credentials: "include" });
+  if (!response.ok) {
+    throw new Error(`Could not fetch ${pageUrl} (${response.status})`);
+  }
+
+  const contentType = response.headers.get("content-type") || "";
+  if (!/html|xml/i.test(contentType)) {
+    throw new Error(
+      `${pageUrl} is not a web page (${contentType || "unknown"})`
+    );
+  }
+
+  const html = await response.text();
+  const url = response.url || pageUrl;
+  const domainRule = findDomainRule(
+    await getDomainRules(),
+    new URL(url).hostname
+  );
+
+  const { pageContent, markdown } = await convertHtmlDocument(
+    html,
+    url,
+    domainRule
+  );
+  if (!pageContent?.html) {
+    throw new Error(`Could not extract content from ${url}`);
+  }
+
+  return { pageContent, markdown, url };
+}
+
+let offscreenDocumentPromise = null;
+
+// chrome.offscreen isn't wrapped by the polyfill (and doesn't exist in Firefox)
+async function ensureOffscreenDocument() {
+  if (!offscreenDocumentPromise) {
+    offscreenDocumentPromise = chrome.offscreen
+      .createDocument({
+        url: "offscreen.html",
+        reasons: ["DOM_PARSER"],
+        justification: "Parse fetched pages to convert them to Markdown",
+      })
+      .catch((error) => {
+        // A document left over from before the worker restarted is fine
+        if (!/single offscreen/i.test(error.message)) {
+          offscreenDocumentPromise = null;
+          throw error;
+        }
+      });
+  }
+  return offscreenDocumentPromise;
+}
+
+/**
+ * Converts fetched HTML, using the offscreen document when there is no DOM
+ * @param {string} html - The fetched HTML
+ * @param {string} url - The page URL
+ * @param {Object|null} domainRule - The matching domain rule
+ * @returns {Promise<{pageContent: Object, markdown: string}>}
+ */
+async function convertHtmlDocument(html, url, domainRule) {
+  // Firefox background pages have a DOM; Chrome's service worker does not
+  if (typeof DOMParser !== "undefined") {
+    return convertFetchedHtml(html, url, domainRule);
+  }
+
+  await ensureOffscreenDocument();
+  const result = await browser.runtime.sendMessage({
+    target: "offscreen",
+    action: "convertHtml",
+    html,
+    url,
+    domainRule,
+  });
+  if (!result || result.error) {
+    throw new Error(result?.error || "Offscreen conversion failed");
+  }
+  return result;
+}
+
+/**
+ * Copies a Markdown image reference for the clicked image to the clipboard
+ * @param {browser.tabs.Tab} tab - The tab holding the image
+ * @param {Object} info - The context menu click info
+ */
+async function copyImageAsMarkdown(tab, info) {
+  const target = { tabId: tab.id, frameIds: [info.frameId || 0] };
+  const [{ result: markdown }] = await browser.scripting.executeScript({
+    target,
+    func: buildImageMarkdownInPage,
+    args: [info.srcUrl],
+  });
+
+  await copyTextInTab(target, markdown);
+
+  browser.notifications.create({
+    type: "basic",
+    iconUrl: "icons/icon48.png",
+    title: "Image Markdown Copied",
+    message: markdown.slice(0, 200),
+  });
+}
+
+/**
+ * Injected into the page to read the clicked image's alt text and title
+ * @param {string} srcUrl - The image URL reported by the context menu
+ * @returns {string} The Markdown image reference
+ */
+function buildImageMarkdownInPage(srcUrl) {
+  const img = Array.from(document.images).find(
+    (image) => image.currentSrc === srcUrl || image.src === srcUrl
+  );
+  const alt = (img?.alt || "").replace(/([\[\]])/g, "\\$1");
+  const title = (img?.title || "").replace(/"/g, '\\"');
+  return `![${alt}](${srcUrl}${title ? ` "${title}"` : ""})`;
+}
+
+/**
+ * Copies text to the clipboard from inside a tab; the clipboard needs a
+ * document, which the service worker doesn't have
+ * @param {Object} target - scripting.executeScript target
+ * @param {string} text - The text to copy
+ */
+async function copyTextInTab(target, text) {
+  const [{ result: copied }] = await browser.scripting.executeScript({
+    target,
+    func: async (value) => {
+      try {
+        await navigator.clipboard.writeText(value);
+        return true;
+      } catch (error) {
+        // Fall back to execCommand when the async clipboard API is blocked
+        const textarea = document.createElement("textarea");
+        textarea.value = value;
+        textarea.style.cssText = "position: fixed; opacity: 0;";
+        document.body.appendChild(textarea);
+        textarea.select();
+        const result = document.execCommand("copy");
+        textarea.remove();
+        return result;
+      }
+    },
+    args: [text],
+  });
+
+  if (!copied) {
+    throw new Error("Could not copy to the clipboard.");
+  }
+}
+
+// Keyboard shortcut commands (declared under "commands" in the manifests)
+
+browser.commands.onCommand.addListener((command, tab) => {
+  runCommand(command, tab).catch(notifyCaptureFailed);
+});
+
+async function runCommand(command, tab) {
+  // Older Chrome versions don't pass the tab to onCommand
+  if (!tab) {
+    [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+  }
+
+  switch (command) {
+    case "capture-page":
+      return capturePageInTab(tab);
+    case "capture-selection":
+      return capturePageInTab(tab, { selection: true });
+    case "capture-with-gemini":
+      return capturePageInTab(tab, {}, 0, { forceGemini: true });
+    case "copy-markdown":
+      return copyPageMarkdown(tab);
+  }
+}
+
+/**
+ * Copies the page as Markdown (with front matter) instead of downloading it.
+ * AI enrichment is skipped: the copy has to happen while the page still has focus.
+ * @param {browser.tabs.Tab} tab - The tab to capture
+ */
+async function copyPageMarkdown(tab) {
+  const { pageContent, markdown } = await extractFromTab(tab);
+
+  await runCapturePipeline(
+    { pageContent, markdown, url: tab.url },
+    {
+      async deliver(capture) {
+        await copyTextInTab({ tabId: tab.id }, capture.document);
+        await addExtractedUrl(capture.url);
+      },
+    }
+  );
+
+  browser.notifications.create({
+    type: "basic",
+    iconUrl: "icons/icon48.png",
+    title: "Markdown Copied",
+    message: `"${pageContent.title}" was copied to the clipboard.`,
+  });
+}
+
+// Watchlist: captured pages re-fetched on a schedule (see watchlist.js)
+
+const WATCHLIST_ALARM = "watchlist";
+
+/**
+ * Creates, updates or clears the watchlist alarm to match the watchlist and
+ * the interval. An alarm that already has the right period is left alone:
+ * creating it again would restart its countdown whenever the worker wakes.
+ */
+async function scheduleWatchlistAlarm() {
+  const watchlist = await getWatchlist();
+  const existing = await browser.alarms.get(WATCHLIST_ALARM);
+  if (watchlist.length === 0) {
+    if (existing) await browser.alarms.clear(WATCHLIST_ALARM);
+    return;
+  }
+
+  const periodInMinutes = (await getWatchIntervalHours()) * 60;
+  if (existing?.periodInMinutes === periodInMinutes) return;
+  await browser.alarms.create(WATCHLIST_ALARM, {
+    delayInMinutes: periodInMinutes,
+    periodInMinutes,
+  });
+}
+
+function logScheduleError(error) {
+  console.error("Could not schedule the watchlist check:", error);
+}
+
+scheduleWatchlistAlarm().catch(logScheduleError);
+
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (
+    (areaName === "local" && changes.watchlist) ||
+    (areaName === "sync" && changes.watchIntervalHours)
+  ) {
+    scheduleWatchlistAlarm().catch(logScheduleError);
+  }
+});
+
+browser.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === WATCHLIST_ALARM) {
+    checkWatchlist().catch((error) =>
+      console.error("Watchlist check failed:", error)
+    );
+  }
+});
+
+// The check in progress, joined by alarms or "Check Now" clicks meanwhile
+let watchlistCheck = null;
+
+/**
+ * Checks every watched page, one after the other
+ * @returns {Promise<{success: boolean, changed: Array<string>,
+ *   failed: Array<string>}>} URLs that changed and URLs that failed
+ */
+function checkWatchlist() {
+  if (!watchlistCheck) {
+    watchlistCheck = runWatchlistCheck().finally(() => {
+      watchlistCheck = null;
+    });
+  }
+  return watchlistCheck;
+}
+
+async function runWatchlistCheck() {
+  const changed = [];
+  const failed = [];
+
+  for (const entry of await getWatchlist()) {
+    try {
+      if (await checkWatchedPage(entry)) changed.push(entry.url);
+    } catch (error) {
+      console.error(`Watchlist check failed for ${entry.url}:`, error);
+      failed.push(entry.url);
+      await updateWatchedUrl(entry.url, {
+        lastChecked: new Date().toISOString(),
+        lastError: error.message,
+      });
+    }
+  }
+
+  return { success: true, changed, failed };
+}
+
+/**
+ * Records the version a newly watched page has now, fetched and converted
+ * the way checks do (a live-tab capture converts differently, so its hash
+ * can't serve as the baseline)
+ * @param {string} url - The watched URL
+ * @returns {Promise<void>}
+ */
+async function recordWatchBaseline(url) {
+  const { markdown } = await fetchPageAsMarkdown(url);
+  await updateWatchedUrl(url, {
+    contentHash: await hashMarkdown(markdown),
+    lastChecked: new Date().toISOString(),
+    lastError: "",
+  });
+}
+
+/**
+ * Fetches a watched page and compares it with the version fetched last time;
+ * a change is notified, and saved when the entry has autoDownload. Without a
+ * recorded version (the baseline couldn't be fetched when the page was
+ * added) the check only records the hash.
+ * @param {Object} entry - A watchlist entry
+ * @returns {Promise<boolean>} Whether the page changed
+ */
+async function checkWatchedPage(entry) {
+  const { pageContent, markdown } = await fetchPageAsMarkdown(entry.url);
+  const contentHash = await hashMarkdown(markdown);
+  const changed =
+    Boolean(entry.contentHash) && entry.contentHash !== contentHash;
+
+  // Saved before the hash is stored, so a failed save is retried next time
+  let saved = "";
+  if (changed && entry.autoDownload) {
+    // No AI enrichment and no Save dialog in an unattended check
+    const capture = await runCapturePipeline(
+      {
+        pageContent,
+        markdown,
+        url: entry.url,
+        saveAs: false,
+        unattended: true,
+      },
+      { deliver: saveCaptureDocument },
+      { from: "clean" }
+    );
+    saved = ` Saved as ${capture.filename}.`;
+  }
+
+  const now = new Date().toISOString();
+  await updateWatchedUrl(entry.url, {
+    contentHash,
+    lastChecked: now,
+    lastError: "",
+    ...(changed && { lastChanged: now }),
+  });
+
+  if (changed) {
+    browser.notifications.create({
+      type: "basic",
+      iconUrl: "icons/icon48.png",
+      title: "Watched Page Changed",
+      message: `"${pageContent.title}" has changed since the last check.${saved}`,
+    });
+  }
+  return changed;
+}
+
+// Batch capture of a window's tabs
+
+// Pause between AI requests so a batch stays under the API rate limit
+const BATCH_LLM_INTERVAL_MS = 5000;
+
+// Progress of the current (or last) batch, read by the popup
+let batchState = null;
+
+function broadcastBatchProgress() {
+  browser.runtime
+    .sendMessage({ action: "batchProgress", state: batchState })
+    .catch(() => {
+      // Popup might be closed, ignore error
+    });
+}
+
+function updateBatchItem(item, changes) {
+  Object.assign(item, changes);
+  broadcastBatchProgress();
+}
+
+/**
+ * Starts capturing a list of tabs unless a batch is already running
+ * @param {Object} request - {tabs: Array<{id, url, title}>, skipExtracted,
+ *   useGemini, bundleZip}
+ * @returns {{success: boolean, error?: string}}
+ */
+function startBatchCapture(request) {
+  if (batchState?.running) {
+    return { success: false, error: "A batch capture is already running." };
+  }
+
+  batchState = {
+    running: true,
+    cancelled: false,
+    items: request.tabs.map((tab) => ({
+      tabId: tab.id,
+      url: tab.url,
+      title: tab.title || tab.url,
+      status: "pending",
+    })),
+  };
+
+  runBatchCapture(request).catch(notifyCaptureFailed);
+  return { success: true };
+}
+
+/**
+ * Captures every tab of the batch in turn. Files are converted in their tab
+ * and downloaded without a Save dialog, or collected into one ZIP with
+ * bundleZip; enriched captures wait in a queue that is worked through with a
+ * pause between requests.
+ * @param {Object} request - See startBatchCapture
+ */
+async function runBatchCapture(request) {
+  const { useGemini } = await browser.storage.sync.get({ useGemini: false });
+  const llm = await getLlmSettings();
+  const enrich = (request.useGemini ?? useGemini) && llm.ready;
+  const extractedUrls = request.skipExtracted
+    ? new Set((await getExtractedUrls()).map((item) => item.url))
+    : new Set();
+  const enrichQueue = [];
+  const bundle = [];
+
+  // Deliver step: saves one finished capture, or adds it to the bundle
+  const saveCapture = async (item, capture) => {
+    if (request.bundleZip) {
+      // Recorded in the library once the ZIP is downloaded
+      capture.awaitingBundle = true;
+      bundle.push({
+        filename: capture.filename,
+        content: capture.document,
+        title: capture.pageContent.title,
+        url: capture.url,
+        category: capture.category,
+        capture,
+      });
+      updateBatchItem(item, { status: "done", message: "Added to the ZIP" });
+      return;
+    }
+    await saveCaptureDocument(capture);
+    updateBatchItem(item, {
+      status: "done",
+      message: capture.failedImages.length
+        ? `${capture.filename} (${capture.failedImages.length} images left online)`
+        : capture.filename,
+    });
+  };
+
+  for (const item of batchState.items) {
+    if (batchState.cancelled) break;
+
+    if (extractedUrls.has(item.url)) {
+      updateBatchItem(item, {
+        status: "skipped",
+        message: "Already extracted",
+      });
+      continue;
+    }
+
+    updateBatchItem(item, { status: "running" });
+    try {
+      const tab = await browser.tabs.get(item.tabId);
+      if (tab.discarded) {
+        throw new Error("Tab is unloaded; open it once and retry.");
+      }
+
+      const { pageContent, markdown } = await extractFromTab(tab);
+      const capture = await runCapturePipeline(
+        // Batch files skip the Save dialog
+        {
+          pageContent,
+          markdown,
+          url: tab.url,
+          saveAs: false,
+          unattended: true,
+        },
+        {},
+        { to: "convert" }
+      );
+
+      if (enrich) {
+        enrichQueue.push({ item, capture });
+        updateBatchItem(item, {
+          status: "queued",
+          message: `Waiting for ${llm.label}`,
+        });
+        continue;
+      }
+
+      await runCapturePipeline(
+        capture,
+        { deliver: (finished) => saveCapture(item, finished) },
+        { from: "enrich" }
+      );
+    } catch (error) {
+      console.error(`Batch capture failed for ${item.url}:`, error);
+      updateBatchItem(item, { status: "error", message: error.message });
+    }
+  }
+
+  for (const [index, { item, capture }] of enrichQueue.entries()) {
+    if (batchState.cancelled) break;
+    if (index > 0) {
+      await new Promise((resolve) =>
+        setTimeout(resolve, BATCH_LLM_INTERVAL_MS)
+      );
+    }
+
+    updateBatchItem(item, { status: "running", message: llm.label });
+    try {
+      await runCapturePipeline(
+        { ...capture, llm },
+        {
+          enrich: enrichCaptureWithLlm,
+          deliver: (finished) => saveCapture(item, finished),
+        },
+        { from: "enrich" }
+      );
+    } catch (error) {
+      console.error(`${llm.label} failed for ${item.url}:`, error);
+      updateBatchItem(item, { status: "error", message: error.message });
+    }
+  }
+
+  for (const item of batchState.items) {
+    if (item.status === "pending" || item.status === "queued") {
+      item.status = "skipped";
+      item.message = "Cancelled";
+    }
+  }
+
+  if (bundle.length > 0) {
+    try {
+      const date = new Date().toISOString().slice(0, 10);
+      await downloadCaptureBundle(bundle, `captures_${date}.zip`, false);
+      for (const { filename, capture } of bundle) {
+        await recordCaptureInLibrary({
+          ...capture,
+          filename,
+          awaitingBundle: false,
+        });
+      }
+    } catch (error) {
+      console.error("Could not build the ZIP bundle:", error);
+      for (const item of batchState.items) {
+        if (item.status === "done") {
+          item.status = "error";
+          item.message = `ZIP failed: ${error.message}`;
+        }
+      }
+    }
+  }
+
+  batchState.running = false;
+  broadcastBatchProgress();
+
+  const count = (status) =>
+    batchState.items.filter((item) => item.status === status).length;
+  browser.notifications.create({
+    type: "basic",
+    iconUrl: "icons/icon48.png",
+    title: "Batch Capture Complete",
+    message: `${count("done")} saved, ${count("skipped")} skipped, ${count(
+      "error"
+    )} failed.`,
+  });
+}
+
+// ZIP bundles: Markdown files, their images and an index in one download
+
+/**
+ * Builds the README.md index listing every capture in a bundle
+ * @param {Array<Object>} captures - {filename, title, url, category}
+ * @returns {string} The index Markdown
+ */
+function createBundleIndex(captures) {
+  const escapeCell = (text) =>
+    String(text || "")
+      .replace(/\|/g, "\\|")
+      .replace(/([\[\]])/g, "\\$1");
+
+  const rows = captures.map(
+    (capture) =>
+      `| [${escapeCell(capture.title)}](${capture.filename}) | ${escapeCell(
+        capture.category
+      )} | <${capture.url}> |`
+  );
+
+  return `# Captured Pages
+
+${captures.length} page${captures.length === 1 ? "" : "s"} captured on ${new Date()
+    .toISOString()
+    .slice(0, 10)}.
+
+| Title | Category | Source |
+| --- | --- | --- |
+${rows.join("\n")}
+`;
+}
+
+/**
+ * Packs captures, their images and an index into one ZIP and downloads it
+ * @param {Array<Object>} captures - {filename, content, title, url, category}
+ * @param {string} zipName - The archive file name
+ * @param {boolean} [saveAs] - Overrides the askWhereToSave option
+ * @returns {Promise<{success: boolean, filename: string,
+ *   failedImages: Array<{url: string, reason: string}>}>}
+ */
+async function downloadCaptureBundle(captures, zipName, saveAs) {
+  const files = [];
+  const failedImages = [];
+  const usedNames = new Set();
+
+  for (const capture of captures) {
+    // Same title captured twice on the same day: keep both
+    let filename = capture.filename;
+    for (let n = 2; usedNames.has(filename); n++) {
+      filename = capture.filename.replace(/\.md$/, `_${n}.md`);
+    }
+    usedNames.add(filename);
+    capture.filename = filename;
+
+    const folder = `images/${filename.replace(/\.md$/, "")}`;
+    const {
+      content,
+      files: images,
+      failed,
+    } = await localizeImages(capture.content, folder, {
+      maxImageBytes: await getMaxImageBytes(),
+    });
+    files.push({ name: filename, data: content }, ...images);
+    failedImages.push(...failed);
+  }
+
+  files.unshift({ name: "README.md", data: createBundleIndex(captures) });
+
+  await downloadDataFile(
+    zipName,
+    createZipArchive(files),
+    "application/zip",
+    saveAs
+  );
+  for (const capture of captures) {
+    await addExtractedUrl(capture.url);
+  }
+
+  return { success: true, filename: zipName, failedImages };
+}
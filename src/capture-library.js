@@ -0,0 +1,336 @@
+/**
+ * The capture library: the last capture of every URL, kept in IndexedDB
+ * (the "captureLibrary" database, shared by the background worker, the popup
+ * and the library page) so it can be searched, copied or downloaded again
+ * later. An entry:
+ * {
+ *   id: 12,                            // assigned by IndexedDB
+ *   url, domain, title, category, filename,
+ *   captureMode: "page",               // or "selection" / "element"
+ *   tags: ["orm"], summary: "...",     // from the AI metadata, if any
+ *   markdown: "...",                   // the body, searched by the library
+ *   document: "---\n...",              // the file as saved
+ *   sourceMarkdown: "...",             // the converted page, before the AI
+ *   contentHash: "9f86d0...",          // SHA-256 of sourceMarkdown
+ *   capturedAt: "2024-03-05T12:00:00.000Z",
+ *   versions: [{capturedAt, contentHash, title, filename, document,
+ *               sourceMarkdown}]      // earlier captures, newest first
+ * }
+ * Re-extracting a URL compares the page with sourceMarkdown. The capture's
+ * versionAction decides what happens to the entry: "new-version" moves the
+ * current capture into versions, "overwrite" replaces it, and "skip" leaves
+ * the library alone. Without one, unchanged pages overwrite and changed
+ * pages get a new version. Selection and element captures only hold part of
+ * the page, so each gets an entry of its own, outside the page's versions.
+ * Captures with awaitingBundle set are only queued for a batch ZIP; they are
+ * recorded once the ZIP is downloaded.
+ *
+ * Loading this file adds a deliver hook to the capture pipeline, so it must
+ * come after capture-pipeline.js.
+ */
+
+const CAPTURE_LIBRARY_DB = "captureLibrary";
+const CAPTURE_LIBRARY_STORE = "captures";
+const CAPTURE_LIBRARY_VERSION = 1;
+
+// Earlier versions kept per URL
+const LIBRARY_MAX_VERSIONS = 10;
+
+let captureLibraryDb = null;
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} The request's result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Opens (and on first use creates) the library database
+ * @returns {Promise<IDBDatabase>} The database, opened once per page
+ */
+function openCaptureLibrary() {
+  if (!captureLibraryDb) {
+    const request = indexedDB.open(CAPTURE_LIBRARY_DB, CAPTURE_LIBRARY_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(CAPTURE_LIBRARY_STORE, {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      store.createIndex("url", "url");
+      store.createIndex("capturedAt", "capturedAt");
+    };
+    captureLibraryDb = promisifyRequest(request).catch((error) => {
+      // Let the next call try again
+      captureLibraryDb = null;
+      throw error;
+    });
+  }
+  return captureLibraryDb;
+}
+
+/**
+ * Runs one request against the library's object store
+ * @param {"readonly"|"readwrite"} mode - The transaction mode
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest - Builds the
+ *   request
+ * @returns {Promise<*>} The request's result, once the transaction is done
+ */
+async function withLibraryStore(mode, makeRequest) {
+  const db = await openCaptureLibrary();
+  const transaction = db.transaction(CAPTURE_LIBRARY_STORE, mode);
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const [result] = await Promise.all([
+    promisifyRequest(
+      makeRequest(transaction.objectStore(CAPTURE_LIBRARY_STORE))
+    ),
+    done,
+  ]);
+  return result;
+}
+
+/**
+ * Hashes a capture's converted Markdown, to tell whether a page changed
+ * @param {string} markdown - The converted Markdown
+ * @returns {Promise<string>} The SHA-256 digest in hex
+ */
+async function hashMarkdown(markdown) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(markdown)
+  );
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+}
+
+/**
+ * Builds a library entry from a delivered capture
+ * @param {Object} capture - A serialized capture
+ * @param {string} [capturedAt] - ISO timestamp; defaults to now
+ * @returns {Object} The entry, without an id, contentHash or versions
+ */
+function createLibraryEntry(capture, capturedAt = new Date().toISOString()) {
+  let domain = "";
+  try {
+    domain = new URL(capture.url).hostname;
+  } catch (error) {
+    // Keep captures of odd URLs, just without a domain
+  }
+
+  return {
+    url: capture.url,
+    domain,
+    title: capture.pageContent?.title || capture.filename,
+    category: capture.category || "",
+    filename: capture.filename,
+    captureMode: capture.pageContent?.captureMode || "page",
+    tags: capture.geminiData?.tags || capture.pageContent?.tags || [],
+    summary: capture.geminiData?.summary || "",
+    markdown: capture.content ?? capture.markdown ?? "",
+    document: capture.document,
+    sourceMarkdown: capture.markdown ?? "",
+    contentHash: "",
+    capturedAt,
+    versions: [],
+  };
+}
+
+/**
+ * Folds a new capture of a URL into its existing entry
+ * @param {Object|undefined} previous - The URL's entry, if any
+ * @param {Object} entry - The new entry, with its contentHash
+ * @param {"new-version"|"overwrite"} [action] - Defaults to "overwrite" for
+ *   an unchanged page and "new-version" otherwise
+ * @returns {Object} The entry to store, with the previous entry's id
+ */
+function mergeLibraryVersion(previous, entry, action) {
+  if (!previous) return entry;
+
+  const versions = previous.versions || [];
+  const resolved =
+    action ||
+    (previous.contentHash === entry.contentHash ? "overwrite" : "new-version");
+  return {
+    ...entry,
+    id: previous.id,
+    versions:
+      resolved === "overwrite"
+        ? versions
+        : [
+            {
+              capturedAt: previous.capturedAt,
+              contentHash: previous.contentHash,
+              title: previous.title,
+              filename: previous.filename,
+              document: previous.document,
+              sourceMarkdown: previous.sourceMarkdown ?? previous.markdown,
+            },
+            ...versions,
+          ].slice(0, LIBRARY_MAX_VERSIONS),
+  };
+}
+
+/**
+ * Stores an entry
+ * @param {Object} entry - From createLibraryEntry
+ * @returns {Promise<number>} The new entry's id
+ */
+function addLibraryEntry(entry) {
+  return withLibraryStore("readwrite", (store) => store.add(entry));
+}
+
+/**
+ * Stores an entry, replacing the one with the same id
+ * @param {Object} entry - A library entry
+ * @returns {Promise<number>} The entry's id
+ */
+function putLibraryEntry(entry) {
+  return withLibraryStore("readwrite", (store) => store.put(entry));
+}
+
+/**
+ * Loads every entry, newest first
+ * @returns {Promise<Array<Object>>} The entries
+ */
+async function getLibraryEntries() {
+  const entries = await withLibraryStore("readonly", (store) => store.getAll());
+  return entries.sort((a, b) => b.capturedAt.localeCompare(a.capturedAt));
+}
+
+/**
+ * Loads one entry
+ * @param {number} id - The entry id
+ * @returns {Promise<Object|undefined>} The entry, if it exists
+ */
+function getLibraryEntry(id) {
+  return withLibraryStore("readonly", (store) => store.get(id));
+}
+
+/**
+ * Whether an entry holds only part of its page
+ * @param {Object} entry - A library entry
+ * @returns {boolean} True for selection and element captures
+ */
+function isPartialLibraryEntry(entry) {
+  return (entry.captureMode || "page") !== "page";
+}
+
+/**
+ * Loads the whole-page entry for a URL, the one its captures are versions of
+ * @param {string} url - The page URL
+ * @returns {Promise<Object|undefined>} The entry (the newest, should there
+ *   be several); partial captures of the page are ignored
+ */
+async function findLibraryEntryByUrl(url) {
+  const entries = await withLibraryStore("readonly", (store) =>
+    store.index("url").getAll(url)
+  );
+  return entries
+    .filter((entry) => !isPartialLibraryEntry(entry))
+    .sort((a, b) => b.capturedAt.localeCompare(a.capturedAt))[0];
+}
+
+/**
+ * Deletes one entry
+ * @param {number} id - The entry id
+ * @returns {Promise<void>}
+ */
+async function deleteLibraryEntry(id) {
+  await withLibraryStore("readwrite", (store) => store.delete(id));
+}
+
+/**
+ * Counts the stored entries
+ * @returns {Promise<number>} The count
+ */
+function countLibraryEntries() {
+  return withLibraryStore("readonly", (store) => store.count());
+}
+
+/**
+ * Deliver hook: records the capture, as a new version of its URL's entry when
+ * there is one (partial captures always get a new entry). A library that
+ * can't be written to is logged, not allowed to fail a capture that was
+ * already saved.
+ * @param {Object} capture - A delivered capture; see versionAction above
+ */
+async function recordCaptureInLibrary(capture) {
+  if (capture.versionAction === "skip" || capture.awaitingBundle) return;
+
+  try {
+    const entry = createLibraryEntry(capture);
+    entry.contentHash = await hashMarkdown(entry.sourceMarkdown);
+    if (isPartialLibraryEntry(entry)) {
+      await addLibraryEntry(entry);
+      return;
+    }
+    const previous = await findLibraryEntryByUrl(capture.url);
+    await putLibraryEntry(
+      mergeLibraryVersion(previous, entry, capture.versionAction)
+    );
+  } catch (error) {
+    console.error("Could not add the capture to the library:", error);
+  }
+}
+
+/**
+ * Filters entries the way the library page does
+ * @param {Array<Object>} entries - Library entries
+ * @param {{domain?: string, category?: string, tag?: string, from?: string,
+ *   to?: string, query?: string}} filters - Empty values match everything;
+ *   from/to are YYYY-MM-DD dates (inclusive) and every word of query must
+ *   appear in the title, summary, tags or Markdown (case-insensitive)
+ * @returns {Array<Object>} The matching entries, in their original order
+ */
+function filterLibraryEntries(entries, filters) {
+  const { domain, category, tag, from, to } = filters;
+  const terms = String(filters.query || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  return entries.filter((entry) => {
+    const day = entry.capturedAt.slice(0, 10);
+    if (domain && entry.domain !== domain) return false;
+    if (category && entry.category !== category) return false;
+    if (tag && !entry.tags.includes(tag)) return false;
+    if (from && day < from) return false;
+    if (to && day > to) return false;
+    if (terms.length === 0) return true;
+
+    const text = [entry.title, entry.summary, ...entry.tags, entry.markdown]
+      .join("\n")
+      .toLowerCase();
+    return terms.every((term) => text.includes(term));
+  });
+}
+
+/**
+ * The values the library page offers as filters
+ * @param {Array<Object>} entries - Library entries
+ * @returns {{domains: Array<string>, categories: Array<string>,
+ *   tags: Array<string>}} Sorted, without duplicates or blanks
+ */
+function getLibraryFacets(entries) {
+  const sorted = (values) =>
+    Array.from(new Set(values.filter(Boolean))).sort((a, b) =>
+      a.localeCompare(b)
+    );
+  return {
+    domains: sorted(entries.map((entry) => entry.domain)),
+    categories: sorted(entries.map((entry) => entry.category)),
+    tags: sorted(entries.flatMap((entry) => entry.tags)),
+  };
+}
+
+addCaptureHook("deliver", recordCaptureInLibrary);
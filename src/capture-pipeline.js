@@ -0,0 +1,559 @@
+/**
+ * The capture pipeline shared by the popup and the background worker:
+ * extract → clean → convert → enrich → serialize → deliver.
+ *
+ * A capture is one object handed through the stages, each filling in more
+ * of it:
+ *   extract    pageContent (HTML and page metadata), and markdown when the
+ *              page converted itself
+ *   clean      checks there is content; category and filename
+ *   convert    markdown
+ *   enrich     geminiData (AI metadata, or null) and content (the body)
+ *   serialize  frontMatter and obsidian settings, and document (front
+ *              matter + body)
+ *   deliver    the document saved, copied or bundled; failedImages
+ *
+ * Callers pass the steps that depend on where they run (extraction,
+ * delivery, AI enrichment); clean, convert, enrich and serialize default to
+ * the shared steps below. Hooks added with addCaptureHook run after a
+ * stage's step wherever the pipeline runs, so new enrichers and outputs are
+ * added in one place.
+ *
+ * Also holds the extraction history (with its retention policy and export
+ * files), the site access request and the download helpers both sides use.
+ * Requires page-metadata.js, domain-rules.js, front-matter.js and
+ * obsidian-export.js (and markdown-converter.js where the pipeline converts
+ * HTML itself).
+ */
+
+// URL History Management Functions
+
+// How long URLs stay in the history, the `historyRetention` sync setting:
+// {
+//   maxEntries: 100,                        // 0 for no limit
+//   maxAgeDays: 0,                          // by last extraction; 0 forever
+//   excludedDomains: ["*.intranet.example"], // domain rule patterns
+//   neverRecord: ["https://mail.example.com/*"] // URL patterns, * wildcards
+// }
+const DEFAULT_HISTORY_RETENTION = {
+  maxEntries: 100,
+  maxAgeDays: 0,
+  excludedDomains: [],
+  neverRecord: [],
+};
+
+/**
+ * Fills in defaults and cleans a stored retention setting
+ * @param {Object} [retention] - The stored `historyRetention` value
+ * @returns {Object} Retention with every field present
+ */
+function normalizeHistoryRetention(retention) {
+  const stored = { ...DEFAULT_HISTORY_RETENTION, ...retention };
+  const count = (value, fallback) =>
+    value !== "" && Number.isInteger(Number(value)) && Number(value) >= 0
+      ? Number(value)
+      : fallback;
+  const list = (values) =>
+    (Array.isArray(values) ? values : [])
+      .map((value) => String(value).trim())
+      .filter(Boolean);
+
+  return {
+    maxEntries: count(stored.maxEntries, DEFAULT_HISTORY_RETENTION.maxEntries),
+    maxAgeDays: count(stored.maxAgeDays, DEFAULT_HISTORY_RETENTION.maxAgeDays),
+    excludedDomains: list(stored.excludedDomains),
+    neverRecord: list(stored.neverRecord),
+  };
+}
+
+async function getHistoryRetention() {
+  const { historyRetention } =
+    await browser.storage.sync.get("historyRetention");
+  return normalizeHistoryRetention(historyRetention);
+}
+
+/**
+ * Matches a URL against a "never record" pattern: the whole URL,
+ * case-insensitively, with "*" standing for any run of characters
+ * @param {string} pattern - e.g. "https://mail.example.com/*"
+ * @param {string} url - The URL
+ * @returns {boolean} True if the pattern covers the URL
+ */
+function matchesUrlPattern(pattern, url) {
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`, "i").test(url);
+}
+
+/**
+ * Whether the retention policy lets a URL into the history
+ * @param {string} url - The URL
+ * @param {Object} retention - Normalized retention
+ * @returns {boolean} False for excluded domains and "never record" URLs
+ */
+function isUrlRecordable(url, retention) {
+  let hostname = "";
+  try {
+    hostname = new URL(url).hostname;
+  } catch (error) {
+    // Not a URL: only the patterns can exclude it
+  }
+  return (
+    !retention.excludedDomains.some((pattern) =>
+      matchesDomainPattern(pattern, hostname)
+    ) &&
+    !retention.neverRecord.some((pattern) => matchesUrlPattern(pattern, url))
+  );
+}
+
+/**
+ * Applies a retention policy to the history
+ * @param {Array<Object>} urls - History entries
+ * @param {Object} retention - Normalized retention
+ * @param {number} [now] - Current time in ms, for maxAgeDays
+ * @returns {Array<Object>} The entries kept, most recently extracted first
+ */
+function applyHistoryRetention(urls, retention, now = Date.now()) {
+  const oldest = retention.maxAgeDays
+    ? now - retention.maxAgeDays * 24 * 60 * 60 * 1000
+    : -Infinity;
+  const kept = urls
+    .filter((item) => isUrlRecordable(item.url, retention))
+    .filter((item) => new Date(item.lastExtracted).getTime() >= oldest)
+    .sort((a, b) => new Date(b.lastExtracted) - new Date(a.lastExtracted));
+  return retention.maxEntries ? kept.slice(0, retention.maxEntries) : kept;
+}
+
+async function getExtractedUrls() {
+  const result = await browser.storage.local.get("extractedUrls");
+  return result.extractedUrls || [];
+}
+
+// Add a URL to the extracted list, as the retention policy allows
+async function addExtractedUrl(url) {
+  const retention = await getHistoryRetention();
+  if (!isUrlRecordable(url, retention)) return;
+
+  const urls = await getExtractedUrls();
+  const timestamp = new Date().toISOString();
+
+  // Check if URL already exists and update it
+  const existingIndex = urls.findIndex((item) => item.url === url);
+  if (existingIndex !== -1) {
+    urls[existingIndex].lastExtracted = timestamp;
+    urls[existingIndex].count = (urls[existingIndex].count || 1) + 1;
+  } else {
+    urls.push({
+      url: url,
+      firstExtracted: timestamp,
+      lastExtracted: timestamp,
+      count: 1,
+    });
+  }
+
+  await browser.storage.local.set({
+    extractedUrls: applyHistoryRetention(urls, retention),
+  });
+}
+
+// Check if a URL has been extracted before
+async function isUrlExtracted(url) {
+  const urls = await getExtractedUrls();
+  return urls.some((item) => item.url === url);
+}
+
+// Remove one URL from the history
+async function removeExtractedUrl(url) {
+  const urls = await getExtractedUrls();
+  await browser.storage.local.set({
+    extractedUrls: urls.filter((item) => item.url !== url),
+  });
+}
+
+// Clear all extracted URLs
+async function clearExtractedUrls() {
+  await browser.storage.local.set({ extractedUrls: [] });
+}
+
+/**
+ * Applies the saved retention policy to the stored history
+ * @returns {Promise<{kept: number, removed: number}>} Entry counts
+ */
+async function enforceHistoryRetention() {
+  const urls = await getExtractedUrls();
+  const kept = applyHistoryRetention(urls, await getHistoryRetention());
+  await browser.storage.local.set({ extractedUrls: kept });
+  return { kept: kept.length, removed: urls.length - kept.length };
+}
+
+// History files: JSON exports ({version, extractedUrls}, or a bare array)
+// and the CSV the options page used to export
+// (URL,First Extracted,Last Extracted,Extract Count)
+
+/**
+ * Builds the JSON history export
+ * @param {Array<Object>} urls - History entries, with every stored field
+ * @returns {string} The file content
+ */
+function serializeHistoryExport(urls) {
+  return JSON.stringify({ version: 1, extractedUrls: urls }, null, 2);
+}
+
+/**
+ * Splits CSV text into rows of fields; quoted fields may hold commas,
+ * newlines and doubled quotes
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, blank lines dropped
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+/**
+ * Checks and cleans an imported history entry
+ * @param {Object} entry - {url, firstExtracted, lastExtracted, count}
+ * @returns {Object|null} The entry with ISO timestamps and a count of at
+ *   least 1, or null without a URL or a valid date
+ */
+function normalizeHistoryEntry(entry) {
+  const url = typeof entry?.url === "string" ? entry.url.trim() : "";
+  const isoDate = (value) => {
+    const date = new Date(value);
+    return value && !isNaN(date) ? date.toISOString() : "";
+  };
+  const firstExtracted = isoDate(entry?.firstExtracted);
+  const lastExtracted = isoDate(entry?.lastExtracted);
+  if (!url || (!firstExtracted && !lastExtracted)) return null;
+
+  const count = Number(entry.count);
+  return {
+    url,
+    firstExtracted: firstExtracted || lastExtracted,
+    lastExtracted: lastExtracted || firstExtracted,
+    count: Number.isInteger(count) && count > 0 ? count : 1,
+  };
+}
+
+/**
+ * Reads a history file, JSON or CSV
+ * @param {string} text - The file content
+ * @returns {{entries: Array<Object>, skipped: number}} Valid entries, and
+ *   how many were dropped as invalid
+ * @throws {Error} When JSON holds no history array
+ */
+function parseHistoryFile(text) {
+  let raw;
+  if (/^\s*[[{]/.test(text)) {
+    const parsed = JSON.parse(text);
+    raw = Array.isArray(parsed) ? parsed : parsed?.extractedUrls;
+    if (!Array.isArray(raw)) throw new Error('missing "extractedUrls" array');
+  } else {
+    const rows = parseCsvRows(text);
+    if (rows[0]?.[0].trim().toLowerCase() === "url") rows.shift();
+    raw = rows.map(([url, firstExtracted, lastExtracted, count]) => ({
+      url,
+      firstExtracted,
+      lastExtracted,
+      count,
+    }));
+  }
+
+  const entries = raw.map(normalizeHistoryEntry).filter(Boolean);
+  return { entries, skipped: raw.length - entries.length };
+}
+
+/**
+ * Merges imported entries into the history: a URL already there keeps the
+ * earliest firstExtracted and the latest lastExtracted, and the counts add up
+ * @param {Array<Object>} urls - The stored history
+ * @param {Array<Object>} imported - Normalized imported entries
+ * @returns {{urls: Array<Object>, added: number, updated: number}}
+ */
+function mergeExtractedUrls(urls, imported) {
+  const byUrl = new Map(urls.map((item) => [item.url, { ...item }]));
+  const added = new Set();
+  const updated = new Set();
+
+  imported.forEach((item) => {
+    const current = byUrl.get(item.url);
+    if (!current) {
+      byUrl.set(item.url, { ...item });
+      added.add(item.url);
+      return;
+    }
+    if (!added.has(item.url)) updated.add(item.url);
+    const time = (value) => new Date(value).getTime();
+    if (!(time(current.firstExtracted) <= time(item.firstExtracted))) {
+      current.firstExtracted = item.firstExtracted;
+    }
+    if (!(time(current.lastExtracted) >= time(item.lastExtracted))) {
+      current.lastExtracted = item.lastExtracted;
+    }
+    current.count = (current.count || 1) + item.count;
+  });
+
+  return {
+    urls: Array.from(byUrl.values()),
+    added: added.size,
+    updated: updated.size,
+  };
+}
+
+/**
+ * Merges imported entries into the stored history, then applies the
+ * retention policy
+ * @param {Array<Object>} imported - Normalized entries (parseHistoryFile)
+ * @returns {Promise<{added: number, updated: number, removed: number}>}
+ *   Counts of new and merged URLs, and of entries the policy dropped
+ */
+async function importExtractedUrls(imported) {
+  const merged = mergeExtractedUrls(await getExtractedUrls(), imported);
+  const kept = applyHistoryRetention(merged.urls, await getHistoryRetention());
+  await browser.storage.local.set({ extractedUrls: kept });
+  return {
+    added: merged.added,
+    updated: merged.updated,
+    removed: merged.urls.length - kept.length,
+  };
+}
+
+// Permissions
+
+/**
+ * Asks for access to sites. Browsers only show the prompt while a click (or
+ * a context menu choice) still counts as a user gesture, and the first await
+ * ends it: call this before awaiting anything else in the handler.
+ * @param {Array<string>} origins - Match patterns, such as "<all_urls>"
+ * @returns {Promise<boolean>} Whether access was granted
+ */
+function requestSiteAccess(origins) {
+  return browser.permissions.request({ origins });
+}
+
+// Downloads
+
+/**
+ * Downloads bytes through a base64 data URL (blob URLs are unavailable in
+ * the service worker). The "Save as" dialog follows the askWhereToSave option
+ * unless the caller decides.
+ * @param {string} filename - The desired name of the file
+ * @param {Uint8Array} data - The file content
+ * @param {string} mimeType - The data URL media type
+ * @param {boolean} [saveAs] - Overrides the askWhereToSave option
+ * @returns {Promise<number>} The download id
+ */
+async function downloadDataFile(filename, data, mimeType, saveAs) {
+  const { askWhereToSave } = await browser.storage.sync.get({
+    askWhereToSave: true,
+  });
+
+  // Use a chunked approach to avoid stack overflow with String.fromCharCode(...data)
+  let binary = "";
+  const len = data.byteLength;
+  const chunkSize = 8192;
+  for (let i = 0; i < len; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, data.subarray(i, i + chunkSize));
+  }
+
+  const base64Content = btoa(binary);
+  const dataUrl = `data:${mimeType};base64,${base64Content}`;
+
+  // With saveAs the browser prompts and remembers the last used directory;
+  // without it the file goes straight to the default download folder
+  return browser.downloads.download({
+    url: dataUrl,
+    filename: filename,
+    saveAs: saveAs ?? askWhereToSave,
+  });
+}
+
+/**
+ * Downloads a markdown file (see downloadDataFile)
+ * @param {string} filename - The desired name of the file
+ * @param {string} content - The markdown content
+ * @param {boolean} [saveAs] - Overrides the askWhereToSave option
+ * @returns {Promise<number>} The download id
+ */
+async function downloadMarkdownFile(filename, content, saveAs) {
+  // Using TextEncoder for proper UTF-8 encoding instead of deprecated unescape
+  const data = new TextEncoder().encode(content);
+  return downloadDataFile(
+    filename,
+    data,
+    "text/markdown;charset=utf-8",
+    saveAs
+  );
+}
+
+// Pipeline
+
+const CAPTURE_STAGES = [
+  "extract",
+  "clean",
+  "convert",
+  "enrich",
+  "serialize",
+  "deliver",
+];
+
+// Extra work run after each stage, in the order added
+const captureHooks = Object.fromEntries(
+  CAPTURE_STAGES.map((stage) => [stage, []])
+);
+
+/**
+ * Adds a hook that runs after a stage of every capture
+ * @param {string} stage - One of CAPTURE_STAGES
+ * @param {function(Object): (void|Promise<void>)} hook - Receives the capture
+ *   and may change it
+ */
+function addCaptureHook(stage, hook) {
+  if (!captureHooks[stage]) {
+    throw new Error(`Unknown capture stage: ${stage}`);
+  }
+  captureHooks[stage].push(hook);
+}
+
+/**
+ * Fills in the AI result, falling back to the converted Markdown when there
+ * is none or the model returned no content
+ * @param {Object} capture - The capture
+ * @param {Object|null} improved - The improveMarkdownWithLlm metadata
+ * @param {string} [label] - Provider name for the log
+ */
+function applyEnrichment(capture, improved, label = "The AI provider") {
+  if (!improved || typeof improved !== "object") {
+    capture.geminiData = null;
+    capture.content = capture.markdown;
+    return;
+  }
+
+  capture.geminiData = improved;
+  capture.content = improved.content;
+  // The model may return the metadata but no content
+  if (!capture.content || capture.content.trim().length === 0) {
+    console.warn(
+      `${label} returned empty content, falling back to original markdown`
+    );
+    capture.content = capture.markdown;
+  }
+}
+
+/**
+ * Front matter plus body for a capture, built from its current fields. The
+ * Obsidian profile, when enabled, forces plain YAML and formats the metadata
+ * its way.
+ * @param {Object} capture - An enriched capture with frontMatter (and
+ *   obsidian) settings
+ * @returns {string} The file content
+ */
+function buildCaptureDocument(capture) {
+  const obsidian = capture.obsidian?.enabled ? capture.obsidian : null;
+  return (
+    createMetadata(
+      capture.pageContent,
+      capture.url,
+      capture.category,
+      obsidian
+        ? formatObsidianMetadata(capture.geminiData, obsidian)
+        : capture.geminiData,
+      obsidian
+        ? { ...capture.frontMatter, format: "yaml" }
+        : capture.frontMatter
+    ) + capture.content
+  );
+}
+
+let captureTurndownService = null;
+
+const DEFAULT_CAPTURE_STEPS = {
+  clean(capture) {
+    if (!capture.pageContent?.html) {
+      throw new Error("Could not extract content from the page.");
+    }
+    capture.category =
+      capture.category ||
+      detectCategory(capture.pageContent.title, capture.url);
+    capture.filename =
+      capture.filename || generateFilename(capture.pageContent, capture.url);
+  },
+
+  // Pages converted in their own tab arrive with markdown already
+  convert(capture) {
+    if (capture.markdown === undefined) {
+      captureTurndownService =
+        captureTurndownService || createTurndownService();
+      capture.markdown = captureTurndownService.turndown(
+        capture.pageContent.html
+      );
+    }
+  },
+
+  enrich(capture) {
+    applyEnrichment(capture, null);
+  },
+
+  async serialize(capture) {
+    capture.frontMatter =
+      capture.frontMatter || (await getFrontMatterSettings());
+    capture.obsidian = capture.obsidian || (await getObsidianSettings());
+    capture.document = buildCaptureDocument(capture);
+  },
+};
+
+/**
+ * Runs a capture through the pipeline stages (or a range of them)
+ * @param {Object} capture - The capture, as far as it got
+ * @param {Object} [steps] - Step functions by stage, replacing the defaults;
+ *   extract and deliver have none
+ * @param {{from?: string, to?: string}} [range] - First and last stage
+ * @returns {Promise<Object>} The capture
+ */
+async function runCapturePipeline(capture, steps = {}, range = {}) {
+  const first = CAPTURE_STAGES.indexOf(range.from || "extract");
+  const last = CAPTURE_STAGES.indexOf(range.to || "deliver");
+
+  for (const stage of CAPTURE_STAGES.slice(first, last + 1)) {
+    const step = stage in steps ? steps[stage] : DEFAULT_CAPTURE_STEPS[stage];
+    if (step) await step(capture);
+    for (const hook of captureHooks[stage]) {
+      await hook(capture);
+    }
+  }
+  return capture;
+}
@@ -0,0 +1,337 @@
+/**
+ * Main-content extraction injected into the active tab before getPageContent.
+ * Scores block elements Readability-style (text density, link density,
+ * paragraph counts and class/id hints), picks the best content root and
+ * strips boilerplate before the HTML is handed to turndown.
+ *
+ * Everything here runs in the page's isolated world, so it must not depend
+ * on anything from popup.js or background.js. The file may be injected into
+ * the same tab more than once, hence the IIFE and `var` export.
+ */
+
+var extractMainContent = (function () {
+  "use strict";
+
+  // Class/id hints that suggest an element holds (or doesn't hold) the article
+  const POSITIVE_HINTS =
+    /article|body|content|entry|hentry|main|page|post|text|blog|story|prose|markdown/i;
+  const NEGATIVE_HINTS =
+    /comment|sidebar|footer|masthead|menu|\bnav|share|social|related|recommend|promo|sponsor|advert|\bads?\b|banner|cookie|consent|newsletter|subscribe|signup|popup|modal|breadcrumb|pagination|widget|toolbar|disqus|outbrain|taboola/i;
+
+  // Hints strong enough to drop an element from the chosen root outright
+  const BOILERPLATE_HINTS =
+    /comment|cookie|consent|share|social|related|recommend|newsletter|subscribe|signup|advert|\bads?\b|promo|sponsor|sidebar|breadcrumb|popup|modal|disqus|outbrain|taboola/i;
+
+  // Elements that never contribute article content
+  const BOILERPLATE_SELECTORS = [
+    "script",
+    "style",
+    "noscript",
+    "template",
+    "iframe:not([src*='youtube']):not([src*='vimeo'])",
+    "nav",
+    "footer",
+    "aside",
+    "form",
+    "button",
+    "dialog",
+    "[role='navigation']",
+    "[role='banner']",
+    "[role='contentinfo']",
+    "[role='complementary']",
+    "[role='dialog']",
+    "[aria-hidden='true']",
+    "[hidden]",
+  ];
+
+  const SCORABLE_TAGS = ["P", "PRE", "TD", "BLOCKQUOTE", "LI", "H2", "H3"];
+  const MIN_PARAGRAPH_LENGTH = 25;
+  const MIN_CANDIDATE_SCORE = 20;
+  const MIN_CANDIDATE_TEXT = 250;
+
+  /**
+   * Returns the collapsed text of an element
+   * @param {Element} element - The element to read
+   * @returns {string} Whitespace-normalised text content
+   */
+  function getInnerText(element) {
+    return (element.textContent || "").replace(/\s+/g, " ").trim();
+  }
+
+  /**
+   * Ratio of text inside links to the total text of an element (0..1)
+   * @param {Element} element - The element to measure
+   * @returns {number} The link density
+   */
+  function getLinkDensity(element) {
+    const textLength = getInnerText(element).length;
+    if (textLength === 0) return 0;
+
+    let linkLength = 0;
+    for (const link of element.querySelectorAll("a")) {
+      linkLength += getInnerText(link).length;
+    }
+    return Math.min(1, linkLength / textLength);
+  }
+
+  /**
+   * Scores an element's class and id against the content hints
+   * @param {Element} element - The element to weigh
+   * @returns {number} Positive for content-like names, negative for boilerplate
+   */
+  function getClassWeight(element) {
+    let weight = 0;
+    for (const hint of [element.className, element.id]) {
+      if (typeof hint !== "string" || !hint) continue;
+      if (NEGATIVE_HINTS.test(hint)) weight -= 25;
+      if (POSITIVE_HINTS.test(hint)) weight += 25;
+    }
+    return weight;
+  }
+
+  /**
+   * Base score for a candidate based on its tag and class/id
+   * @param {Element} element - The candidate element
+   * @returns {number} The initial score
+   */
+  function getInitialScore(element) {
+    let score = 0;
+    switch (element.nodeName) {
+      case "ARTICLE":
+      case "MAIN":
+        score += 10;
+        break;
+      case "DIV":
+      case "SECTION":
+        score += 5;
+        break;
+      case "PRE":
+      case "TD":
+      case "BLOCKQUOTE":
+        score += 3;
+        break;
+      case "FORM":
+      case "OL":
+      case "UL":
+      case "DL":
+        score -= 3;
+        break;
+      case "H1":
+      case "H2":
+      case "H3":
+      case "H4":
+      case "H5":
+      case "H6":
+      case "TH":
+        score -= 5;
+        break;
+    }
+    return score + getClassWeight(element);
+  }
+
+  /**
+   * Scores every paragraph-like element and propagates the score to its
+   * ancestors, Readability style
+   * @param {Element} root - The element to search (usually document.body)
+   * @returns {Array<{element: Element, score: number, paragraphs: number}>}
+   *   Candidates sorted by final score, best first
+   */
+  function scoreCandidates(root) {
+    const candidates = new Map();
+
+    const getCandidate = (element) => {
+      if (!candidates.has(element)) {
+        candidates.set(element, {
+          element,
+          score: getInitialScore(element),
+          paragraphs: 0,
+        });
+      }
+      return candidates.get(element);
+    };
+
+    for (const node of root.querySelectorAll(SCORABLE_TAGS.join(","))) {
+      const text = getInnerText(node);
+      if (text.length < MIN_PARAGRAPH_LENGTH) continue;
+
+      // One point for the paragraph, one per comma, one per 100 characters (max 3)
+      const contentScore =
+        1 + text.split(",").length + Math.min(Math.floor(text.length / 100), 3);
+
+      let ancestor = node.parentElement;
+      let level = 0;
+      while (ancestor && ancestor !== root && level < 3) {
+        const candidate = getCandidate(ancestor);
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        candidate.score += contentScore / divider;
+        if (level === 0) candidate.paragraphs++;
+        ancestor = ancestor.parentElement;
+        level++;
+      }
+    }
+
+    const scored = [];
+    for (const candidate of candidates.values()) {
+      candidate.score *= 1 - getLinkDensity(candidate.element);
+      scored.push(candidate);
+    }
+    return scored.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Builds a short CSS-like description of an element for reporting
+   * @param {Element} element - The element to describe
+   * @returns {string} e.g. "article#post.entry-content"
+   */
+  function describeElement(element) {
+    let description = element.nodeName.toLowerCase();
+    if (element.id) description += `#${element.id}`;
+    if (typeof element.className === "string" && element.className.trim()) {
+      description +=
+        "." + element.className.trim().split(/\s+/).slice(0, 3).join(".");
+    }
+    return description;
+  }
+
+  /**
+   * Removes boilerplate from a detached copy of the content root
+   * @param {Element} element - The chosen content root
+   * @param {boolean} aggressive - Also drop hint-matched and link-heavy blocks
+   * @param {Array<string>} [extraSelectors] - Domain-rule selectors to remove
+   * @returns {{clone: Element, removedCount: number}} The cleaned copy
+   */
+  function cleanContentElement(element, aggressive, extraSelectors = []) {
+    const clone = element.cloneNode(true);
+    let removedCount = 0;
+
+    const remove = (node) => {
+      if (node === clone || !clone.contains(node)) return;
+      node.remove();
+      removedCount++;
+    };
+
+    const selectors = aggressive
+      ? BOILERPLATE_SELECTORS
+      : ["script", "style", "noscript", "template"];
+    for (const node of clone.querySelectorAll(selectors.join(","))) {
+      remove(node);
+    }
+
+    for (const selector of extraSelectors) {
+      try {
+        clone.querySelectorAll(selector).forEach(remove);
+      } catch (e) {
+        console.warn("Invalid domain rule remove selector:", selector, e);
+      }
+    }
+
+    if (!aggressive) return { clone, removedCount };
+
+    for (const node of clone.querySelectorAll("[class], [id]")) {
+      // Never drop code or tables just because of their class names
+      if (node.closest("pre, code, table")) continue;
+      const hints = `${node.className} ${node.id}`;
+      if (BOILERPLATE_HINTS.test(hints) && !POSITIVE_HINTS.test(hints)) {
+        remove(node);
+      }
+    }
+
+    // Link farms (tag clouds, "read next" lists) with little prose of their own
+    for (const node of clone.querySelectorAll("div, section, ul, ol")) {
+      if (!clone.contains(node) || node.querySelector("pre, table, img")) {
+        continue;
+      }
+      const textLength = getInnerText(node).length;
+      if (textLength < 200 && getLinkDensity(node) > 0.5) {
+        remove(node);
+      }
+    }
+
+    return { clone, removedCount };
+  }
+
+  /**
+   * Finds the main content of a document
+   * @param {Document} doc - The document to extract from
+   * @param {Object} [options]
+   * @param {Element} [options.element] - Element chosen by the user, used as-is
+   * @param {string} [options.selector] - Domain-rule selector to try first
+   * @param {Array<string>} [options.removeSelectors] - Domain-rule selectors
+   *   stripped from whichever root is chosen
+   * @returns {{element: Element, html: string, strategy: string,
+   *   details: {target: string, score?: number, paragraphs?: number,
+   *   removedCount: number}}}
+   *   `strategy` is one of "picked-element", "domain-rule", "readability",
+   *   "semantic" or "body"
+   */
+  function extractMainContent(doc, options = {}) {
+    let element = null;
+    let strategy = "body";
+    const details = {};
+
+    if (options.element) {
+      element = options.element;
+      strategy = "picked-element";
+    }
+
+    if (!element && options.selector) {
+      try {
+        element = doc.querySelector(options.selector);
+      } catch (e) {
+        console.warn("Invalid domain rule selector:", options.selector, e);
+      }
+      if (element) strategy = "domain-rule";
+    }
+
+    if (!element && doc.body) {
+      const [best] = scoreCandidates(doc.body);
+      if (
+        best &&
+        best.score >= MIN_CANDIDATE_SCORE &&
+        getInnerText(best.element).length >= MIN_CANDIDATE_TEXT
+      ) {
+        element = best.element;
+
+        // Prefer the enclosing <article>/<main> when the candidate is most of it,
+        // so titles and lead images that sit just outside the prose are kept
+        const semanticParent = element.parentElement?.closest(
+          'article, main, [role="main"]'
+        );
+        if (
+          semanticParent &&
+          getInnerText(element).length >=
+            getInnerText(semanticParent).length * 0.6
+        ) {
+          element = semanticParent;
+        }
+
+        strategy = "readability";
+        details.score = Math.round(best.score * 10) / 10;
+        details.paragraphs = best.paragraphs;
+      }
+    }
+
+    if (!element) {
+      element = doc.querySelector('main, article, [role="main"]');
+      if (element) strategy = "semantic";
+    }
+
+    if (!element) {
+      element = doc.body;
+      strategy = "body";
+    }
+
+    const { clone, removedCount } = cleanContentElement(
+      element,
+      strategy !== "domain-rule" && strategy !== "picked-element",
+      options.removeSelectors
+    );
+
+    details.target = describeElement(element);
+    details.removedCount = removedCount;
+
+    return { element, html: clone.innerHTML, strategy, details };
+  }
+
+  return extractMainContent;
+})();
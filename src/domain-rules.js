@@ -0,0 +1,203 @@
+/**
+ * Per-domain extraction rules shared by the popup and the options page.
+ * Rules live in browser.storage.sync so they follow the user across
+ * machines, one item per rule (`domainRule.0`, `domainRule.1`, ... and
+ * `domainRulesCount`) since a single array soon outgrows sync's 8 KB
+ * per-item quota. When a sync write still fails on quota, the rules are kept
+ * in browser.storage.local under `domainRules` until a later save fits.
+ * Earlier versions stored one `domainRules` array in sync; it is still read
+ * when no per-rule items exist. The popup passes the matching rule into
+ * getPageContent.
+ *
+ * Rule shape:
+ * {
+ *   domain: "example.com" | "*.example.com",
+ *   contentSelector: "article .post",
+ *   removeSelectors: [".share", ".related"],
+ *   titleSelector: "", authorSelector: "", dateSelector: ""
+ * }
+ */
+
+// Rules that shipped hard-coded in getPageContent before they became editable
+const DEFAULT_DOMAIN_RULES = [
+  {
+    domain: "milanjovanovic.tech",
+    contentSelector:
+      "div.flex.flex-col.space-y-10.border-r-gray-100.md\\:pr-10.lg\\:border-r-\\[0\\.1rem\\]",
+    removeSelectors: [],
+    titleSelector: "",
+    authorSelector: "",
+    dateSelector: "",
+  },
+  {
+    domain: "devblogs.microsoft.com",
+    contentSelector: 'div[class*="container-evo mt-56"]',
+    removeSelectors: [],
+    titleSelector: "",
+    authorSelector: "",
+    dateSelector: "",
+  },
+];
+
+const DOMAIN_RULE_FIELDS = [
+  "contentSelector",
+  "titleSelector",
+  "authorSelector",
+  "dateSelector",
+];
+
+/**
+ * Checks whether a hostname matches a rule's domain pattern.
+ * "*.example.com" matches example.com and any of its subdomains;
+ * anything else must match the hostname exactly.
+ * @param {string} pattern - The rule's domain pattern
+ * @param {string} hostname - The page hostname
+ * @returns {boolean} True if the rule applies to the hostname
+ */
+function matchesDomainPattern(pattern, hostname) {
+  const normalizedPattern = (pattern || "").trim().toLowerCase();
+  const normalizedHost = (hostname || "").toLowerCase();
+  if (!normalizedPattern || !normalizedHost) return false;
+
+  if (normalizedPattern.startsWith("*.")) {
+    const base = normalizedPattern.slice(2);
+    return normalizedHost === base || normalizedHost.endsWith(`.${base}`);
+  }
+
+  return normalizedHost === normalizedPattern;
+}
+
+/**
+ * Finds the most specific rule for a hostname.
+ * Exact matches win over wildcards; longer wildcards win over shorter ones.
+ * @param {Array<Object>} rules - The configured domain rules
+ * @param {string} hostname - The page hostname
+ * @returns {Object|null} The matching rule, or null
+ */
+function findDomainRule(rules, hostname) {
+  const matches = (rules || []).filter((rule) =>
+    matchesDomainPattern(rule.domain, hostname)
+  );
+  if (matches.length === 0) return null;
+
+  const specificity = (rule) =>
+    rule.domain.startsWith("*.") ? rule.domain.length : Infinity;
+  return matches.sort((a, b) => specificity(b) - specificity(a))[0];
+}
+
+/**
+ * Normalizes a rule coming from the form or an imported file
+ * @param {Object} rule - The raw rule
+ * @returns {Object} The rule with every field present and trimmed
+ */
+function normalizeDomainRule(rule) {
+  const normalized = {
+    domain: String(rule?.domain || "")
+      .trim()
+      .toLowerCase(),
+    removeSelectors: [],
+  };
+
+  for (const field of DOMAIN_RULE_FIELDS) {
+    normalized[field] = String(rule?.[field] || "").trim();
+  }
+
+  const removeSelectors = Array.isArray(rule?.removeSelectors)
+    ? rule.removeSelectors
+    : String(rule?.removeSelectors || "").split("\n");
+  normalized.removeSelectors = removeSelectors
+    .map((selector) => String(selector).trim())
+    .filter(Boolean);
+
+  return normalized;
+}
+
+/**
+ * Validates a normalized rule
+ * @param {Object} rule - The normalized rule
+ * @param {function(string): boolean} [isValidSelector] - Selector syntax check
+ *   (only available where a DOM exists)
+ * @returns {string|null} An error message, or null if the rule is valid
+ */
+function validateDomainRule(rule, isValidSelector) {
+  if (!rule.domain) return "Domain is required";
+
+  if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(rule.domain)) {
+    return `Invalid domain "${rule.domain}". Use example.com or *.example.com`;
+  }
+
+  if (!rule.contentSelector && rule.removeSelectors.length === 0) {
+    return "A rule needs a content selector or at least one selector to remove";
+  }
+
+  if (isValidSelector) {
+    const selectors = [
+      ...DOMAIN_RULE_FIELDS.map((field) => rule[field]).filter(Boolean),
+      ...rule.removeSelectors,
+    ];
+    const invalid = selectors.find((selector) => !isValidSelector(selector));
+    if (invalid) return `Invalid CSS selector: ${invalid}`;
+  }
+
+  return null;
+}
+
+const DOMAIN_RULE_KEY_PREFIX = "domainRule.";
+
+/**
+ * Loads the configured rules, falling back to the built-in defaults
+ * @returns {Promise<Array<Object>>} The domain rules
+ */
+async function getDomainRules() {
+  // Only present while the rules don't fit in sync storage
+  const local = await browser.storage.local.get("domainRules");
+  if (Array.isArray(local.domainRules)) return local.domainRules;
+
+  const { domainRulesCount, domainRules } = await browser.storage.sync.get([
+    "domainRulesCount",
+    "domainRules",
+  ]);
+  if (Number.isInteger(domainRulesCount)) {
+    const keys = Array.from(
+      { length: domainRulesCount },
+      (_, index) => DOMAIN_RULE_KEY_PREFIX + index
+    );
+    const items = await browser.storage.sync.get(keys);
+    return keys.map((key) => items[key]).filter(Boolean);
+  }
+  return Array.isArray(domainRules) ? domainRules : DEFAULT_DOMAIN_RULES;
+}
+
+/**
+ * Persists the rules to sync storage, one item per rule, or to local
+ * storage when sync rejects them for their size
+ * @param {Array<Object>} rules - The domain rules to save
+ * @returns {Promise<{synced: boolean}>} synced is false when the rules were
+ *   only saved on this device
+ */
+async function saveDomainRules(rules) {
+  const { domainRulesCount = 0 } =
+    await browser.storage.sync.get("domainRulesCount");
+  const items = { domainRulesCount: rules.length };
+  rules.forEach((rule, index) => {
+    items[DOMAIN_RULE_KEY_PREFIX + index] = rule;
+  });
+
+  try {
+    await browser.storage.sync.set(items);
+  } catch (error) {
+    if (!/quota|max_items/i.test(error.message)) throw error;
+    console.warn("Domain rules exceed sync storage, saving locally:", error);
+    await browser.storage.local.set({ domainRules: rules });
+    return { synced: false };
+  }
+
+  // Items of rules that no longer exist
+  const stale = [];
+  for (let index = rules.length; index < domainRulesCount; index++) {
+    stale.push(DOMAIN_RULE_KEY_PREFIX + index);
+  }
+  if (stale.length > 0) await browser.storage.sync.remove(stale);
+  await browser.storage.local.remove("domainRules");
+  return { synced: true };
+}
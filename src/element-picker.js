@@ -0,0 +1,388 @@
+/**
+ * Interactive element picker injected into the active tab from the popup.
+ * Highlights the element under the cursor; ↑/↓ expand to the parent or shrink
+ * back to a child, Enter or click picks, Esc cancels. The picked element is
+ * converted in the page and handed to the background worker, which owns
+ * metadata, AI enrichment and the download (the popup is closed by then).
+ *
+ * Requires turndown.js, turndown-tables.js, markdown-converter.js,
+ * content-extractor.js and page-content.js to be injected first.
+ */
+
+var startElementPicker = (function () {
+  "use strict";
+
+  const HOST_ID = "page-extractor-element-picker";
+
+  const STYLES = `
+    .highlight {
+      position: fixed;
+      pointer-events: none;
+      z-index: 2147483646;
+      border: 2px solid #4CAF50;
+      background: rgba(76, 175, 80, 0.15);
+      border-radius: 2px;
+      transition: all 60ms ease-out;
+    }
+    .bar {
+      position: fixed;
+      left: 50%;
+      bottom: 16px;
+      transform: translateX(-50%);
+      z-index: 2147483647;
+      max-width: 90vw;
+      padding: 8px 12px;
+      border-radius: 4px;
+      background: #333;
+      color: #fff;
+      font: 12px/1.4 Arial, sans-serif;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+    }
+    .bar code {
+      color: #a5d6a7;
+      word-break: break-all;
+    }
+    .bar .help {
+      color: #bbb;
+      margin-top: 4px;
+    }
+    .bar .actions {
+      display: flex;
+      gap: 6px;
+      margin-top: 8px;
+    }
+    .bar button {
+      padding: 5px 10px;
+      border: none;
+      border-radius: 3px;
+      background: #4CAF50;
+      color: #fff;
+      font-size: 12px;
+      cursor: pointer;
+    }
+    .bar button.secondary {
+      background: #6c757d;
+    }
+  `;
+
+  let session = null;
+
+  /**
+   * Builds a CSS selector that uniquely identifies the element in the page,
+   * preferring ids and class names over positional selectors
+   * @param {Element} element - The picked element
+   * @returns {string} The selector
+   */
+  function buildSelector(element) {
+    const isUnique = (selector) => {
+      try {
+        return document.querySelectorAll(selector).length === 1;
+      } catch (e) {
+        return false;
+      }
+    };
+
+    if (element.id && isUnique(`#${CSS.escape(element.id)}`)) {
+      return `#${CSS.escape(element.id)}`;
+    }
+
+    const parts = [];
+    let node = element;
+    while (
+      node &&
+      node !== document.body &&
+      node !== document.documentElement
+    ) {
+      let part = node.nodeName.toLowerCase();
+      if (node.id) {
+        part = `#${CSS.escape(node.id)}`;
+      } else {
+        // Skip utility classes with ":" or "[" (Tailwind) and generated hashes
+        const classes = Array.from(node.classList)
+          .filter(
+            (name) => /^[a-zA-Z][\w-]*$/.test(name) && !/\d{3,}/.test(name)
+          )
+          .slice(0, 2);
+        if (classes.length > 0) {
+          part += "." + classes.map((name) => CSS.escape(name)).join(".");
+        }
+
+        const parent = node.parentElement;
+        if (parent) {
+          const sameTag = Array.from(parent.children).filter(
+            (sibling) => sibling.nodeName === node.nodeName
+          );
+          const lookAlikes = sameTag.filter((sibling) => sibling.matches(part));
+          if (lookAlikes.length > 1) {
+            part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+          }
+        }
+      }
+
+      parts.unshift(part);
+      const selector = parts.join(" > ");
+      if (isUnique(selector)) return selector;
+      node = node.parentElement;
+    }
+
+    return parts.join(" > ") || "body";
+  }
+
+  /**
+   * Short label for the element under the cursor
+   * @param {Element} element - The highlighted element
+   * @returns {string} e.g. "div.post-body (1,234 characters)"
+   */
+  function describeTarget(element) {
+    let label = element.nodeName.toLowerCase();
+    if (element.id) label += `#${element.id}`;
+    const classes = Array.from(element.classList).slice(0, 2);
+    if (classes.length > 0) label += `.${classes.join(".")}`;
+    const length = (element.textContent || "")
+      .replace(/\s+/g, " ")
+      .trim().length;
+    return `${label} (${length.toLocaleString()} characters)`;
+  }
+
+  function isPickable(element) {
+    return (
+      element &&
+      element.nodeType === 1 &&
+      element.id !== HOST_ID &&
+      element !== document.documentElement
+    );
+  }
+
+  function updateHighlight() {
+    if (!session || !session.current) return;
+    const rect = session.current.getBoundingClientRect();
+    Object.assign(session.highlight.style, {
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+    });
+  }
+
+  function renderBar(content) {
+    session.bar.textContent = "";
+    session.bar.append(...content);
+  }
+
+  function textNode(text, className) {
+    const element = document.createElement(className ? "div" : "span");
+    if (className) element.className = className;
+    element.textContent = text;
+    return element;
+  }
+
+  function codeNode(text) {
+    const element = document.createElement("code");
+    element.textContent = text;
+    return element;
+  }
+
+  function button(label, handler, secondary = false) {
+    const element = document.createElement("button");
+    element.type = "button";
+    element.textContent = label;
+    if (secondary) element.className = "secondary";
+    element.addEventListener("click", handler);
+    return element;
+  }
+
+  function renderPickingBar() {
+    renderBar([
+      codeNode(describeTarget(session.current)),
+      textNode(
+        "↑ parent · ↓ child · Enter or click to pick · Esc to cancel",
+        "help"
+      ),
+    ]);
+  }
+
+  function setCurrent(element, keepHistory = false) {
+    if (!isPickable(element)) return;
+    if (!keepHistory) session.history = [];
+    session.current = element;
+    updateHighlight();
+    renderPickingBar();
+  }
+
+  function expandToParent() {
+    const parent = session.current.parentElement;
+    if (!isPickable(parent)) return;
+    session.history.push(session.current);
+    setCurrent(parent, true);
+  }
+
+  function shrinkToChild() {
+    const child = session.history.pop() || session.current.firstElementChild;
+    if (child) setCurrent(child, true);
+  }
+
+  function confirmSelection() {
+    session.confirming = true;
+    const selector = buildSelector(session.current);
+    const hostname = location.hostname;
+
+    const actions = document.createElement("div");
+    actions.className = "actions";
+    actions.append(
+      button("Capture", () => capture(null)),
+      button(`Capture & save rule for ${hostname}`, () =>
+        capture({ domain: hostname, contentSelector: selector })
+      ),
+      button(
+        "Pick again",
+        () => {
+          session.confirming = false;
+          renderPickingBar();
+        },
+        true
+      ),
+      button("Cancel", stopPicker, true)
+    );
+
+    renderBar([
+      textNode("Capture this element?", "title"),
+      codeNode(selector),
+      actions,
+    ]);
+  }
+
+  async function capture(ruleToSave) {
+    const element = session.current;
+    session.confirming = true;
+    detachListeners();
+    session.highlight.remove();
+    renderBar([textNode("Converting to Markdown...")]);
+
+    try {
+      const pageContent = await getPageContent(session.domainRule, { element });
+      const markdown = createTurndownService().turndown(pageContent.html);
+
+      const response = await browser.runtime.sendMessage({
+        action: "processCapture",
+        pageContent,
+        markdown,
+        url: location.href,
+        saveDomainRule: ruleToSave,
+      });
+      if (response?.error) throw new Error(response.error);
+
+      renderBar([
+        textNode(
+          response?.queued
+            ? "Processing with AI... the file will download when ready."
+            : "File downloaded successfully!"
+        ),
+      ]);
+    } catch (error) {
+      console.error("Element capture failed:", error);
+      renderBar([textNode(`Error: ${error.message}`)]);
+    }
+
+    setTimeout(stopPicker, 3000);
+  }
+
+  function onMouseMove(event) {
+    if (session.confirming) return;
+    setCurrent(event.target);
+  }
+
+  function onClick(event) {
+    if (event.target.id === HOST_ID) return;
+    event.preventDefault();
+    event.stopPropagation();
+    if (event.type === "click" && !session.confirming) {
+      setCurrent(event.target);
+      confirmSelection();
+    }
+  }
+
+  function onKeyDown(event) {
+    if (event.key === "Escape") {
+      stopPicker();
+    } else if (session.confirming) {
+      if (event.key === "Enter") capture(null);
+      else return;
+    } else if (event.key === "ArrowUp") {
+      expandToParent();
+    } else if (event.key === "ArrowDown") {
+      shrinkToChild();
+    } else if (event.key === "Enter") {
+      confirmSelection();
+    } else {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  const MOUSE_EVENTS = ["click", "mousedown", "mouseup", "pointerdown"];
+
+  function detachListeners() {
+    document.removeEventListener("mousemove", onMouseMove, true);
+    MOUSE_EVENTS.forEach((type) =>
+      document.removeEventListener(type, onClick, true)
+    );
+    document.removeEventListener("keydown", onKeyDown, true);
+    window.removeEventListener("scroll", updateHighlight, true);
+    window.removeEventListener("resize", updateHighlight);
+  }
+
+  function stopPicker() {
+    if (!session) return;
+    detachListeners();
+    session.host.remove();
+    session = null;
+  }
+
+  /**
+   * Starts picking in the current page. Does nothing if already active.
+   * @param {Object|null} domainRule - The rule matching this page, used for
+   *   its title/author/date selectors and selectors to remove
+   */
+  function startElementPicker(domainRule = null) {
+    if (session) return;
+
+    const host = document.createElement("div");
+    host.id = HOST_ID;
+    const shadow = host.attachShadow({ mode: "open" });
+    const style = document.createElement("style");
+    style.textContent = STYLES;
+    const highlight = document.createElement("div");
+    highlight.className = "highlight";
+    const bar = document.createElement("div");
+    bar.className = "bar";
+    shadow.append(style, highlight, bar);
+    document.documentElement.appendChild(host);
+
+    session = {
+      host,
+      highlight,
+      bar,
+      domainRule,
+      current: null,
+      history: [],
+      confirming: false,
+    };
+
+    // Start from the detected main content so keyboard-only picking works
+    const initial = extractMainContent(document, {
+      selector: domainRule?.contentSelector,
+    }).element;
+    setCurrent(initial);
+
+    document.addEventListener("mousemove", onMouseMove, true);
+    MOUSE_EVENTS.forEach((type) =>
+      document.addEventListener(type, onClick, true)
+    );
+    document.addEventListener("keydown", onKeyDown, true);
+    window.addEventListener("scroll", updateHighlight, true);
+    window.addEventListener("resize", updateHighlight);
+  }
+
+  return startElementPicker;
+})();
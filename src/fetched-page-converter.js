@@ -0,0 +1,37 @@
+/**
+ * Converts HTML fetched by the background worker (linked-page capture) with
+ * the same extraction and turndown rules used for live tabs.
+ * Loaded by offscreen.html in Chrome, where the service worker has no DOM,
+ * and directly by the Firefox background page.
+ * Requires turndown.js, turndown-tables.js, markdown-converter.js,
+ * content-extractor.js and page-content.js.
+ */
+
+/**
+ * Parses an HTML document and converts its main content to markdown
+ * @param {string} html - The fetched HTML
+ * @param {string} url - The final URL of the page (after redirects)
+ * @param {Object|null} domainRule - The rule matching the page's hostname
+ * @returns {Promise<{pageContent: Object, markdown: string}>}
+ */
+async function convertFetchedHtml(html, url, domainRule = null) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+
+  // Resolve relative links and images against the page, not the extension.
+  // Turndown copies attributes verbatim, so write the absolute URLs back.
+  if (!doc.querySelector("base[href]")) {
+    const base = doc.createElement("base");
+    base.href = url;
+    doc.head.prepend(base);
+  }
+  doc.querySelectorAll("a[href]").forEach((link) => {
+    link.setAttribute("href", link.href);
+  });
+  doc.querySelectorAll("img[src]").forEach((img) => {
+    img.setAttribute("src", img.src);
+  });
+
+  const pageContent = await getPageContent(domainRule, { document: doc, url });
+  const markdown = createTurndownService().turndown(pageContent.html);
+  return { pageContent, markdown };
+}
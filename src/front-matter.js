@@ -0,0 +1,290 @@
+/**
+ * Builds the front matter at the top of every capture, shared by the popup,
+ * the background worker and the options page. The `frontMatter` sync setting
+ * picks the format, which fields are written and under which keys, and adds
+ * constant fields:
+ * {
+ *   format: "yaml" | "fenced" | "toml" | "none",
+ *   fields: { tags: { enabled: true, key: "keywords" }, ... },
+ *   constants: [{ key: "type", value: "clipping" }]
+ * }
+ * Fields missing from `fields` are written under their own name.
+ */
+
+// In output order; the id is also the default key
+const FRONT_MATTER_FIELDS = [
+  { id: "title", label: "Page title" },
+  { id: "source", label: "Source URL" },
+  { id: "date_published", label: "Publication date" },
+  { id: "date_captured", label: "Capture date" },
+  { id: "domain", label: "Domain" },
+  { id: "capture_mode", label: "Capture mode (partial captures only)" },
+  {
+    id: "partial_capture",
+    label: "Partial capture flag (partial captures only)",
+  },
+  { id: "author", label: "Author" },
+  { id: "category", label: "Category" },
+  { id: "technologies", label: "Technologies (AI)" },
+  { id: "programming_languages", label: "Programming languages (AI)" },
+  { id: "tags", label: "Tags (AI)" },
+  { id: "key_concepts", label: "Key concepts (AI)" },
+  { id: "code_examples", label: "Contains code examples (AI)" },
+  { id: "difficulty_level", label: "Difficulty level (AI)" },
+  { id: "summary", label: "Summary (AI)" },
+];
+
+const FRONT_MATTER_FORMATS = {
+  yaml: "YAML between --- lines (Obsidian, Jekyll, Hugo)",
+  fenced: "YAML in a ```yaml code block",
+  toml: "TOML between +++ lines (Hugo)",
+  none: "No front matter",
+};
+
+const DEFAULT_FRONT_MATTER_SETTINGS = {
+  format: "yaml",
+  fields: {},
+  constants: [],
+};
+
+/**
+ * Fills in defaults and drops unknown values from a stored setting
+ * @param {Object} [settings] - The stored `frontMatter` value
+ * @returns {{format: string, fields: Object, constants: Array<Object>}}
+ *   Settings with an entry for every field
+ */
+function normalizeFrontMatterSettings(settings) {
+  const format = FRONT_MATTER_FORMATS[settings?.format]
+    ? settings.format
+    : DEFAULT_FRONT_MATTER_SETTINGS.format;
+
+  const fields = {};
+  for (const { id } of FRONT_MATTER_FIELDS) {
+    const stored = settings?.fields?.[id] || {};
+    fields[id] = {
+      enabled: stored.enabled !== false,
+      key: String(stored.key || "").trim() || id,
+    };
+  }
+
+  const constants = (
+    Array.isArray(settings?.constants) ? settings.constants : []
+  )
+    .map(({ key, value }) => ({ key: String(key || "").trim(), value }))
+    .filter(({ key }) => key);
+
+  return { format, fields, constants };
+}
+
+/**
+ * Checks that every written key is usable and unique
+ * @param {Object} settings - Normalized settings
+ * @returns {string|null} An error message, or null if the settings are valid
+ */
+function validateFrontMatterSettings(settings) {
+  const keys = [
+    ...FRONT_MATTER_FIELDS.filter(({ id }) => settings.fields[id].enabled).map(
+      ({ id }) => settings.fields[id].key
+    ),
+    ...settings.constants.map(({ key }) => key),
+  ];
+
+  const invalid = keys.find((key) => /[\n\r]/.test(key));
+  if (invalid) return `Front matter key "${invalid}" contains a line break`;
+
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) return `Front matter key "${duplicate}" is used twice`;
+
+  return null;
+}
+
+/**
+ * Reads a constant typed in the options page: true/false and numbers keep
+ * their type and [a, b] becomes a list; anything else is a string
+ * @param {string} text - The value as typed
+ * @returns {string|number|boolean|Array<string>} The value to write
+ */
+function parseFrontMatterConstant(text) {
+  const value = String(text).trim();
+  if (value === "true" || value === "false") return value === "true";
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+
+  const list = /^\[(.*)\]$/.exec(value);
+  if (list) {
+    return list[1]
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  return value;
+}
+
+/**
+ * Loads the front matter settings
+ * @returns {Promise<Object>} Normalized settings
+ */
+async function getFrontMatterSettings() {
+  const { frontMatter } = await browser.storage.sync.get("frontMatter");
+  return normalizeFrontMatterSettings(frontMatter);
+}
+
+/**
+ * Collects the value of every field for one capture
+ * @param {Object} pageContent - The extracted page; tags typed into the
+ *   preview land in pageContent.tags when there is no AI metadata
+ * @param {string} url - The page URL
+ * @param {string} category - The detected (or edited) category
+ * @param {Object|null} geminiData - The AI metadata, if any
+ * @returns {Object} Values by field id; undefined when a field doesn't apply
+ */
+function collectFrontMatterValues(pageContent, url, category, geminiData) {
+  // Pages publish dates like "n.d." or "5. März 2024" that Date can't read
+  const publicationDate = pageContent.publicationDate
+    ? new Date(pageContent.publicationDate)
+    : null;
+
+  // Selection and element-picker captures only hold part of the page
+  const captureMode = pageContent.captureMode || "page";
+  const isPartial = captureMode !== "page";
+
+  return {
+    title: pageContent.title || "",
+    source: url,
+    date_published:
+      publicationDate && !Number.isNaN(publicationDate.getTime())
+        ? publicationDate.toISOString()
+        : "unknown",
+    date_captured: new Date().toISOString(),
+    domain: new URL(url).hostname,
+    capture_mode: isPartial ? captureMode : undefined,
+    partial_capture: isPartial ? true : undefined,
+    author: pageContent.author || "Unknown",
+    category,
+    technologies: geminiData?.technologies || [],
+    programming_languages: geminiData?.programmingLanguages || [],
+    tags: geminiData?.tags || pageContent.tags || [],
+    key_concepts: geminiData?.keyConcepts || [],
+    code_examples: geminiData?.codeExamples || false,
+    difficulty_level: geminiData?.difficultyLevel || "unknown",
+    summary: geminiData?.summary || "",
+  };
+}
+
+/**
+ * Formats a YAML scalar, quoting it unless it is unambiguous as a plain string.
+ * Double-quoted JSON strings are valid YAML and escape everything needed.
+ * @param {string|number|boolean} value - The value
+ * @returns {string} The YAML text
+ */
+function formatYamlScalar(value) {
+  if (typeof value === "boolean" || typeof value === "number") {
+    return String(value);
+  }
+  const text = String(value ?? "");
+  // Words YAML 1.1 readers turn into booleans or null
+  const reserved = /^(true|false|yes|no|on|off|y|n|null)$/i;
+  if (
+    /^[A-Za-z_][\w ./-]*$/.test(text) &&
+    !/\s$/.test(text) &&
+    !reserved.test(text)
+  ) {
+    return text;
+  }
+  return JSON.stringify(text);
+}
+
+/**
+ * Serializes entries as YAML: block lists, literal blocks for multiline text
+ * @param {Array<[string, *]>} entries - Keys and values in output order
+ * @returns {string} YAML lines, newline-terminated
+ */
+function serializeYaml(entries) {
+  return entries
+    .map(([key, value]) => {
+      const yamlKey = /^[A-Za-z_][\w.-]*$/.test(key)
+        ? key
+        : JSON.stringify(key);
+
+      if (Array.isArray(value)) {
+        if (value.length === 0) return `${yamlKey}: []\n`;
+        return `${yamlKey}:\n${value
+          .map((item) => `  - ${formatYamlScalar(item)}\n`)
+          .join("")}`;
+      }
+
+      if (typeof value === "string" && value.trim().includes("\n")) {
+        // Trimmed, so the first line sets the block's indentation
+        const lines = value.trim().replace(/\r\n?/g, "\n").split("\n");
+        return `${yamlKey}: |-\n${lines
+          .map((line) => (line.trim() ? `  ${line.trimEnd()}` : ""))
+          .join("\n")}\n`;
+      }
+
+      return `${yamlKey}: ${formatYamlScalar(value)}\n`;
+    })
+    .join("");
+}
+
+/**
+ * Serializes entries as TOML
+ * @param {Array<[string, *]>} entries - Keys and values in output order
+ * @returns {string} TOML lines, newline-terminated
+ */
+function serializeToml(entries) {
+  // JSON strings are valid TOML basic strings
+  const formatValue = (value) =>
+    typeof value === "boolean" || typeof value === "number"
+      ? String(value)
+      : JSON.stringify(String(value ?? ""));
+
+  return entries
+    .map(([key, value]) => {
+      const tomlKey = /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+      const tomlValue = Array.isArray(value)
+        ? `[${value.map(formatValue).join(", ")}]`
+        : formatValue(value);
+      return `${tomlKey} = ${tomlValue}\n`;
+    })
+    .join("");
+}
+
+/**
+ * Builds the front matter and title heading that start a capture file
+ * @param {Object} pageContent - The extracted page
+ * @param {string} url - The page URL
+ * @param {string} category - The detected (or edited) category
+ * @param {Object|null} [geminiData] - The AI metadata, if any
+ * @param {Object} [settings] - From getFrontMatterSettings
+ * @returns {string} The file header, ready to be followed by the body
+ */
+function createMetadata(
+  pageContent,
+  url,
+  category,
+  geminiData = null,
+  settings = DEFAULT_FRONT_MATTER_SETTINGS
+) {
+  const { format, fields, constants } = normalizeFrontMatterSettings(settings);
+  const heading = `# ${pageContent.title}\n\n`;
+  if (format === "none") return heading;
+
+  const values = collectFrontMatterValues(
+    pageContent,
+    url,
+    category,
+    geminiData
+  );
+  const entries = FRONT_MATTER_FIELDS.filter(
+    ({ id }) => fields[id].enabled && values[id] !== undefined
+  ).map(({ id }) => [fields[id].key, values[id]]);
+  constants.forEach(({ key, value }) => entries.push([key, value]));
+
+  if (format === "toml") {
+    return `+++\n${serializeToml(entries)}+++\n\n${heading}`;
+  }
+
+  const yaml = `---\n${serializeYaml(entries)}---\n`;
+  return format === "fenced"
+    ? `\`\`\`yaml\n${yaml}\`\`\`\n\n${heading}`
+    : `${yaml}\n${heading}`;
+}
@@ -0,0 +1,221 @@
+/**
+ * The capture library page: lists the captures stored by capture-library.js
+ * with filters and full-text search, and copies, downloads or deletes them
+ * (earlier versions of a page can be copied or downloaded too).
+ */
+
+const searchInput = document.getElementById("librarySearch");
+const domainSelect = document.getElementById("libraryDomain");
+const categorySelect = document.getElementById("libraryCategory");
+const tagSelect = document.getElementById("libraryTag");
+const fromInput = document.getElementById("libraryFrom");
+const toInput = document.getElementById("libraryTo");
+const countEl = document.getElementById("libraryCount");
+const statusEl = document.getElementById("libraryStatus");
+const listEl = document.getElementById("libraryList");
+
+// Every entry, newest first; filtering happens in memory
+let libraryEntries = [];
+
+/**
+ * Fills a filter select, keeping its selection when the value still exists
+ * @param {HTMLSelectElement} select - The select
+ * @param {string} anyLabel - Label of the empty "match everything" option
+ * @param {Array<string>} values - The options
+ */
+function fillFilterSelect(select, anyLabel, values) {
+  const selected = select.value;
+  select.replaceChildren(new Option(anyLabel, ""));
+  values.forEach((value) => select.add(new Option(value, value)));
+  select.value = values.includes(selected) ? selected : "";
+}
+
+function showLibraryStatus(message, color = "green") {
+  statusEl.textContent = message;
+  statusEl.style.color = color;
+}
+
+/**
+ * Builds the card for one entry
+ * @param {Object} entry - A library entry
+ * @returns {HTMLElement} The card
+ */
+function renderLibraryEntry(entry) {
+  const card = document.createElement("div");
+  card.className = "library-entry";
+
+  const heading = document.createElement("h3");
+  const link = document.createElement("a");
+  link.href = entry.url;
+  link.target = "_blank";
+  link.rel = "noopener";
+  link.textContent = entry.title;
+  heading.appendChild(link);
+
+  const meta = document.createElement("div");
+  meta.className = "entry-meta";
+  meta.textContent = [
+    entry.domain,
+    entry.category,
+    isPartialLibraryEntry(entry) && `${entry.captureMode} capture`,
+    new Date(entry.capturedAt).toLocaleString(),
+    entry.filename,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  card.append(heading, meta);
+
+  if (entry.tags.length > 0) {
+    const tags = document.createElement("div");
+    entry.tags.forEach((tag) => {
+      const tagEl = document.createElement("span");
+      tagEl.className = "entry-tag";
+      tagEl.textContent = tag;
+      tags.appendChild(tagEl);
+    });
+    card.appendChild(tags);
+  }
+
+  if (entry.summary) {
+    const summary = document.createElement("p");
+    summary.className = "entry-summary";
+    summary.textContent = entry.summary;
+    card.appendChild(summary);
+  }
+
+  const markdown = document.createElement("pre");
+  markdown.className = "entry-markdown";
+  markdown.textContent = entry.document;
+  markdown.hidden = true;
+
+  const button = (label, className, onClick) => {
+    const element = document.createElement("button");
+    element.type = "button";
+    element.textContent = label;
+    if (className) element.className = className;
+    element.addEventListener("click", onClick);
+    return element;
+  };
+
+  const actions = document.createElement("div");
+  actions.className = "entry-actions";
+  actions.append(
+    button("Show Markdown", "secondary", (event) => {
+      markdown.hidden = !markdown.hidden;
+      event.target.textContent = markdown.hidden
+        ? "Show Markdown"
+        : "Hide Markdown";
+    }),
+    button("Copy", "", () => copyLibraryEntry(entry)),
+    button("Download", "", () => downloadLibraryEntry(entry)),
+    button("Delete", "delete", () => removeLibraryEntry(entry))
+  );
+  card.append(actions, markdown);
+
+  const versions = entry.versions || [];
+  if (versions.length > 0) {
+    const list = document.createElement("ul");
+    list.className = "entry-versions";
+    list.hidden = true;
+    versions.forEach((version) => {
+      const item = document.createElement("li");
+      item.textContent = `${new Date(
+        version.capturedAt
+      ).toLocaleString()} · ${version.filename} `;
+      item.append(
+        button("Copy", "", () => copyLibraryEntry(version)),
+        button("Download", "", () => downloadLibraryEntry(version))
+      );
+      list.appendChild(item);
+    });
+
+    actions.insertBefore(
+      button(`Earlier Versions (${versions.length})`, "secondary", () => {
+        list.hidden = !list.hidden;
+      }),
+      actions.lastChild
+    );
+    card.appendChild(list);
+  }
+
+  return card;
+}
+
+/**
+ * Shows the entries matching the current filters
+ */
+function renderLibrary() {
+  const shown = filterLibraryEntries(libraryEntries, {
+    query: searchInput.value,
+    domain: domainSelect.value,
+    category: categorySelect.value,
+    tag: tagSelect.value,
+    from: fromInput.value,
+    to: toInput.value,
+  });
+
+  countEl.textContent =
+    shown.length === libraryEntries.length
+      ? `${libraryEntries.length} capture(s)`
+      : `${shown.length} of ${libraryEntries.length} capture(s)`;
+  listEl.replaceChildren(...shown.map(renderLibraryEntry));
+}
+
+/**
+ * Reloads the entries and the filter options
+ */
+async function loadLibrary() {
+  try {
+    libraryEntries = await getLibraryEntries();
+  } catch (error) {
+    console.error("Could not open the capture library:", error);
+    countEl.textContent = `Could not open the library: ${error.message}`;
+    return;
+  }
+
+  const { domains, categories, tags } = getLibraryFacets(libraryEntries);
+  fillFilterSelect(domainSelect, "All domains", domains);
+  fillFilterSelect(categorySelect, "All categories", categories);
+  fillFilterSelect(tagSelect, "All tags", tags);
+  renderLibrary();
+}
+
+async function copyLibraryEntry(entry) {
+  try {
+    await navigator.clipboard.writeText(entry.document);
+    showLibraryStatus(`Copied "${entry.title}" to the clipboard.`);
+  } catch (error) {
+    showLibraryStatus(`Could not copy: ${error.message}`, "red");
+  }
+}
+
+async function downloadLibraryEntry(entry) {
+  try {
+    await downloadMarkdownFile(entry.filename, entry.document);
+    showLibraryStatus(`Downloaded ${entry.filename}.`);
+  } catch (error) {
+    showLibraryStatus(`Could not download: ${error.message}`, "red");
+  }
+}
+
+async function removeLibraryEntry(entry) {
+  if (!confirm(`Delete "${entry.title}" from the library?`)) return;
+
+  try {
+    await deleteLibraryEntry(entry.id);
+    showLibraryStatus(`Deleted "${entry.title}".`);
+    await loadLibrary();
+  } catch (error) {
+    showLibraryStatus(`Could not delete: ${error.message}`, "red");
+  }
+}
+
+[searchInput, fromInput, toInput].forEach((input) =>
+  input.addEventListener("input", renderLibrary)
+);
+[domainSelect, categorySelect, tagSelect].forEach((select) =>
+  select.addEventListener("change", renderLibrary)
+);
+
+document.addEventListener("DOMContentLoaded", loadLibrary);
@@ -0,0 +1,359 @@
+/**
+ * LLM provider adapters shared by the background worker, the popup and the
+ * options page. Each provider maps one prompt (plus optional page images) to
+ * its own HTTP request and pulls the generated text (and whether it hit the
+ * output limit) out of its response; an adapter may also offer a
+ * fallbackRequest for a request its server rejected.
+ * Everything else (prompt, parsing, retries) is provider-agnostic.
+ *
+ * Settings: `llmProvider` picks the adapter. Gemini keeps its original keys
+ * (`geminiApiKey`, `geminiModel`, `customModels`); the other providers store
+ * `{baseUrl, apiKey, model}` under `providerSettings[provider]`.
+ */
+
+const LLM_PROVIDERS = {
+  gemini: {
+    label: "Gemini",
+    defaultBaseUrl: "https://generativelanguage.googleapis.com/v1beta",
+    defaultModels: [
+      "gemini-2.5-pro",
+      "gemini-2.5-flash",
+      "gemini-2.5-flash-lite",
+    ],
+    requiresApiKey: true,
+
+    buildRequest({ baseUrl, apiKey, model }, prompt, images, generation) {
+      const parts = [{ text: prompt }];
+      images.forEach((imageData) => {
+        parts.push({
+          inline_data: {
+            mime_type: imageData.mimeType,
+            data: imageData.data,
+          },
+        });
+      });
+
+      const generationConfig = {
+        temperature: generation.temperature,
+        maxOutputTokens: generation.maxOutputTokens,
+      };
+      if (generation.responseSchema) {
+        generationConfig.responseMimeType = "application/json";
+        generationConfig.responseSchema = toGeminiSchema(
+          generation.responseSchema
+        );
+      }
+
+      return {
+        url: `${baseUrl}/models/${model}:generateContent?key=${apiKey}`,
+        headers: {},
+        body: {
+          contents: [{ parts }],
+          generationConfig,
+        },
+      };
+    },
+
+    parseResponse(data) {
+      return data?.candidates?.[0]?.content?.parts?.[0]?.text;
+    },
+
+    isTruncated(data) {
+      return data?.candidates?.[0]?.finishReason === "MAX_TOKENS";
+    },
+  },
+
+  openai: {
+    label: "OpenAI-compatible",
+    defaultBaseUrl: "https://api.openai.com/v1",
+    defaultModels: ["gpt-4o", "gpt-4o-mini", "gpt-4.1-mini"],
+    // Local servers (LM Studio, vLLM, ...) usually run without a key
+    requiresApiKey: false,
+
+    buildRequest({ baseUrl, apiKey, model }, prompt, images, generation) {
+      const content =
+        images.length > 0
+          ? [
+              { type: "text", text: prompt },
+              ...images.map((imageData) => ({
+                type: "image_url",
+                image_url: {
+                  url: `data:${imageData.mimeType};base64,${imageData.data}`,
+                },
+              })),
+            ]
+          : prompt;
+
+      const body = {
+        model,
+        messages: [{ role: "user", content }],
+        temperature: generation.temperature,
+        max_tokens: generation.maxOutputTokens,
+      };
+      if (generation.responseSchema) {
+        body.response_format = {
+          type: "json_schema",
+          json_schema: { name: "response", schema: generation.responseSchema },
+        };
+      }
+
+      return {
+        url: `${baseUrl}/chat/completions`,
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body,
+      };
+    },
+
+    // Many compatible servers reject json_schema output with a 400; without
+    // response_format the prompt still asks for JSON and the reply is
+    // validated (and repaired) like any other
+    fallbackRequest(request, status, errorText) {
+      if (status !== 400 || !request.body.response_format) return null;
+      if (!/response_format|json_schema/i.test(errorText)) return null;
+      const { response_format, ...body } = request.body;
+      return { ...request, body };
+    },
+
+    parseResponse(data) {
+      return data?.choices?.[0]?.message?.content;
+    },
+
+    isTruncated(data) {
+      return data?.choices?.[0]?.finish_reason === "length";
+    },
+  },
+
+  ollama: {
+    label: "Ollama",
+    defaultBaseUrl: "http://localhost:11434",
+    defaultModels: ["llama3.1", "qwen2.5", "mistral", "llava"],
+    requiresApiKey: false,
+
+    buildRequest({ baseUrl, apiKey, model }, prompt, images, generation) {
+      const message = { role: "user", content: prompt };
+      if (images.length > 0) {
+        message.images = images.map((imageData) => imageData.data);
+      }
+
+      const body = {
+        model,
+        messages: [message],
+        stream: false,
+        options: {
+          temperature: generation.temperature,
+          num_predict: generation.maxOutputTokens,
+        },
+      };
+      if (generation.responseSchema) {
+        body.format = generation.responseSchema;
+      }
+
+      return {
+        url: `${baseUrl}/api/chat`,
+        // Only needed when Ollama sits behind an authenticating proxy
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body,
+      };
+    },
+
+    parseResponse(data) {
+      return data?.message?.content;
+    },
+
+    isTruncated(data) {
+      return data?.done_reason === "length";
+    },
+  },
+};
+
+/**
+ * Gemini's responseSchema is an OpenAPI subset with upper-case type names
+ * @param {Object} schema - JSON Schema (type, properties, required, items, enum)
+ * @returns {Object} The same schema in Gemini's notation
+ */
+function toGeminiSchema(schema) {
+  const converted = { ...schema, type: schema.type.toUpperCase() };
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [
+        key,
+        toGeminiSchema(value),
+      ])
+    );
+  }
+  return converted;
+}
+
+const DEFAULT_GENERATION = {
+  temperature: 0.3,
+  maxOutputTokens: 8192,
+};
+
+/**
+ * Loads the selected provider and its connection settings
+ * @returns {Promise<{provider: string, label: string, baseUrl: string,
+ *   apiKey: string, model: string, ready: boolean}>} `ready` is false until
+ *   the provider has everything it needs to be called
+ */
+async function getLlmSettings() {
+  const stored = await browser.storage.sync.get({
+    llmProvider: "gemini",
+    geminiApiKey: "",
+    geminiModel: "gemini-2.5-pro",
+    providerSettings: {},
+  });
+
+  const provider = LLM_PROVIDERS[stored.llmProvider]
+    ? stored.llmProvider
+    : "gemini";
+  const definition = LLM_PROVIDERS[provider];
+  const own = stored.providerSettings[provider] || {};
+
+  const settings = {
+    provider,
+    label: definition.label,
+    baseUrl: (own.baseUrl || definition.defaultBaseUrl).replace(/\/+$/, ""),
+    apiKey: provider === "gemini" ? stored.geminiApiKey : own.apiKey || "",
+    model:
+      (provider === "gemini" ? stored.geminiModel : own.model) ||
+      definition.defaultModels[0],
+  };
+  settings.ready = Boolean(
+    settings.baseUrl &&
+    settings.model &&
+    (settings.apiKey || !definition.requiresApiKey)
+  );
+  return settings;
+}
+
+/**
+ * POSTs JSON, retrying with exponential backoff while the service is
+ * overloaded (503), rate limited (429) or unreachable
+ * @param {string} url - The endpoint
+ * @param {Object} headers - Extra request headers
+ * @param {Object} body - The JSON body
+ * @returns {Promise<Response>} The last response (callers check `ok`)
+ */
+async function fetchWithBackoff(url, headers, body) {
+  const maxRetries = 8;
+  const baseDelay = 2; // in seconds
+
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(body),
+      });
+
+      // If the request was successful, return the result immediately
+      if (response.ok) {
+        return response;
+      }
+
+      // If the model is overloaded (503) or we hit the rate limit (429), retry
+      if (response.status === 503 || response.status === 429) {
+        // If this was the last attempt, hand the failure back
+        if (attempt === maxRetries - 1) {
+          return response;
+        }
+
+        // Otherwise, wait and continue to the next attempt
+        const delay = baseDelay * Math.pow(2, attempt) + Math.random();
+        console.log(
+          `Model busy (${response.status}). Retrying in ${delay.toFixed(
+            2
+          )} seconds...`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay * 1000));
+        continue; // Go to the next iteration of the loop
+      }
+
+      // For any other non-successful response, return it immediately
+      console.log(`Request failed with status ${response.status}`);
+      return response;
+    } catch (error) {
+      // Handle network errors or errors from the checks above
+      if (attempt === maxRetries - 1) {
+        console.error("API call failed after all retries.", error);
+        throw error; // Re-throw the final error
+      }
+      // For network errors, we can also retry
+      const delay = baseDelay * Math.pow(2, attempt) + Math.random();
+      console.log(
+        `Encountered an error. Retrying in ${delay.toFixed(2)} seconds...`,
+        error.message
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay * 1000));
+    }
+  }
+}
+
+/**
+ * Sends a prompt to the configured provider and returns the generated text
+ * @param {Object} settings - From getLlmSettings
+ * @param {string} prompt - The prompt text
+ * @param {Array<{data: string, mimeType: string}>} [images] - Base64 images
+ * @param {Object} [generation] - {temperature, maxOutputTokens,
+ *   responseSchema}; responseSchema asks for JSON in that shape
+ * @returns {Promise<{text: string, truncated: boolean}>} The model's reply;
+ *   truncated is set when it stopped at the output token limit
+ */
+async function generateWithProvider(
+  settings,
+  prompt,
+  images = [],
+  generation = {}
+) {
+  const definition = LLM_PROVIDERS[settings.provider];
+  if (!definition) {
+    throw new Error(`Unknown AI provider: ${settings.provider}`);
+  }
+  if (definition.requiresApiKey && !settings.apiKey) {
+    throw new Error(`${definition.label} API key not configured`);
+  }
+
+  const request = definition.buildRequest(settings, prompt, images, {
+    ...DEFAULT_GENERATION,
+    ...generation,
+  });
+  let response = await fetchWithBackoff(
+    request.url,
+    request.headers,
+    request.body
+  );
+
+  if (!response.ok) {
+    let errorData = await response.text();
+    const fallback = definition.fallbackRequest?.(
+      request,
+      response.status,
+      errorData
+    );
+    if (fallback) {
+      console.log(
+        `${definition.label} rejected the request (${response.status}), retrying once with the fallback request`
+      );
+      response = await fetchWithBackoff(
+        fallback.url,
+        fallback.headers,
+        fallback.body
+      );
+      if (!response.ok) errorData = await response.text();
+    }
+    if (!response.ok) {
+      throw new Error(
+        `${definition.label} API error: ${response.status} - ${errorData}`
+      );
+    }
+  }
+
+  const data = await response.json();
+  const text = definition.parseResponse(data);
+  if (typeof text !== "string") {
+    console.error(`Unexpected ${definition.label} response structure:`, data);
+    throw new Error(`Invalid response structure from ${definition.label}`);
+  }
+  return { text, truncated: definition.isTruncated(data) };
+}
@@ -0,0 +1,151 @@
+/**
+ * Splits long Markdown into pieces small enough for one AI request, loaded by
+ * the background worker. Pieces break at headings (or, inside an oversized
+ * section, at blank lines) and never inside fenced code blocks, so the
+ * pieces can be processed separately and joined back in order. Also checks
+ * that an AI rewrite kept the headings and code blocks of the original.
+ */
+
+/**
+ * Returns a pattern for the line closing a fence opened by this line
+ * @param {string} line - A Markdown line
+ * @returns {RegExp|null} null when the line doesn't open a fence
+ */
+function getClosingFence(line) {
+  const opening = /^\s{0,3}(`{3,}|~{3,})/.exec(line);
+  if (!opening) return null;
+  // Closed by the same character, at least as many times
+  return new RegExp(`^\\s{0,3}${opening[1][0]}{${opening[1].length},}\\s*$`);
+}
+
+/**
+ * Cuts Markdown into blocks, starting a new block at every boundary line
+ * that is outside a fenced code block
+ * @param {string} markdown - The Markdown
+ * @param {function(string): boolean} isBoundary - Tests a line
+ * @returns {Array<string>} Blocks; joined with "\n" they give back the input
+ */
+function splitMarkdownAtLines(markdown, isBoundary) {
+  const blocks = [];
+  let current = [];
+  let closingFence = null;
+
+  for (const line of markdown.split("\n")) {
+    if (!closingFence && current.length > 0 && isBoundary(line)) {
+      blocks.push(current.join("\n"));
+      current = [];
+    }
+    current.push(line);
+
+    if (closingFence) {
+      if (closingFence.test(line)) closingFence = null;
+    } else {
+      closingFence = getClosingFence(line);
+    }
+  }
+
+  if (current.length > 0) blocks.push(current.join("\n"));
+  return blocks;
+}
+
+/**
+ * Splits Markdown into chunks of at most maxChars where possible. A single
+ * code block longer than maxChars stays whole.
+ * @param {string} markdown - The Markdown
+ * @param {number} maxChars - Target chunk size
+ * @returns {Array<string>} Chunks in document order
+ */
+function splitMarkdownIntoChunks(markdown, maxChars) {
+  if (markdown.length <= maxChars) return [markdown];
+
+  const pieces = [];
+  const sections = splitMarkdownAtLines(markdown, (line) =>
+    /^#{1,6}\s/.test(line)
+  );
+  for (const section of sections) {
+    if (section.length <= maxChars) {
+      pieces.push(section);
+    } else {
+      pieces.push(
+        ...splitMarkdownAtLines(section, (line) => line.trim() === "")
+      );
+    }
+  }
+
+  // Pack neighbouring pieces back together up to the size limit
+  const chunks = [];
+  let current = "";
+  for (const piece of pieces) {
+    if (current && current.length + 1 + piece.length > maxChars) {
+      chunks.push(current);
+      current = piece;
+    } else {
+      current = current ? `${current}\n${piece}` : piece;
+    }
+  }
+  if (current) chunks.push(current);
+
+  return chunks.filter((chunk) => chunk.trim());
+}
+
+/**
+ * Lists the headings and fenced code blocks of Markdown, whitespace-normalized
+ * so re-indenting or re-wrapping doesn't count as a change
+ * @param {string} markdown - The Markdown
+ * @returns {{headings: Array<string>, codeBlocks: Array<string>}}
+ */
+function collectMarkdownStructure(markdown) {
+  const normalize = (text) => text.replace(/\s+/g, " ").trim().toLowerCase();
+  const headings = [];
+  const codeBlocks = [];
+  let closingFence = null;
+  let code = [];
+
+  for (const line of markdown.split("\n")) {
+    if (closingFence) {
+      if (closingFence.test(line)) {
+        codeBlocks.push(normalize(code.join("\n")));
+        closingFence = null;
+      } else {
+        code.push(line);
+      }
+    } else if ((closingFence = getClosingFence(line))) {
+      code = [];
+    } else {
+      const heading = /^#{1,6}\s+(.*?)\s*#*\s*$/.exec(line);
+      // Escapes and emphasis markers may be tidied up by a rewrite
+      if (heading) headings.push(normalize(heading[1].replace(/[\\*_`]/g, "")));
+    }
+  }
+  // An unclosed fence runs to the end of the document
+  if (closingFence) codeBlocks.push(normalize(code.join("\n")));
+
+  return { headings, codeBlocks };
+}
+
+/**
+ * Compares a rewrite with its original and reports the headings and code
+ * blocks that no longer appear in it
+ * @param {string} original - The converted Markdown
+ * @param {string} rewritten - The AI's version
+ * @returns {Array<string>} Human-readable problems, empty when nothing is lost
+ */
+function findMissingStructure(original, rewritten) {
+  const before = collectMarkdownStructure(original);
+  const after = collectMarkdownStructure(rewritten);
+  const problems = [];
+
+  for (const heading of before.headings) {
+    if (!after.headings.includes(heading)) {
+      problems.push(`heading "${heading}" is missing`);
+    }
+  }
+  for (const block of before.codeBlocks) {
+    if (!after.codeBlocks.includes(block)) {
+      problems.push(
+        `code block "${block.slice(0, 40)}..." is missing or changed`
+      );
+    }
+  }
+  return problems;
+}
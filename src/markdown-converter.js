@@ -0,0 +1,49 @@
+/**
+ * Turndown configuration shared by the popup and scripts injected into the
+ * page (element picker). Requires turndown.js and turndown-tables.js.
+ */
+
+/**
+ * Creates a TurndownService with the extension's rules
+ * @returns {TurndownService} The configured service
+ */
+function createTurndownService() {
+  // Note: 'atx' is the desired heading style (e.g., # Heading).
+  // The provided Turndown library version defaults to 'setext' for H1/H2.
+  // Setting headingStyle to anything other than 'setext' forces 'atx' style for all headings.
+  const turndownService = new TurndownService({
+    headingStyle: "atx",
+    hr: "---",
+    bulletListMarker: "*",
+    codeBlockStyle: "fenced",
+  });
+
+  // Add rule for better code block handling with language detection
+  turndownService.addRule("enhancedCodeBlock", {
+    filter: function (node) {
+      return node.nodeName === "PRE" && node.querySelector("code");
+    },
+    replacement: function (content, node) {
+      const codeEl = node.querySelector("code");
+      if (!codeEl) return "\n```\n" + content + "\n```\n";
+
+      // Extract language from class name
+      let lang = "";
+      const className = codeEl.className || "";
+      const langMatch = className.match(/(?:lang|language)-(\w+)/);
+      if (langMatch) {
+        lang = langMatch[1];
+      }
+
+      // Get the actual code content
+      const code = codeEl.textContent || content;
+
+      return "\n```" + lang + "\n" + code.trim() + "\n```\n";
+    },
+  });
+
+  // Add GFM pipe table support (see turndown-tables.js)
+  turndownService.use(turndownTablesPlugin);
+
+  return turndownService;
+}
@@ -0,0 +1,445 @@
+/**
+ * Minimal Markdown renderer for the popup preview pane.
+ * Covers what our own converter emits (headings, paragraphs, fenced code,
+ * lists, blockquotes, GFM tables, links, images, emphasis) and builds DOM
+ * nodes directly, so captured text is never parsed as HTML. Raw HTML blocks
+ * (complex tables kept as HTML) go through an allowlist first.
+ */
+
+// Tags and attributes kept when rendering raw HTML blocks
+const PREVIEW_HTML_TAGS = [
+  "TABLE",
+  "CAPTION",
+  "THEAD",
+  "TBODY",
+  "TFOOT",
+  "TR",
+  "TH",
+  "TD",
+  "P",
+  "BR",
+  "A",
+  "IMG",
+  "UL",
+  "OL",
+  "LI",
+  "PRE",
+  "CODE",
+  "EM",
+  "STRONG",
+  "BLOCKQUOTE",
+  "H1",
+  "H2",
+  "H3",
+  "H4",
+  "H5",
+  "H6",
+];
+const PREVIEW_HTML_ATTRIBUTES = [
+  "colspan",
+  "rowspan",
+  "align",
+  "href",
+  "src",
+  "alt",
+];
+
+// Inline syntax, in the order ties are resolved
+const PREVIEW_INLINE_PATTERNS = [
+  { type: "escape", regex: /\\([\\`*_{}\[\]()#+\-.!|>~])/ },
+  { type: "code", regex: /`([^`]+)`/ },
+  { type: "image", regex: /!\[([^\]]*)\]\((\S+?)(?:\s+"[^"]*")?\)/ },
+  { type: "link", regex: /\[([^\]]+)\]\((\S+?)(?:\s+"[^"]*")?\)/ },
+  { type: "strong", regex: /\*\*(.+?)\*\*|__(.+?)__/ },
+  { type: "em", regex: /\*([^*\s][^*]*?)\*|\b_([^_]+)_\b/ },
+  { type: "break", regex: /<br\s*\/?>/i },
+];
+
+/**
+ * Allows only web and inline-image URLs in rendered links and images
+ * @param {string} url - The URL from the Markdown
+ * @param {boolean} [allowDataImages] - Accept data:image URLs (images only)
+ * @returns {string|null} The URL, or null if it must not be used
+ */
+function safePreviewUrl(url, allowDataImages = false) {
+  if (/^(https?:|mailto:)/i.test(url)) return url;
+  if (allowDataImages && /^data:image\//i.test(url)) return url;
+  return null;
+}
+
+/**
+ * Appends inline Markdown to an element
+ * @param {Element} parent - The element to fill
+ * @param {string} text - Inline Markdown
+ */
+function renderPreviewInline(parent, text) {
+  let rest = text;
+
+  while (rest) {
+    let next = null;
+    for (const pattern of PREVIEW_INLINE_PATTERNS) {
+      const match = pattern.regex.exec(rest);
+      if (match && (!next || match.index < next.match.index)) {
+        next = { type: pattern.type, match };
+      }
+    }
+
+    if (!next) {
+      parent.append(rest);
+      return;
+    }
+
+    const { type, match } = next;
+    if (match.index > 0) parent.append(rest.slice(0, match.index));
+    rest = rest.slice(match.index + match[0].length);
+
+    if (type === "escape") {
+      parent.append(match[1]);
+    } else if (type === "code") {
+      const code = document.createElement("code");
+      code.textContent = match[1];
+      parent.appendChild(code);
+    } else if (type === "image") {
+      const src = safePreviewUrl(match[2], true);
+      if (src) {
+        const img = document.createElement("img");
+        img.src = src;
+        img.alt = match[1];
+        parent.appendChild(img);
+      } else {
+        parent.append(match[1]);
+      }
+    } else if (type === "link") {
+      const href = safePreviewUrl(match[2]);
+      const link = document.createElement(href ? "a" : "span");
+      if (href) {
+        link.href = href;
+        link.target = "_blank";
+        link.rel = "noopener noreferrer";
+      }
+      renderPreviewInline(link, match[1]);
+      parent.appendChild(link);
+    } else if (type === "break") {
+      parent.appendChild(document.createElement("br"));
+    } else {
+      const element = document.createElement(type);
+      renderPreviewInline(element, match[1] ?? match[2]);
+      parent.appendChild(element);
+    }
+  }
+}
+
+/**
+ * Copies an HTML block into the preview, keeping only allowlisted markup
+ * @param {Element} parent - The element to fill
+ * @param {string} html - The raw HTML block
+ */
+function renderPreviewHtml(parent, html) {
+  const source = new DOMParser().parseFromString(html, "text/html").body;
+
+  const copy = (node, target) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        target.append(child.textContent);
+      } else if (
+        child.nodeType !== Node.ELEMENT_NODE ||
+        ["SCRIPT", "STYLE", "TEMPLATE"].includes(child.nodeName)
+      ) {
+        continue;
+      } else if (PREVIEW_HTML_TAGS.includes(child.nodeName)) {
+        const element = document.createElement(child.nodeName);
+        for (const name of PREVIEW_HTML_ATTRIBUTES) {
+          const value = child.getAttribute(name);
+          if (value === null) continue;
+          if (name === "href" || name === "src") {
+            const url = safePreviewUrl(value, name === "src");
+            if (url) element.setAttribute(name, url);
+          } else {
+            element.setAttribute(name, value);
+          }
+        }
+        copy(child, element);
+        target.appendChild(element);
+      } else {
+        // Unknown wrappers are dropped but their text is kept
+        copy(child, target);
+      }
+    }
+  };
+
+  copy(source, parent);
+}
+
+/**
+ * Splits a GFM table row into its cells, honouring escaped pipes
+ * @param {string} line - The table row
+ * @returns {Array<string>} The cell contents
+ */
+function splitPreviewTableRow(line) {
+  const cells = [];
+  let current = "";
+  const body = line.trim().replace(/^\|/, "").replace(/\|$/, "");
+
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === "\\" && body[i + 1] === "|") {
+      current += "\\|";
+      i++;
+    } else if (body[i] === "|") {
+      cells.push(current.trim());
+      current = "";
+    } else {
+      current += body[i];
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+/**
+ * Builds a table element from GFM table lines
+ * @param {Array<string>} lines - Header, delimiter and body rows
+ * @returns {HTMLTableElement} The table
+ */
+function renderPreviewTable(lines) {
+  const [header, delimiter, ...body] = lines;
+  const alignments = splitPreviewTableRow(delimiter).map((cell) => {
+    if (/^:-+:$/.test(cell)) return "center";
+    if (/^-+:$/.test(cell)) return "right";
+    if (/^:-+$/.test(cell)) return "left";
+    return "";
+  });
+
+  const table = document.createElement("table");
+  const addRow = (section, line, cellTag) => {
+    const row = document.createElement("tr");
+    splitPreviewTableRow(line).forEach((text, index) => {
+      const cell = document.createElement(cellTag);
+      if (alignments[index]) cell.style.textAlign = alignments[index];
+      renderPreviewInline(cell, text.replace(/\\\|/g, "|"));
+      row.appendChild(cell);
+    });
+    section.appendChild(row);
+  };
+
+  const thead = document.createElement("thead");
+  addRow(thead, header, "th");
+  table.appendChild(thead);
+
+  const tbody = document.createElement("tbody");
+  body.forEach((line) => addRow(tbody, line, "td"));
+  table.appendChild(tbody);
+
+  return table;
+}
+
+/**
+ * Builds nested lists from list lines, using indentation for nesting
+ * @param {Array<string>} lines - Consecutive list lines
+ * @returns {HTMLElement} The outermost <ul> or <ol>
+ */
+function renderPreviewList(lines) {
+  const stack = [];
+  let root = null;
+
+  for (const line of lines) {
+    const match = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/.exec(line);
+    if (!match) {
+      // Continuation line of the previous item
+      const lastItem = stack.length && stack[stack.length - 1].list.lastChild;
+      if (lastItem) {
+        lastItem.append(" ");
+        renderPreviewInline(lastItem, line.trim());
+      }
+      continue;
+    }
+
+    const indent = match[1].length;
+    const tag = /\d/.test(match[2]) ? "ol" : "ul";
+
+    while (stack.length > 1 && indent < stack[stack.length - 1].indent) {
+      stack.pop();
+    }
+
+    let level = stack[stack.length - 1];
+    if (!level || indent > level.indent) {
+      const list = document.createElement(tag);
+      if (level && level.list.lastChild) {
+        level.list.lastChild.appendChild(list);
+      } else if (!root) {
+        root = list;
+      }
+      level = { indent, list };
+      stack.push(level);
+    }
+
+    const item = document.createElement("li");
+    const task = /^\[([ xX])\]\s+(.*)$/.exec(match[3]);
+    if (task) {
+      item.append(task[1] === " " ? "☐ " : "☑ ");
+      renderPreviewInline(item, task[2]);
+    } else {
+      renderPreviewInline(item, match[3]);
+    }
+    level.list.appendChild(item);
+  }
+
+  return root;
+}
+
+/**
+ * Renders Markdown into a container, replacing its previous content
+ * @param {Element} container - The preview element
+ * @param {string} markdown - The Markdown to render
+ */
+function renderMarkdownPreview(container, markdown) {
+  container.textContent = "";
+  let text = markdown.replace(/\r\n?/g, "\n");
+
+  // YAML (---) or TOML (+++) front matter is shown as code, not as Markdown
+  const frontMatter = /^(---|\+\+\+)\n([\s\S]*?)\n\1\n/.exec(text);
+  if (frontMatter) {
+    const pre = document.createElement("pre");
+    const element = document.createElement("code");
+    element.dataset.language = frontMatter[1] === "---" ? "yaml" : "toml";
+    element.textContent = frontMatter[2];
+    pre.appendChild(element);
+    container.appendChild(pre);
+    text = text.slice(frontMatter[0].length);
+  }
+
+  renderPreviewBlocks(container, text.split("\n"));
+}
+
+/**
+ * Renders block-level Markdown lines into a parent element
+ * @param {Element} parent - The element to fill
+ * @param {Array<string>} lines - The Markdown lines
+ */
+function renderPreviewBlocks(parent, lines) {
+  const isListLine = (line) => /^\s*([-*+]|\d+[.)])\s+/.test(line);
+  const isTableStart = (index) =>
+    /^\s*\|/.test(lines[index]) &&
+    /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[index + 1] || "");
+  const startsBlock = (index) => {
+    const line = lines[index];
+    return (
+      /^(```|~~~)/.test(line) ||
+      /^#{1,6}\s/.test(line) ||
+      /^>/.test(line) ||
+      /^\s*<(table|div|p|pre|ul|ol|blockquote|figure|details)\b/i.test(line) ||
+      isListLine(line) ||
+      isTableStart(index)
+    );
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = /^(```|~~~)\s*([\w+-]*)/.exec(line);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // Closing fence
+
+      const pre = document.createElement("pre");
+      const element = document.createElement("code");
+      if (fence[2]) element.dataset.language = fence[2];
+      element.textContent = code.join("\n");
+      pre.appendChild(element);
+      parent.appendChild(pre);
+      continue;
+    }
+
+    const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      const element = document.createElement(`h${heading[1].length}`);
+      renderPreviewInline(element, heading[2]);
+      parent.appendChild(element);
+      i++;
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      parent.appendChild(document.createElement("hr"));
+      i++;
+      continue;
+    }
+
+    if (/^>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^>/.test(lines[i])) {
+        quoted.push(lines[i].replace(/^>\s?/, ""));
+        i++;
+      }
+      const blockquote = document.createElement("blockquote");
+      renderPreviewBlocks(blockquote, quoted);
+      parent.appendChild(blockquote);
+      continue;
+    }
+
+    if (isTableStart(i)) {
+      const rows = [];
+      while (i < lines.length && /^\s*\|/.test(lines[i])) {
+        rows.push(lines[i]);
+        i++;
+      }
+      parent.appendChild(renderPreviewTable(rows));
+      continue;
+    }
+
+    if (/^\s*</.test(line) && startsBlock(i)) {
+      const html = [];
+      while (i < lines.length && lines[i].trim()) {
+        html.push(lines[i]);
+        i++;
+      }
+      renderPreviewHtml(parent, html.join("\n"));
+      continue;
+    }
+
+    if (isListLine(line)) {
+      // A top-level item with the other marker type starts a new list
+      const ordered = /^\d/.test(line.trim());
+      const switchesType = (next) =>
+        isListLine(next) && !/^\s/.test(next) && /^\d/.test(next) !== ordered;
+
+      const items = [];
+      while (
+        i < lines.length &&
+        !switchesType(lines[i]) &&
+        (isListLine(lines[i]) ||
+          (lines[i].trim() && /^\s+/.test(lines[i])) ||
+          (!lines[i].trim() && isListLine(lines[i + 1] || "")))
+      ) {
+        if (lines[i].trim()) items.push(lines[i]);
+        i++;
+      }
+      parent.appendChild(renderPreviewList(items));
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && !startsBlock(i)) {
+      paragraph.push(lines[i].replace(/^\s+/, ""));
+      i++;
+    }
+    if (paragraph.length === 0) {
+      // A line that looked like a block start but wasn't one
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    const p = document.createElement("p");
+    renderPreviewInline(p, paragraph.join("\n").replace(/ {2,}\n/g, "<br>"));
+    parent.appendChild(p);
+  }
+}
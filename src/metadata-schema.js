@@ -0,0 +1,204 @@
+/**
+ * Shape of the metadata reply requested from the AI provider, loaded by the
+ * background worker. The schema is sent with the request (structured output)
+ * and the reply is validated against it again here before it's trusted.
+ * Only the JSON Schema subset every provider understands is used: type,
+ * properties, required, items and enum, plus description, which is sent to
+ * the providers as guidance for each field but not validated.
+ */
+
+const METADATA_SCHEMA = {
+  type: "object",
+  properties: {
+    technologies: {
+      type: "array",
+      items: { type: "string" },
+      description:
+        "All technologies, frameworks, libraries and tools mentioned",
+    },
+    programmingLanguages: {
+      type: "array",
+      items: { type: "string" },
+      description: "Programming languages only, not frameworks",
+    },
+    tags: {
+      type: "array",
+      items: { type: "string" },
+      description: "Lowercase, hyphenated categorization terms (max 10)",
+    },
+    keyConcepts: {
+      type: "array",
+      items: { type: "string" },
+      description: "Main technical concepts, patterns or methodologies (max 8)",
+    },
+    codeExamples: {
+      type: "boolean",
+      description: "Whether the content contains code examples",
+    },
+    difficultyLevel: {
+      type: "string",
+      enum: ["beginner", "intermediate", "advanced"],
+    },
+    summary: {
+      type: "string",
+      description: "4-6 sentence summary",
+    },
+    content: {
+      type: "string",
+      description: "The improved markdown content",
+    },
+  },
+  required: [
+    "technologies",
+    "programmingLanguages",
+    "tags",
+    "keyConcepts",
+    "codeExamples",
+    "difficultyLevel",
+    "summary",
+    "content",
+  ],
+};
+
+// Metadata-only enrichment: the same fields without the rewritten body
+const METADATA_ONLY_SCHEMA = {
+  ...METADATA_SCHEMA,
+  properties: Object.fromEntries(
+    Object.entries(METADATA_SCHEMA.properties).filter(
+      ([key]) => key !== "content"
+    )
+  ),
+  required: METADATA_SCHEMA.required.filter((key) => key !== "content"),
+};
+
+/**
+ * Checks a value against the schema subset above
+ * @param {*} value - The value to check
+ * @param {Object} schema - The schema
+ * @param {string} [path] - Location used in messages
+ * @returns {Array<string>} Problems found, empty when valid
+ */
+function validateSchema(value, schema, path = "reply") {
+  const actualType = Array.isArray(value)
+    ? "array"
+    : value === null
+      ? "null"
+      : typeof value;
+  if (actualType !== schema.type) {
+    return [`${path} should be ${schema.type}, got ${actualType}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(", ")}`);
+  }
+  if (schema.type === "array") {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is missing`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (key in value) {
+        errors.push(
+          ...validateSchema(value[key], propertySchema, `${path}.${key}`)
+        );
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Parses and validates a metadata reply
+ * @param {string} text - The model's reply
+ * @param {Object} [schema] - METADATA_SCHEMA or METADATA_ONLY_SCHEMA
+ * @returns {{metadata: Object|null, errors: Array<string>}} metadata is set
+ *   only when the reply is valid; list entries are trimmed and "none" dropped,
+ *   content is "" when the schema has none
+ */
+function parseMetadataReply(text, schema = METADATA_SCHEMA) {
+  // Some models wrap JSON in a code fence even in JSON mode
+  const json = text
+    .trim()
+    .replace(/^```(?:json)?\s*\n/i, "")
+    .replace(/\n?```$/, "");
+
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    return { metadata: null, errors: [`reply is not JSON (${error.message})`] };
+  }
+
+  const errors = validateSchema(value, schema);
+  if (errors.length > 0) {
+    return { metadata: null, errors };
+  }
+
+  const cleanList = (items) =>
+    items
+      .map((item) => item.trim())
+      .filter((item) => item && item.toLowerCase() !== "none");
+
+  return {
+    metadata: {
+      technologies: cleanList(value.technologies),
+      programmingLanguages: cleanList(value.programmingLanguages),
+      tags: cleanList(value.tags),
+      keyConcepts: cleanList(value.keyConcepts),
+      codeExamples: value.codeExamples,
+      difficultyLevel: value.difficultyLevel,
+      summary: value.summary.trim(),
+      content: (value.content || "").trim(),
+    },
+    errors: [],
+  };
+}
+
+/**
+ * Combines the metadata of a long document's chunks
+ * @param {Array<Object>} parts - Per-chunk metadata in document order
+ * @returns {Object} Metadata with de-duplicated lists, the highest difficulty
+ *   level and the chunks' content joined in order; summary is the chunk
+ *   summaries run together, for the caller to condense
+ */
+function mergeChunkMetadata(parts) {
+  // Case-insensitive de-duplication keeping the first spelling seen
+  const mergeLists = (key, limit) => {
+    const seen = new Map();
+    for (const part of parts) {
+      for (const item of part[key]) {
+        if (!seen.has(item.toLowerCase())) seen.set(item.toLowerCase(), item);
+      }
+    }
+    return Array.from(seen.values()).slice(0, limit);
+  };
+
+  const levels = METADATA_SCHEMA.properties.difficultyLevel.enum;
+  const difficultyLevel = parts
+    .map((part) => part.difficultyLevel)
+    .filter((level) => levels.includes(level))
+    .reduce(
+      (highest, level) =>
+        levels.indexOf(level) > levels.indexOf(highest) ? level : highest,
+      null
+    );
+
+  return {
+    technologies: mergeLists("technologies"),
+    programmingLanguages: mergeLists("programmingLanguages"),
+    tags: mergeLists("tags", 10),
+    keyConcepts: mergeLists("keyConcepts", 8),
+    codeExamples: parts.some((part) => part.codeExamples),
+    difficultyLevel: difficultyLevel || "intermediate",
+    summary: parts
+      .map((part) => part.summary)
+      .filter(Boolean)
+      .join(" "),
+    content: parts.map((part) => part.content).join("\n\n"),
+  };
+}
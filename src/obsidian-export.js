@@ -0,0 +1,170 @@
+/**
+ * The Obsidian output profile, shared by the popup, the background worker and
+ * the options page. When the `obsidian` sync setting is enabled, captures get
+ * plain YAML front matter with Obsidian-style tags (and optionally
+ * [[wikilinks]] for technologies and key concepts), and are delivered into
+ * the vault instead of the download folder:
+ * {
+ *   enabled: true,
+ *   delivery: "download" | "uri",
+ *   vault: "Notes",                   // vault name for obsidian:// URIs
+ *   vaultFolder: "Obsidian/Notes",    // the vault, inside the download folder
+ *   noteFolder: "Clippings/{category}",
+ *   attachmentsFolder: "attachments", // vault-relative
+ *   wikilinks: true
+ * }
+ * Downloads save images into the attachments folder; obsidian://new URIs
+ * carry only the text, so their images stay remote.
+ */
+
+const OBSIDIAN_DELIVERY_MODES = {
+  download: "Download into the vault folder",
+  uri: "Open in Obsidian (obsidian://new)",
+};
+
+const DEFAULT_OBSIDIAN_SETTINGS = {
+  enabled: false,
+  delivery: "download",
+  vault: "",
+  vaultFolder: "",
+  noteFolder: "Clippings/{category}",
+  attachmentsFolder: "attachments",
+  wikilinks: true,
+};
+
+/**
+ * Cleans a relative folder path: no empty, "." or ".." segments and none of
+ * the characters file systems (or Obsidian links) reject
+ * @param {string} path - The path as typed
+ * @returns {string} Segments joined with "/", "" for the root
+ */
+function normalizeVaultPath(path) {
+  return String(path || "")
+    .split(/[\\/]+/)
+    .map((segment) => segment.replace(/[:*?"<>|#^[\]]/g, "").trim())
+    .filter((segment) => segment && segment !== "." && segment !== "..")
+    .join("/");
+}
+
+/**
+ * Fills in defaults and drops unknown values from a stored setting
+ * @param {Object} [settings] - The stored `obsidian` value
+ * @returns {Object} Settings with every field present
+ */
+function normalizeObsidianSettings(settings) {
+  const stored = { ...DEFAULT_OBSIDIAN_SETTINGS, ...settings };
+  return {
+    enabled: stored.enabled === true,
+    delivery: OBSIDIAN_DELIVERY_MODES[stored.delivery]
+      ? stored.delivery
+      : DEFAULT_OBSIDIAN_SETTINGS.delivery,
+    vault: String(stored.vault || "").trim(),
+    vaultFolder: normalizeVaultPath(stored.vaultFolder),
+    // Keeps {category}; braces aren't rejected by normalizeVaultPath
+    noteFolder: normalizeVaultPath(stored.noteFolder),
+    // Images need a folder of their own to be linked by path
+    attachmentsFolder:
+      normalizeVaultPath(stored.attachmentsFolder) ||
+      DEFAULT_OBSIDIAN_SETTINGS.attachmentsFolder,
+    wikilinks: stored.wikilinks !== false,
+  };
+}
+
+/**
+ * Loads the Obsidian profile settings
+ * @returns {Promise<Object>} Normalized settings
+ */
+async function getObsidianSettings() {
+  const { obsidian } = await browser.storage.sync.get("obsidian");
+  return normalizeObsidianSettings(obsidian);
+}
+
+/**
+ * Turns a tag into one Obsidian accepts: no "#", spaces become hyphens and
+ * only letters, digits, "_", "-" and "/" (nested tags) remain
+ * @param {string} tag - The tag
+ * @returns {string} The tag, or "" when nothing usable is left (Obsidian
+ *   also rejects purely numeric tags)
+ */
+function formatObsidianTag(tag) {
+  const formatted = String(tag || "")
+    .trim()
+    .replace(/^#+/, "")
+    .replace(/\s+/g, "-")
+    .replace(/[^\p{L}\p{N}_\-/]/gu, "")
+    .replace(/-*\/[-/]*/g, "/")
+    .replace(/-{2,}/g, "-")
+    .replace(/^[-/]+|[-/]+$/g, "");
+  return /^\d*$/.test(formatted) ? "" : formatted;
+}
+
+/**
+ * Wraps a name in [[ ]], dropping the characters a link target can't hold
+ * @param {string} name - A technology or concept
+ * @returns {string} The wikilink, or "" for an empty name
+ */
+function toWikilink(name) {
+  const target = String(name || "")
+    .replace(/[[\]|#^]/g, "")
+    .trim();
+  return target ? `[[${target}]]` : "";
+}
+
+/**
+ * Applies the profile's conventions to a capture's AI metadata
+ * @param {Object|null} geminiData - The AI metadata, if any
+ * @param {Object} settings - Normalized Obsidian settings
+ * @returns {Object|null} A copy with Obsidian tags, and wikilinks for
+ *   technologies and key concepts when enabled
+ */
+function formatObsidianMetadata(geminiData, settings) {
+  if (!geminiData) return geminiData;
+
+  const unique = (items) => Array.from(new Set(items.filter(Boolean)));
+  const formatted = {
+    ...geminiData,
+    tags: unique((geminiData.tags || []).map(formatObsidianTag)),
+  };
+  if (settings.wikilinks) {
+    formatted.technologies = unique(
+      (geminiData.technologies || []).map(toWikilink)
+    );
+    formatted.keyConcepts = unique(
+      (geminiData.keyConcepts || []).map(toWikilink)
+    );
+  }
+  return formatted;
+}
+
+/**
+ * The note's path inside the vault
+ * @param {Object} settings - Normalized Obsidian settings
+ * @param {string} category - The capture's category ({category} in the
+ *   note folder)
+ * @param {string} filename - The capture's file name
+ * @returns {string} e.g. "Clippings/database/2024-03-05_database_dapper.md"
+ */
+function getObsidianNotePath(settings, category, filename) {
+  const folder = normalizeVaultPath(
+    settings.noteFolder.replace(/\{category\}/g, category || "general")
+  );
+  return folder ? `${folder}/${filename}` : filename;
+}
+
+/**
+ * Builds an obsidian://new URI that creates the note with its content
+ * @param {Object} settings - Normalized Obsidian settings; without a vault
+ *   name Obsidian uses the vault that is open
+ * @param {string} notePath - From getObsidianNotePath
+ * @param {string} content - The document
+ * @returns {string} The URI
+ */
+function buildObsidianUri(settings, notePath, content) {
+  const params = [];
+  if (settings.vault) {
+    params.push(`vault=${encodeURIComponent(settings.vault)}`);
+  }
+  params.push(`file=${encodeURIComponent(notePath.replace(/\.md$/, ""))}`);
+  params.push(`content=${encodeURIComponent(content)}`);
+  return `obsidian://new?${params.join("&")}`;
+}
@@ -0,0 +1,176 @@
+/**
+ * Offline image assets for saved captures, loaded by the background worker.
+ * Finds the images a capture's Markdown references, fetches them and rewrites
+ * the references to relative paths so the file keeps working when the source
+ * site changes or disappears. Used by the "offline assets" download mode and
+ * by ZIP bundles.
+ */
+
+const OFFLINE_IMAGE_TIMEOUT_MS = 15000;
+const OFFLINE_DEFAULT_MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+// Stop fetching once a single capture has pulled this much
+const OFFLINE_MAX_TOTAL_BYTES = 50 * 1024 * 1024;
+
+const IMAGE_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/svg+xml": "svg",
+  "image/avif": "avif",
+  "image/x-icon": "ico",
+};
+
+/**
+ * Short stable hash (FNV-1a) used to name assets after their URL
+ * @param {string} text - The text to hash
+ * @returns {string} Eight hex characters
+ */
+function hashAssetUrl(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Deterministic file name for an image: the same URL always maps to the same
+ * name, so re-captures overwrite instead of piling up copies
+ * @param {string} url - The image URL
+ * @param {string} extension - File extension without the dot
+ * @returns {string} e.g. "diagram-1a2b3c4d.png"
+ */
+function createAssetName(url, extension) {
+  const basename = new URL(url).pathname.split("/").pop() || "image";
+  const stem =
+    basename
+      .replace(/\.[a-z0-9]{2,5}$/i, "")
+      .replace(/[^a-z0-9_-]+/gi, "_")
+      .replace(/^_+|_+$/g, "")
+      .slice(0, 40)
+      .toLowerCase() || "image";
+  return `${stem}-${hashAssetUrl(url)}.${extension}`;
+}
+
+/**
+ * Lists the remote images referenced by Markdown image syntax or by <img>
+ * tags left in HTML fallbacks (complex tables)
+ * @param {string} content - The Markdown
+ * @returns {Array<string>} Unique absolute http(s) URLs in document order
+ */
+function collectImageUrls(content) {
+  const urls = new Set();
+  const patterns = [
+    /!\[[^\]]*\]\((https?:\/\/[^)\s]+)/g,
+    /<img\b[^>]*\bsrc="(https?:\/\/[^"]+)"/gi,
+  ];
+  for (const pattern of patterns) {
+    for (const match of content.matchAll(pattern)) {
+      urls.add(match[1].replace(/&amp;/g, "&"));
+    }
+  }
+  return Array.from(urls);
+}
+
+/**
+ * Fetches one image, enforcing the type and size limits
+ * @param {string} url - The image URL
+ * @param {number} maxBytes - Largest accepted image
+ * @returns {Promise<{data: Uint8Array, extension: string, mimeType: string}>}
+ */
+async function fetchImageAsset(url, maxBytes) {
+  const controller = new AbortController();
+  const timeout = setTimeout(
+    () => controller.abort(),
+    OFFLINE_IMAGE_TIMEOUT_MS
+  );
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const mimeType = (response.headers.get("content-type") || "")
+      .split(";")[0]
+      .trim()
+      .toLowerCase();
+    if (mimeType && !mimeType.startsWith("image/")) {
+      throw new Error(`Not an image (${mimeType})`);
+    }
+
+    const declaredLength = Number(response.headers.get("content-length"));
+    if (declaredLength > maxBytes) {
+      throw new Error(`Larger than ${Math.round(maxBytes / 1024)} KB`);
+    }
+
+    const data = new Uint8Array(await response.arrayBuffer());
+    if (data.length > maxBytes) {
+      throw new Error(`Larger than ${Math.round(maxBytes / 1024)} KB`);
+    }
+
+    const urlExtension = (/\.([a-z0-9]{2,4})$/i.exec(new URL(url).pathname) ||
+      [])[1];
+    const extension =
+      IMAGE_EXTENSIONS[mimeType] || urlExtension?.toLowerCase() || "img";
+    return {
+      data,
+      extension,
+      mimeType: mimeType || "application/octet-stream",
+    };
+  } catch (error) {
+    if (error.name === "AbortError") throw new Error("Timed out");
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Fetches a capture's images and points the Markdown at local copies.
+ * Images that can't be fetched keep their remote URL and are reported.
+ * @param {string} content - The capture's Markdown
+ * @param {string} folder - Relative folder for the images, e.g. "my-post"
+ * @param {Object} [options]
+ * @param {number} [options.maxImageBytes] - Largest image to keep
+ * @returns {Promise<{content: string,
+ *   files: Array<{name: string, data: Uint8Array, mimeType: string}>,
+ *   failed: Array<{url: string, reason: string}>}>} `name` includes the folder
+ */
+async function localizeImages(content, folder, options = {}) {
+  const maxImageBytes =
+    options.maxImageBytes || OFFLINE_DEFAULT_MAX_IMAGE_BYTES;
+  const files = [];
+  const failed = [];
+  let totalBytes = 0;
+
+  for (const url of collectImageUrls(content)) {
+    if (totalBytes >= OFFLINE_MAX_TOTAL_BYTES) {
+      failed.push({ url, reason: "Capture size limit reached" });
+      continue;
+    }
+
+    try {
+      const { data, extension, mimeType } = await fetchImageAsset(
+        url,
+        maxImageBytes
+      );
+      const name = `${folder}/${createAssetName(url, extension)}`;
+      files.push({ name, data, mimeType });
+      totalBytes += data.length;
+
+      const htmlUrl = url.replace(/&/g, "&amp;");
+      content = content
+        .split(`(${url}`)
+        .join(`(${name}`)
+        .split(`src="${url}"`)
+        .join(`src="${name}"`)
+        .split(`src="${htmlUrl}"`)
+        .join(`src="${name}"`);
+    } catch (error) {
+      failed.push({ url, reason: error.message });
+    }
+  }
+
+  return { content, files, failed };
+}
@@ -0,0 +1,12 @@
+// Offscreen document used by the Chrome service worker for DOM parsing
+browser.runtime.onMessage.addListener((message) => {
+  if (message.target !== "offscreen") return;
+
+  if (message.action === "convertHtml") {
+    return convertFetchedHtml(
+      message.html,
+      message.url,
+      message.domainRule
+    ).catch((error) => ({ error: error.message }));
+  }
+});
@@ -5,16 +5,57 @@ const DEFAULT_MODELS = [
   'gemini-2.5-flash-lite'
 ];
 
+// Base URL hints for the providers configured in the generic form
+const PROVIDER_BASE_URL_INFO = {
+  openai: 'The API root, e.g. https://api.openai.com/v1, or http://localhost:1234/v1 for LM Studio.',
+  ollama: 'Ollama only accepts extension requests when started with OLLAMA_ORIGINS set, e.g. OLLAMA_ORIGINS="chrome-extension://*,moz-extension://*".'
+};
+
+// Connection settings ({baseUrl, apiKey, model}) of the non-Gemini providers
+let providerSettings = {};
+let selectedProvider = 'gemini';
+
 // Saves options to browser.storage
-function saveOptions() {
+async function saveOptions() {
+  storeProviderForm();
+  const llmProvider = document.getElementById('llmProvider').value;
+
+  if (llmProvider !== 'gemini') {
+    const origin = getProviderOrigin(llmProvider);
+    if (!origin) {
+      showStatus('Please enter a valid http(s) base URL', 'error');
+      return;
+    }
+    const granted = await requestSiteAccess([origin]);
+    if (!granted) {
+      showStatus('Permission to reach the provider is required', 'error');
+      return;
+    }
+  }
+
   const geminiApiKey = document.getElementById('geminiApiKey').value;
   const useGemini = document.getElementById('useGemini').checked;
   const geminiModel = document.getElementById('geminiModel').value;
+  const enrichmentMode = document.getElementById('enrichmentMode').value;
+  const showPreview = document.getElementById('showPreview').checked;
+  const askWhereToSave = document.getElementById('askWhereToSave').checked;
+  const offlineAssets = document.getElementById('offlineAssets').checked;
+  const offlineImageMaxMB = Math.min(
+    50,
+    Math.max(1, parseInt(document.getElementById('offlineImageMaxMB').value, 10) || 5)
+  );
 
   browser.storage.sync.set({
+    llmProvider: llmProvider,
+    providerSettings: providerSettings,
     geminiApiKey: geminiApiKey,
     useGemini: useGemini,
-    geminiModel: geminiModel
+    geminiModel: geminiModel,
+    enrichmentMode: enrichmentMode,
+    showPreview: showPreview,
+    askWhereToSave: askWhereToSave,
+    offlineAssets: offlineAssets,
+    offlineImageMaxMB: offlineImageMaxMB
   }, function() {
     // Update status to let user know options were saved
     const status = document.getElementById('status');
@@ -30,13 +71,25 @@ function saveOptions() {
 // Restores options from browser.storage
 function restoreOptions() {
   browser.storage.sync.get({
+    llmProvider: 'gemini',
+    providerSettings: {},
     geminiApiKey: '',
     useGemini: false,
     geminiModel: 'gemini-2.5-pro', // Default model
-    customModels: [] // Custom models array
+    customModels: [], // Custom models array
+    enrichmentMode: 'rewrite',
+    showPreview: true,
+    askWhereToSave: true,
+    offlineAssets: false,
+    offlineImageMaxMB: 5
   }, function(items) {
     document.getElementById('geminiApiKey').value = items.geminiApiKey;
     document.getElementById('useGemini').checked = items.useGemini;
+    document.getElementById('enrichmentMode').value = items.enrichmentMode;
+    document.getElementById('showPreview').checked = items.showPreview;
+    document.getElementById('askWhereToSave').checked = items.askWhereToSave;
+    document.getElementById('offlineAssets').checked = items.offlineAssets;
+    document.getElementById('offlineImageMaxMB').value = items.offlineImageMaxMB;
 
     // Populate the dropdown with default and custom models
     populateModelDropdown(items.customModels);
@@ -44,9 +97,88 @@ function restoreOptions() {
 
     // Display custom models list
     displayCustomModels(items.customModels);
+
+    providerSettings = items.providerSettings;
+    populateProviderDropdown();
+    const provider = LLM_PROVIDERS[items.llmProvider] ? items.llmProvider : 'gemini';
+    document.getElementById('llmProvider').value = provider;
+    showProviderSettings(provider);
+  });
+}
+
+// AI Provider Functions
+function populateProviderDropdown() {
+  const select = document.getElementById('llmProvider');
+  select.innerHTML = '';
+
+  Object.entries(LLM_PROVIDERS).forEach(([id, provider]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = provider.label;
+    select.appendChild(option);
+  });
+}
+
+// Keeps what was typed for the current provider before switching or saving
+function storeProviderForm() {
+  if (selectedProvider === 'gemini') return;
+
+  providerSettings[selectedProvider] = {
+    baseUrl: document.getElementById('providerBaseUrl').value.trim(),
+    apiKey: document.getElementById('providerApiKey').value.trim(),
+    model: document.getElementById('providerModel').value.trim()
+  };
+}
+
+function showProviderSettings(providerId) {
+  selectedProvider = providerId;
+  const isGemini = providerId === 'gemini';
+  document.getElementById('geminiSettings').hidden = !isGemini;
+  document.getElementById('providerSettings').hidden = isGemini;
+  if (isGemini) return;
+
+  // Empty fields fall back to the provider defaults shown as placeholders
+  const provider = LLM_PROVIDERS[providerId];
+  const settings = providerSettings[providerId] || {};
+  const baseUrl = document.getElementById('providerBaseUrl');
+  baseUrl.value = settings.baseUrl || '';
+  baseUrl.placeholder = provider.defaultBaseUrl;
+  document.getElementById('providerBaseUrlInfo').textContent = PROVIDER_BASE_URL_INFO[providerId] || '';
+  document.getElementById('providerApiKey').value = settings.apiKey || '';
+
+  const model = document.getElementById('providerModel');
+  model.value = settings.model || '';
+  model.placeholder = provider.defaultModels[0];
+  const suggestions = document.getElementById('providerModelList');
+  suggestions.innerHTML = '';
+  provider.defaultModels.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    suggestions.appendChild(option);
   });
 }
 
+function onProviderChange(event) {
+  storeProviderForm();
+  showProviderSettings(event.target.value);
+}
+
+/**
+ * Host permission pattern for the provider's base URL (match patterns
+ * ignore ports, so local servers on any port are covered)
+ */
+function getProviderOrigin(providerId) {
+  const baseUrl = (providerSettings[providerId] && providerSettings[providerId].baseUrl) ||
+    LLM_PROVIDERS[providerId].defaultBaseUrl;
+  try {
+    const url = new URL(baseUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    return `${url.protocol}//${url.hostname}/*`;
+  } catch (e) {
+    return null;
+  }
+}
+
 // Custom Models Management Functions
 function populateModelDropdown(customModels) {
   const select = document.getElementById('geminiModel');
@@ -194,40 +326,913 @@ function showStatus(message, type) {
   }, 3000);
 }
 
-// URL History Management Functions
-async function getExtractedUrls() {
-  const result = await browser.storage.local.get('extractedUrls');
-  return result.extractedUrls || [];
+// Front Matter Functions
+// Sample capture shown in the front matter preview
+const FRONT_MATTER_SAMPLE = {
+  pageContent: { title: 'Getting Started with Dapper', author: 'Jane Doe', publicationDate: '2024-03-01' },
+  url: 'https://example.com/blog/dapper',
+  category: 'database',
+  geminiData: {
+    technologies: ['Dapper', 'SQL Server'],
+    programmingLanguages: ['C#'],
+    tags: ['micro-orm', 'dotnet'],
+    keyConcepts: ['object-mapping'],
+    codeExamples: true,
+    difficultyLevel: 'intermediate',
+    summary: 'An introduction to Dapper.\nCovers queries, parameters and mapping.'
+  }
+};
+
+function populateFrontMatterFormats() {
+  const select = document.getElementById('frontMatterFormat');
+  Object.entries(FRONT_MATTER_FORMATS).forEach(([id, label]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+}
+
+function displayFrontMatterSettings(settings) {
+  document.getElementById('frontMatterFormat').value = settings.format;
+
+  const container = document.getElementById('frontMatterFields');
+  container.innerHTML = '';
+  FRONT_MATTER_FIELDS.forEach(({ id, label }) => {
+    const row = document.createElement('div');
+    row.className = 'front-matter-field';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `frontMatterField-${id}`;
+    checkbox.checked = settings.fields[id].enabled;
+    row.appendChild(checkbox);
+
+    const name = document.createElement('label');
+    name.htmlFor = checkbox.id;
+    name.textContent = label;
+    row.appendChild(name);
+
+    const key = document.createElement('input');
+    key.type = 'text';
+    key.dataset.field = id;
+    key.value = settings.fields[id].key;
+    key.placeholder = id;
+    row.appendChild(key);
+
+    container.appendChild(row);
+  });
+
+  document.getElementById('frontMatterConstants').value = settings.constants
+    .map(({ key, value }) => `${key}: ${Array.isArray(value) ? `[${value.join(', ')}]` : value}`)
+    .join('\n');
+}
+
+// Returns {settings, invalidLine}; invalidLine is a constant line without a colon
+function readFrontMatterForm() {
+  const fields = {};
+  FRONT_MATTER_FIELDS.forEach(({ id }) => {
+    fields[id] = {
+      enabled: document.getElementById(`frontMatterField-${id}`).checked,
+      key: document.querySelector(`#frontMatterFields input[data-field="${id}"]`).value
+    };
+  });
+
+  const constants = [];
+  let invalidLine = null;
+  document.getElementById('frontMatterConstants').value.split('\n').forEach(line => {
+    if (!line.trim()) return;
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      invalidLine = invalidLine || line.trim();
+      return;
+    }
+    constants.push({
+      key: line.slice(0, separator),
+      value: parseFrontMatterConstant(line.slice(separator + 1))
+    });
+  });
+
+  return {
+    settings: normalizeFrontMatterSettings({
+      format: document.getElementById('frontMatterFormat').value,
+      fields,
+      constants
+    }),
+    invalidLine
+  };
+}
+
+function updateFrontMatterPreview() {
+  const { settings } = readFrontMatterForm();
+  const { pageContent, url, category, geminiData } = FRONT_MATTER_SAMPLE;
+  document.getElementById('frontMatterPreview').textContent = createMetadata(pageContent, url, category, geminiData, settings);
+}
+
+async function loadFrontMatter() {
+  populateFrontMatterFormats();
+  displayFrontMatterSettings(await getFrontMatterSettings());
+  updateFrontMatterPreview();
+}
+
+async function saveFrontMatter() {
+  const { settings, invalidLine } = readFrontMatterForm();
+  if (invalidLine) {
+    showStatus(`Constant field "${invalidLine}" needs the form key: value`, 'error');
+    return;
+  }
+  const error = validateFrontMatterSettings(settings);
+  if (error) {
+    showStatus(error, 'error');
+    return;
+  }
+
+  await browser.storage.sync.set({ frontMatter: settings });
+  displayFrontMatterSettings(settings);
+  updateFrontMatterPreview();
+  showStatus('Front matter settings saved!', 'success');
+}
+
+// Obsidian Export Functions
+function populateObsidianDeliveryModes() {
+  const select = document.getElementById('obsidianDelivery');
+  Object.entries(OBSIDIAN_DELIVERY_MODES).forEach(([id, label]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+}
+
+function displayObsidianSettings(settings) {
+  document.getElementById('obsidianEnabled').checked = settings.enabled;
+  document.getElementById('obsidianDelivery').value = settings.delivery;
+  document.getElementById('obsidianVault').value = settings.vault;
+  document.getElementById('obsidianVaultFolder').value = settings.vaultFolder;
+  document.getElementById('obsidianNoteFolder').value = settings.noteFolder;
+  document.getElementById('obsidianAttachmentsFolder').value = settings.attachmentsFolder;
+  document.getElementById('obsidianWikilinks').checked = settings.wikilinks;
+}
+
+function readObsidianForm() {
+  return normalizeObsidianSettings({
+    enabled: document.getElementById('obsidianEnabled').checked,
+    delivery: document.getElementById('obsidianDelivery').value,
+    vault: document.getElementById('obsidianVault').value,
+    vaultFolder: document.getElementById('obsidianVaultFolder').value,
+    noteFolder: document.getElementById('obsidianNoteFolder').value,
+    attachmentsFolder: document.getElementById('obsidianAttachmentsFolder').value,
+    wikilinks: document.getElementById('obsidianWikilinks').checked
+  });
+}
+
+async function loadObsidian() {
+  populateObsidianDeliveryModes();
+  displayObsidianSettings(await getObsidianSettings());
+}
+
+async function saveObsidian() {
+  const settings = readObsidianForm();
+
+  // Images are fetched from any site
+  if (settings.enabled && settings.delivery === 'download') {
+    try {
+      const granted = await requestSiteAccess(['<all_urls>']);
+      if (!granted) {
+        showStatus('Access to all sites is needed to save images into the vault', 'error');
+        return;
+      }
+    } catch (error) {
+      showStatus(`Could not request access: ${error.message}`, 'error');
+      return;
+    }
+  }
+
+  await browser.storage.sync.set({ obsidian: settings });
+  displayObsidianSettings(settings);
+  showStatus('Obsidian settings saved!', 'success');
+}
+
+// Domain Rules Management Functions
+let currentDomainRules = [];
+
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+async function loadDomainRules() {
+  currentDomainRules = await getDomainRules();
+  displayDomainRules(currentDomainRules);
+}
+
+function displayDomainRules(rules) {
+  const container = document.getElementById('domainRulesList');
+  container.innerHTML = '';
+
+  if (rules.length === 0) {
+    container.innerHTML = '<p style="color: #666; font-size: 12px; margin: 10px 0;">No domain rules configured.</p>';
+    return;
+  }
+
+  rules.forEach(rule => {
+    const item = document.createElement('div');
+    item.className = 'domain-rule-item';
+
+    const domain = document.createElement('strong');
+    domain.textContent = rule.domain;
+    item.appendChild(domain);
+
+    const selector = document.createElement('code');
+    selector.textContent = rule.contentSelector || '(automatic content detection)';
+    item.appendChild(selector);
+
+    if (rule.removeSelectors && rule.removeSelectors.length > 0) {
+      const removed = document.createElement('code');
+      removed.textContent = `remove: ${rule.removeSelectors.join(', ')}`;
+      item.appendChild(removed);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'domain-rule-actions';
+    [
+      { label: 'Edit', color: '#17a2b8', handler: editDomainRule },
+      { label: 'Test', color: '#6c757d', handler: testDomainRule },
+      { label: 'Delete', color: '#dc3545', handler: deleteDomainRule }
+    ].forEach(({ label, color, handler }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.style.backgroundColor = color;
+      button.addEventListener('click', () => handler(rule.domain));
+      actions.appendChild(button);
+    });
+    item.appendChild(actions);
+
+    container.appendChild(item);
+  });
+}
+
+function readDomainRuleForm() {
+  return normalizeDomainRule({
+    domain: document.getElementById('domainRuleDomain').value,
+    contentSelector: document.getElementById('domainRuleContent').value,
+    removeSelectors: document.getElementById('domainRuleRemove').value,
+    titleSelector: document.getElementById('domainRuleTitle').value,
+    authorSelector: document.getElementById('domainRuleAuthor').value,
+    dateSelector: document.getElementById('domainRuleDate').value
+  });
+}
+
+function fillDomainRuleForm(rule) {
+  document.getElementById('domainRuleEditing').value = rule ? rule.domain : '';
+  document.getElementById('domainRuleFormTitle').textContent = rule ? `Edit Rule: ${rule.domain}` : 'Add Rule';
+  document.getElementById('domainRuleDomain').value = rule ? rule.domain : '';
+  document.getElementById('domainRuleContent').value = rule ? rule.contentSelector : '';
+  document.getElementById('domainRuleRemove').value = rule ? rule.removeSelectors.join('\n') : '';
+  document.getElementById('domainRuleTitle').value = rule ? rule.titleSelector : '';
+  document.getElementById('domainRuleAuthor').value = rule ? rule.authorSelector : '';
+  document.getElementById('domainRuleDate').value = rule ? rule.dateSelector : '';
+}
+
+async function saveDomainRule() {
+  const rule = readDomainRuleForm();
+  const error = validateDomainRule(rule, isValidSelector);
+  if (error) {
+    showStatus(error, 'error');
+    return;
+  }
+
+  const editing = document.getElementById('domainRuleEditing').value;
+  const duplicate = currentDomainRules.some(item => item.domain === rule.domain && item.domain !== editing);
+  if (duplicate) {
+    showStatus(`A rule for "${rule.domain}" already exists`, 'error');
+    return;
+  }
+
+  const updatedRules = currentDomainRules.filter(item => item.domain !== editing);
+  updatedRules.push(rule);
+  updatedRules.sort((a, b) => a.domain.localeCompare(b.domain));
+
+  if (!await storeDomainRules(updatedRules, editing ? 'Domain rule updated!' : 'Domain rule added!')) return;
+  currentDomainRules = updatedRules;
+  displayDomainRules(updatedRules);
+  fillDomainRuleForm(null);
+}
+
+// Saves the rules and reports the outcome; returns whether they were saved
+async function storeDomainRules(rules, message, type = 'success') {
+  let synced;
+  try {
+    ({ synced } = await saveDomainRules(rules));
+  } catch (error) {
+    showStatus(`Could not save domain rules: ${error.message}`, 'error');
+    return false;
+  }
+  if (synced) {
+    showStatus(message, type);
+  } else {
+    showStatus(`${message} The rules are too large for sync storage, so they were saved on this device only.`, 'info');
+  }
+  return true;
+}
+
+function editDomainRule(domain) {
+  const rule = currentDomainRules.find(item => item.domain === domain);
+  if (rule) {
+    fillDomainRuleForm(normalizeDomainRule(rule));
+    document.getElementById('domainRuleDomain').focus();
+  }
+}
+
+async function deleteDomainRule(domain) {
+  if (confirm(`Are you sure you want to delete the rule for "${domain}"?`)) {
+    const updatedRules = currentDomainRules.filter(item => item.domain !== domain);
+    if (!await storeDomainRules(updatedRules, 'Domain rule deleted')) return;
+    currentDomainRules = updatedRules;
+    displayDomainRules(updatedRules);
+
+    if (document.getElementById('domainRuleEditing').value === domain) {
+      fillDomainRuleForm(null);
+    }
+  }
+}
+
+/**
+ * Injected into a tab on the rule's domain to report what the rule matches.
+ * content-extractor.js must be injected first.
+ */
+function runDomainRuleTest(rule) {
+  const readText = (selector) => {
+    if (!selector) return null;
+    const element = document.querySelector(selector);
+    if (!element) return '(no match)';
+    return (element.getAttribute('datetime') || element.getAttribute('content') || element.textContent || '').trim().slice(0, 120);
+  };
+
+  const extraction = extractMainContent(document, {
+    selector: rule.contentSelector,
+    removeSelectors: rule.removeSelectors
+  });
+
+  return {
+    url: location.href,
+    strategy: extraction.strategy,
+    target: extraction.details.target,
+    textLength: extraction.element.textContent.replace(/\s+/g, ' ').trim().length,
+    removedCount: extraction.details.removedCount,
+    removeMatches: rule.removeSelectors.map(selector => ({
+      selector,
+      count: document.querySelectorAll(selector).length
+    })),
+    title: readText(rule.titleSelector),
+    author: readText(rule.authorSelector),
+    date: readText(rule.dateSelector)
+  };
+}
+
+function showDomainRuleTestResult(text) {
+  const output = document.getElementById('domainRuleTestResult');
+  output.textContent = text;
+  output.style.display = 'block';
+}
+
+async function testDomainRule(domain) {
+  const rule = normalizeDomainRule(currentDomainRules.find(item => item.domain === domain));
+  const base = rule.domain.replace(/^\*\./, '');
+  const origins = [rule.domain.startsWith('*.') ? `*://*.${base}/*` : `*://${base}/*`];
+
+  try {
+    const granted = await requestSiteAccess(origins);
+    if (!granted) {
+      showStatus('Permission to access the site is required to test the rule', 'error');
+      return;
+    }
+
+    const tabs = await browser.tabs.query({ url: origins });
+    const tab = tabs.find(item => item.url && matchesDomainPattern(rule.domain, new URL(item.url).hostname));
+    if (!tab) {
+      showDomainRuleTestResult(`Open a page on ${rule.domain} in another tab, then test again.`);
+      return;
+    }
+
+    await browser.scripting.executeScript({
+      target: { tabId: tab.id },
+      files: ['content-extractor.js']
+    });
+    const [{ result }] = await browser.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: runDomainRuleTest,
+      args: [rule]
+    });
+
+    const lines = [
+      `Tested on: ${result.url}`,
+      result.strategy === 'domain-rule'
+        ? `Content selector matched ${result.target} (${result.textLength} characters)`
+        : `Content selector did not match; automatic detection picked ${result.target}`,
+      `Elements removed: ${result.removedCount}`
+    ];
+    result.removeMatches.forEach(({ selector, count }) => {
+      lines.push(`  ${selector}: ${count} match${count === 1 ? '' : 'es'}`);
+    });
+    if (result.title !== null) lines.push(`Title: ${result.title}`);
+    if (result.author !== null) lines.push(`Author: ${result.author}`);
+    if (result.date !== null) lines.push(`Date: ${result.date}`);
+
+    showDomainRuleTestResult(lines.join('\n'));
+  } catch (error) {
+    showDomainRuleTestResult(`Test failed: ${error.message}`);
+  }
+}
+
+function exportDomainRules() {
+  const json = JSON.stringify({ version: 1, domainRules: currentDomainRules }, null, 2);
+  const blob = new Blob([json], { type: 'application/json;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `domain_rules_${new Date().toISOString().split('T')[0]}.json`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+
+  showStatus('Domain rules exported!', 'success');
+}
+
+async function importDomainRules(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+
+  let imported;
+  try {
+    const parsed = JSON.parse(await file.text());
+    imported = Array.isArray(parsed) ? parsed : parsed.domainRules;
+    if (!Array.isArray(imported)) throw new Error('missing "domainRules" array');
+  } catch (error) {
+    showStatus(`Could not read rules file: ${error.message}`, 'error');
+    return;
+  }
+
+  const rulesByDomain = new Map(currentDomainRules.map(rule => [rule.domain, rule]));
+  let added = 0;
+  let updated = 0;
+  let skipped = 0;
+
+  imported.forEach(raw => {
+    const rule = normalizeDomainRule(raw);
+    if (validateDomainRule(rule, isValidSelector)) {
+      skipped++;
+      return;
+    }
+    if (rulesByDomain.has(rule.domain)) {
+      updated++;
+    } else {
+      added++;
+    }
+    rulesByDomain.set(rule.domain, rule);
+  });
+
+  const updatedRules = Array.from(rulesByDomain.values()).sort((a, b) => a.domain.localeCompare(b.domain));
+  const message = `Imported rules: ${added} added, ${updated} updated${skipped ? `, ${skipped} invalid skipped` : ''}`;
+  if (!await storeDomainRules(updatedRules, message, skipped ? 'info' : 'success')) return;
+  currentDomainRules = updatedRules;
+  displayDomainRules(updatedRules);
+}
+
+async function resetDomainRules() {
+  if (confirm('Replace all domain rules with the built-in defaults?')) {
+    if (!await storeDomainRules(DEFAULT_DOMAIN_RULES, 'Domain rules restored to defaults')) return;
+    currentDomainRules = DEFAULT_DOMAIN_RULES;
+    displayDomainRules(currentDomainRules);
+    fillDomainRuleForm(null);
+  }
+}
+
+let currentPromptTemplates = [];
+
+async function loadPromptTemplates() {
+  currentPromptTemplates = await getPromptTemplates();
+  displayPromptTemplates(currentPromptTemplates);
+  fillPromptTemplateForm(null);
+}
+
+function displayPromptTemplates(templates) {
+  const container = document.getElementById('promptTemplatesList');
+  container.innerHTML = '';
+
+  // The built-in default is listed first and can only be duplicated
+  [DEFAULT_PROMPT_TEMPLATE, ...templates].forEach(template => {
+    const isDefault = template.id === DEFAULT_PROMPT_TEMPLATE.id;
+    const item = document.createElement('div');
+    item.className = 'domain-rule-item';
+
+    const name = document.createElement('strong');
+    name.textContent = isDefault ? `${template.name} (built-in)` : template.name;
+    item.appendChild(name);
+
+    const scope = document.createElement('code');
+    if (isDefault) {
+      scope.textContent = 'used when no other template matches';
+    } else {
+      const parts = [];
+      if (template.domains.length > 0) parts.push(`domains: ${template.domains.join(', ')}`);
+      if (template.categories.length > 0) parts.push(`categories: ${template.categories.join(', ')}`);
+      scope.textContent = parts.join(' | ') || '(never selected automatically)';
+    }
+    item.appendChild(scope);
+
+    const actions = document.createElement('div');
+    actions.className = 'domain-rule-actions';
+    const buttons = isDefault
+      ? [{ label: 'Duplicate', color: '#6c757d', handler: duplicatePromptTemplate }]
+      : [
+          { label: 'Edit', color: '#17a2b8', handler: editPromptTemplate },
+          { label: 'Duplicate', color: '#6c757d', handler: duplicatePromptTemplate },
+          { label: 'Delete', color: '#dc3545', handler: deletePromptTemplate }
+        ];
+    buttons.forEach(({ label, color, handler }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.style.backgroundColor = color;
+      button.addEventListener('click', () => handler(template.id));
+      actions.appendChild(button);
+    });
+    item.appendChild(actions);
+
+    container.appendChild(item);
+  });
+}
+
+function findTemplateById(id) {
+  return id === DEFAULT_PROMPT_TEMPLATE.id
+    ? DEFAULT_PROMPT_TEMPLATE
+    : currentPromptTemplates.find(template => template.id === id);
+}
+
+function fillPromptTemplateForm(template) {
+  const editing = template && template.id ? template.id : '';
+  document.getElementById('promptTemplateEditing').value = editing;
+  document.getElementById('promptTemplateFormTitle').textContent = editing ? `Edit Template: ${template.name}` : 'Add Template';
+  document.getElementById('promptTemplateName').value = template ? template.name : '';
+  document.getElementById('promptTemplateDomains').value = template ? template.domains.join('\n') : '';
+  document.getElementById('promptTemplateCategories').value = template ? template.categories.join(', ') : '';
+  document.getElementById('promptTemplateText').value = template ? template.text : DEFAULT_PROMPT_TEMPLATE.text;
+}
+
+async function savePromptTemplate() {
+  const editing = document.getElementById('promptTemplateEditing').value;
+  const template = normalizePromptTemplate({
+    id: editing,
+    name: document.getElementById('promptTemplateName').value,
+    domains: document.getElementById('promptTemplateDomains').value,
+    categories: document.getElementById('promptTemplateCategories').value,
+    text: document.getElementById('promptTemplateText').value
+  });
+  const error = validatePromptTemplate(template);
+  if (error) {
+    showStatus(error, 'error');
+    return;
+  }
+
+  const duplicate = currentPromptTemplates.some(item => item.name.toLowerCase() === template.name.toLowerCase() && item.id !== editing);
+  if (duplicate || template.name.toLowerCase() === DEFAULT_PROMPT_TEMPLATE.name.toLowerCase()) {
+    showStatus(`A template named "${template.name}" already exists`, 'error');
+    return;
+  }
+
+  const updatedTemplates = currentPromptTemplates.filter(item => item.id !== editing);
+  updatedTemplates.push(template);
+  updatedTemplates.sort((a, b) => a.name.localeCompare(b.name));
+
+  await savePromptTemplates(updatedTemplates);
+  currentPromptTemplates = updatedTemplates;
+  displayPromptTemplates(updatedTemplates);
+  fillPromptTemplateForm(null);
+  showStatus(editing ? 'Prompt template updated!' : 'Prompt template added!', 'success');
+}
+
+function editPromptTemplate(id) {
+  const template = findTemplateById(id);
+  if (template) {
+    fillPromptTemplateForm(template);
+    document.getElementById('promptTemplateName').focus();
+  }
+}
+
+// Copies a template into the form as a new, unsaved template
+function duplicatePromptTemplate(id) {
+  const template = findTemplateById(id);
+  if (template) {
+    fillPromptTemplateForm({ ...template, id: '', name: `${template.name} (copy)`, domains: [], categories: [] });
+    document.getElementById('promptTemplateName').focus();
+  }
+}
+
+async function deletePromptTemplate(id) {
+  const template = findTemplateById(id);
+  if (template && confirm(`Are you sure you want to delete the template "${template.name}"?`)) {
+    const updatedTemplates = currentPromptTemplates.filter(item => item.id !== id);
+    await savePromptTemplates(updatedTemplates);
+    currentPromptTemplates = updatedTemplates;
+    displayPromptTemplates(updatedTemplates);
+
+    if (document.getElementById('promptTemplateEditing').value === id) {
+      fillPromptTemplateForm(null);
+    }
+    showStatus('Prompt template deleted', 'success');
+  }
+}
+
+function showPromptTestResult(text) {
+  const output = document.getElementById('promptTestResult');
+  output.textContent = text;
+  output.style.display = 'block';
+}
+
+// Runs the template in the form against the most recently used web page tab
+async function testPromptTemplate() {
+  const text = document.getElementById('promptTemplateText').value.trim() || DEFAULT_PROMPT_TEMPLATE.text;
+
+  try {
+    const granted = await requestSiteAccess(['<all_urls>']);
+    if (!granted) {
+      showStatus('Permission to read the page is required to test the template', 'error');
+      return;
+    }
+
+    const tabs = await browser.tabs.query({});
+    const tab = tabs
+      .filter(item => item.url && /^(https?|file):/.test(item.url))
+      .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))[0];
+    if (!tab) {
+      showPromptTestResult('Open the page to test with in another tab, then test again.');
+      return;
+    }
+
+    showPromptTestResult(`Sending the template for ${tab.url}...`);
+    const result = await browser.runtime.sendMessage({
+      action: 'testPromptTemplate',
+      tabId: tab.id,
+      template: { text }
+    });
+    if (result.error) {
+      showPromptTestResult(`Test failed: ${result.error}`);
+      return;
+    }
+
+    showPromptTestResult([
+      `Tested on: ${result.title} (${result.url})`,
+      `Provider: ${result.provider}`,
+      result.truncated ? 'The reply stopped at the output token limit.' : null,
+      '',
+      result.response
+    ].filter(line => line !== null).join('\n'));
+  } catch (error) {
+    showPromptTestResult(`Test failed: ${error.message}`);
+  }
+}
+
+// Offline images are fetched from any site, so ask for access when enabling
+async function onOfflineAssetsChange(event) {
+  if (!event.target.checked) return;
+  try {
+    const granted = await requestSiteAccess(['<all_urls>']);
+    if (!granted) {
+      event.target.checked = false;
+      showStatus('Access to all sites is needed to save images offline', 'error');
+    }
+  } catch (error) {
+    event.target.checked = false;
+    showStatus(`Could not request access: ${error.message}`, 'error');
+  }
 }
 
+// Keyboard Shortcut Functions
+// Firefox can change shortcuts through the API; Chrome only through its own page.
+const canUpdateShortcuts = typeof browser.commands.update === 'function';
+
+async function loadShortcuts() {
+  const commands = await browser.commands.getAll();
+  const container = document.getElementById('shortcutsList');
+  container.innerHTML = '';
+
+  commands
+    .filter(command => command.name !== '_execute_action' && command.name !== '_execute_browser_action')
+    .forEach(command => {
+      const item = document.createElement('div');
+      item.className = 'shortcut-item';
+
+      const description = document.createElement('span');
+      description.textContent = command.description || command.name;
+      item.appendChild(description);
+
+      if (canUpdateShortcuts) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = command.shortcut || '';
+        input.placeholder = 'e.g., Alt+Shift+M';
+        input.addEventListener('change', () => updateShortcut(command.name, input));
+        item.appendChild(input);
+      } else {
+        const shortcut = document.createElement('kbd');
+        shortcut.textContent = command.shortcut || 'Not set';
+        item.appendChild(shortcut);
+      }
+
+      container.appendChild(item);
+    });
+
+  if (canUpdateShortcuts) {
+    document.getElementById('changeShortcuts').style.display = 'none';
+  }
+}
+
+async function updateShortcut(name, input) {
+  try {
+    if (input.value.trim()) {
+      await browser.commands.update({ name, shortcut: input.value.trim() });
+    } else {
+      await browser.commands.reset(name);
+    }
+    showStatus('Shortcut updated!', 'success');
+  } catch (error) {
+    showStatus(`Invalid shortcut: ${error.message}`, 'error');
+  }
+  loadShortcuts();
+}
+
+function openShortcutSettings() {
+  browser.tabs.create({ url: 'chrome://extensions/shortcuts' });
+}
+
+// URL History Management Functions
+let historySort = { key: 'lastExtracted', descending: true };
+
 async function updateUrlCount() {
   const urls = await getExtractedUrls();
   const countElement = document.getElementById('urlCount');
   countElement.textContent = `Total extracted URLs: ${urls.length}`;
+  displayHistoryTable(urls);
+}
+
+function compareHistoryEntries(a, b) {
+  const { key } = historySort;
+  if (key === 'url') return a.url.localeCompare(b.url);
+  if (key === 'count') return (a.count || 1) - (b.count || 1);
+  return new Date(a[key]) - new Date(b[key]);
+}
+
+function displayHistoryTable(urls) {
+  const rows = document.getElementById('historyRows');
+  rows.innerHTML = '';
+
+  document.querySelectorAll('#historyTable th button').forEach(button => {
+    const sorted = button.dataset.sort === historySort.key;
+    button.classList.toggle('sorted', sorted);
+    button.textContent = button.textContent.replace(/ [▲▼]$/, '') +
+      (sorted ? (historySort.descending ? ' ▼' : ' ▲') : '');
+  });
+
+  if (urls.length === 0) {
+    rows.innerHTML = '<tr><td colspan="5" style="color: #666;">No extracted URLs.</td></tr>';
+    return;
+  }
+
+  const sorted = [...urls].sort(compareHistoryEntries);
+  if (historySort.descending) sorted.reverse();
+
+  sorted.forEach(item => {
+    const row = document.createElement('tr');
+    [
+      item.url,
+      new Date(item.firstExtracted).toLocaleDateString(),
+      new Date(item.lastExtracted).toLocaleDateString(),
+      item.count || 1
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+
+    const actions = document.createElement('td');
+    actions.style.whiteSpace = 'nowrap';
+    [
+      { label: 'Open', color: '#17a2b8', handler: () => browser.tabs.create({ url: item.url }) },
+      { label: 'Delete', color: '#dc3545', handler: () => deleteHistoryEntry(item.url) }
+    ].forEach(({ label, color, handler }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.style.backgroundColor = color;
+      button.style.marginLeft = '4px';
+      button.addEventListener('click', handler);
+      actions.appendChild(button);
+    });
+    row.appendChild(actions);
+
+    rows.appendChild(row);
+  });
+}
+
+function sortHistoryTable(event) {
+  const key = event.target.closest('button[data-sort]')?.dataset.sort;
+  if (!key) return;
+  historySort = {
+    key,
+    // Dates and counts start with the largest, URLs alphabetically
+    descending: key === historySort.key ? !historySort.descending : key !== 'url'
+  };
+  updateUrlCount();
+}
+
+async function deleteHistoryEntry(url) {
+  await removeExtractedUrl(url);
+  updateUrlCount();
+  loadWatchlist();
+  showHistoryStatus(`Removed ${url} from the history.`, 'success');
+}
+
+async function loadHistoryRetention() {
+  const retention = await getHistoryRetention();
+  document.getElementById('historyMaxEntries').value = retention.maxEntries;
+  document.getElementById('historyMaxAgeDays').value = retention.maxAgeDays;
+  document.getElementById('historyExcludedDomains').value = retention.excludedDomains.join('\n');
+  document.getElementById('historyNeverRecord').value = retention.neverRecord.join('\n');
+}
+
+async function saveHistoryRetention() {
+  const historyRetention = normalizeHistoryRetention({
+    maxEntries: document.getElementById('historyMaxEntries').value,
+    maxAgeDays: document.getElementById('historyMaxAgeDays').value,
+    excludedDomains: document.getElementById('historyExcludedDomains').value.split('\n'),
+    neverRecord: document.getElementById('historyNeverRecord').value.split('\n')
+  });
+  await browser.storage.sync.set({ historyRetention });
+  loadHistoryRetention();
+
+  const { removed } = await enforceHistoryRetention();
+  updateUrlCount();
+  loadWatchlist();
+  showHistoryStatus(
+    removed ? `Retention saved, removed ${removed} ${removed === 1 ? 'entry' : 'entries'}.` : 'Retention saved, no entries removed.',
+    'success'
+  );
+}
+
+async function updateLibraryCount() {
+  const countElement = document.getElementById('libraryCount');
+  try {
+    countElement.textContent = `Captures in the library: ${await countLibraryEntries()}`;
+  } catch (error) {
+    countElement.textContent = `Could not open the library: ${error.message}`;
+  }
+}
+
+function openLibrary() {
+  browser.tabs.create({ url: browser.runtime.getURL('library.html') });
 }
 
 async function clearAllHistory() {
   if (confirm('Are you sure you want to clear all extraction history? This cannot be undone.')) {
-    await browser.storage.local.set({ extractedUrls: [] });
+    await clearExtractedUrls();
     updateUrlCount();
+    loadWatchlist();
     showHistoryStatus('All history cleared!', 'success');
   }
 }
 
-async function keepLast100() {
+function downloadHistoryFile(content, type, extension) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `extraction_history_${new Date().toISOString().split('T')[0]}.${extension}`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+async function exportHistory() {
   const urls = await getExtractedUrls();
-  if (urls.length > 100) {
-    urls.sort((a, b) => new Date(b.lastExtracted) - new Date(a.lastExtracted));
-    urls.splice(100);
-    await browser.storage.local.set({ extractedUrls: urls });
-    updateUrlCount();
-    showHistoryStatus(`Kept last 100 URLs, removed ${urls.length - 100} older entries.`, 'success');
-  } else {
-    showHistoryStatus('Already have 100 or fewer URLs in history.', 'info');
+  if (urls.length === 0) {
+    showHistoryStatus('No history to export.', 'error');
+    return;
   }
+
+  downloadHistoryFile(serializeHistoryExport(urls), 'application/json;charset=utf-8', 'json');
+  showHistoryStatus('History exported successfully!', 'success');
 }
 
-async function exportHistory() {
+async function exportHistoryCsv() {
   const urls = await getExtractedUrls();
   if (urls.length === 0) {
     showHistoryStatus('No history to export.', 'error');
@@ -235,27 +1240,55 @@ async function exportHistory() {
   }
   
   // Create CSV content
+  const quote = value => `"${String(value).replace(/"/g, '""')}"`;
   const csvContent = 'URL,First Extracted,Last Extracted,Extract Count\n' +
     urls.map(item => 
-      `"${item.url}","${item.firstExtracted}","${item.lastExtracted}",${item.count || 1}`
+      `${quote(item.url)},${quote(item.firstExtracted)},${quote(item.lastExtracted)},${item.count || 1}`
     ).join('\n');
   
-  // Download as CSV
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `extraction_history_${new Date().toISOString().split('T')[0]}.csv`;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
-  
+  downloadHistoryFile(csvContent, 'text/csv;charset=utf-8', 'csv');
   showHistoryStatus('History exported successfully!', 'success');
 }
 
+async function importHistory(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+
+  let parsed;
+  try {
+    parsed = parseHistoryFile(await file.text());
+  } catch (error) {
+    showHistoryStatus(`Could not read history file: ${error.message}`, 'error');
+    return;
+  }
+
+  const { entries, skipped } = parsed;
+  if (entries.length === 0) {
+    showHistoryStatus('No history entries found in the file.', 'error');
+    return;
+  }
+
+  const { added, updated, removed } = await importExtractedUrls(entries);
+  updateUrlCount();
+  loadWatchlist();
+
+  const notes = [
+    skipped && `${skipped} invalid skipped`,
+    removed && `${removed} dropped by the retention policy`
+  ].filter(Boolean);
+  showHistoryStatus(
+    `Imported history: ${added} added, ${updated} updated${notes.length ? `, ${notes.join(', ')}` : ''}`,
+    notes.length ? 'info' : 'success'
+  );
+}
+
 function showHistoryStatus(message, type) {
-  const status = document.getElementById('historyStatus');
+  showSectionStatus('historyStatus', message, type);
+}
+
+function showSectionStatus(elementId, message, type) {
+  const status = document.getElementById(elementId);
   status.textContent = message;
   status.style.display = 'block';
   status.style.padding = '10px';
@@ -277,16 +1310,215 @@ function showHistoryStatus(message, type) {
   }, 3000);
 }
 
+// Watchlist Functions
+function populateWatchIntervals(selectedHours) {
+  const select = document.getElementById('watchIntervalHours');
+  select.innerHTML = '';
+  WATCH_INTERVAL_HOURS.forEach(hours => {
+    select.add(new Option(hours === 1 ? 'Hour' : `${hours} hours`, hours));
+  });
+  select.value = selectedHours;
+}
+
+function formatWatchTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : 'never';
+}
+
+function displayWatchlist(watchlist, extractedUrls) {
+  const watched = new Set(watchlist.map(entry => entry.url));
+  const select = document.getElementById('watchUrl');
+  select.innerHTML = '';
+  const candidates = extractedUrls
+    .filter(item => /^https?:/.test(item.url) && !watched.has(item.url))
+    .sort((a, b) => new Date(b.lastExtracted) - new Date(a.lastExtracted));
+  select.add(new Option(candidates.length ? 'Choose a page...' : 'No other captured pages', ''));
+  candidates.forEach(item => select.add(new Option(item.url, item.url)));
+
+  const container = document.getElementById('watchlistItems');
+  container.innerHTML = '';
+
+  if (watchlist.length === 0) {
+    container.innerHTML = '<p style="color: #666; font-size: 12px; margin: 10px 0;">No pages watched.</p>';
+    return;
+  }
+
+  watchlist.forEach(entry => {
+    const item = document.createElement('div');
+    item.className = 'domain-rule-item';
+
+    const url = document.createElement('strong');
+    url.textContent = entry.url;
+    url.style.wordBreak = 'break-all';
+    item.appendChild(url);
+
+    const checked = document.createElement('code');
+    checked.textContent = `Last checked: ${formatWatchTime(entry.lastChecked)} · Last changed: ${formatWatchTime(entry.lastChanged)}`;
+    item.appendChild(checked);
+
+    if (entry.lastError) {
+      const error = document.createElement('code');
+      error.textContent = `Error: ${entry.lastError}`;
+      error.style.color = '#dc3545';
+      item.appendChild(error);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'domain-rule-actions';
+    actions.style.alignItems = 'center';
+
+    const autoDownload = document.createElement('label');
+    autoDownload.style.cssText = 'display: flex; gap: 4px; margin: 0; font-weight: normal; font-size: 12px;';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = entry.autoDownload;
+    checkbox.addEventListener('change', () => setWatchAutoDownload(entry.url, checkbox.checked));
+    autoDownload.append(checkbox, 'Auto-download changes');
+    actions.appendChild(autoDownload);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Remove';
+    remove.style.backgroundColor = '#dc3545';
+    remove.addEventListener('click', () => unwatchUrl(entry.url));
+    actions.appendChild(remove);
+
+    item.appendChild(actions);
+    container.appendChild(item);
+  });
+}
+
+async function loadWatchlist() {
+  const [watchlist, extractedUrls, hours] = await Promise.all([
+    getWatchlist(),
+    getExtractedUrls(),
+    getWatchIntervalHours()
+  ]);
+  populateWatchIntervals(hours);
+  displayWatchlist(watchlist, extractedUrls);
+}
+
+async function watchSelectedUrl() {
+  const url = document.getElementById('watchUrl').value;
+  if (!url) {
+    showSectionStatus('watchlistStatus', 'Choose a captured page to watch.', 'error');
+    return;
+  }
+
+  // Checks fetch the page from the background
+  let granted;
+  try {
+    granted = await requestSiteAccess([`${new URL(url).origin}/*`]);
+  } catch (error) {
+    showSectionStatus('watchlistStatus', `Could not request access: ${error.message}`, 'error');
+    return;
+  }
+  if (!granted) {
+    showSectionStatus('watchlistStatus', 'Access to the site is needed to check the page.', 'error');
+    return;
+  }
+
+  try {
+    await addWatchedUrl(url);
+    await loadWatchlist();
+  } catch (error) {
+    showSectionStatus('watchlistStatus', error.message, 'error');
+    return;
+  }
+
+  showSectionStatus('watchlistStatus', 'Page added, recording its current version...', 'info');
+  const result = await browser.runtime.sendMessage({ action: 'recordWatchBaseline', url })
+    .catch(error => ({ error: error.message }));
+  await loadWatchlist();
+  if (result?.error) {
+    showSectionStatus('watchlistStatus', `Page added to the watchlist. Its current version couldn't be fetched (${result.error}); the first check records it.`, 'info');
+  } else {
+    showSectionStatus('watchlistStatus', 'Page added to the watchlist with its current version; changes from now on are notified.', 'success');
+  }
+}
+
+async function setWatchAutoDownload(url, autoDownload) {
+  await updateWatchedUrl(url, { autoDownload });
+  showSectionStatus('watchlistStatus', autoDownload ? 'Changes to this page will be downloaded.' : 'Changes to this page will only be notified.', 'success');
+}
+
+async function unwatchUrl(url) {
+  await removeWatchedUrl(url);
+  await loadWatchlist();
+  showSectionStatus('watchlistStatus', 'Page removed from the watchlist.', 'success');
+}
+
+async function saveWatchInterval() {
+  const watchIntervalHours = Number(document.getElementById('watchIntervalHours').value);
+  await browser.storage.sync.set({ watchIntervalHours });
+  showSectionStatus('watchlistStatus', 'Check interval saved!', 'success');
+}
+
+async function checkWatchlistNow() {
+  const button = document.getElementById('checkWatchlistNow');
+  button.disabled = true;
+  button.textContent = 'Checking...';
+
+  try {
+    const result = await browser.runtime.sendMessage({ action: 'checkWatchlist' });
+    if (result?.error) throw new Error(result.error);
+    const { changed, failed } = result;
+    showSectionStatus(
+      'watchlistStatus',
+      `Check finished: ${changed.length} changed, ${failed.length} failed.`,
+      failed.length ? 'error' : 'success'
+    );
+  } catch (error) {
+    showSectionStatus('watchlistStatus', `Check failed: ${error.message}`, 'error');
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Check Now';
+    loadWatchlist();
+  }
+}
+
 document.addEventListener('DOMContentLoaded', () => {
   restoreOptions();
   updateUrlCount();
+  loadHistoryRetention();
+  updateLibraryCount();
+  loadWatchlist();
+  loadFrontMatter();
+  loadObsidian();
+  loadDomainRules();
+  loadPromptTemplates();
+  loadShortcuts();
 });
 
 document.getElementById('save').addEventListener('click', saveOptions);
 document.getElementById('addCustomModel').addEventListener('click', addCustomModel);
 document.getElementById('clearHistory').addEventListener('click', clearAllHistory);
-document.getElementById('keepLast100').addEventListener('click', keepLast100);
+document.getElementById('saveHistoryRetention').addEventListener('click', saveHistoryRetention);
+document.getElementById('historyTable').querySelector('thead').addEventListener('click', sortHistoryTable);
 document.getElementById('exportHistory').addEventListener('click', exportHistory);
+document.getElementById('exportHistoryCsv').addEventListener('click', exportHistoryCsv);
+document.getElementById('importHistory').addEventListener('click', () => document.getElementById('historyFile').click());
+document.getElementById('historyFile').addEventListener('change', importHistory);
+document.getElementById('openLibrary').addEventListener('click', openLibrary);
+document.getElementById('watchIntervalHours').addEventListener('change', saveWatchInterval);
+document.getElementById('addWatchedUrl').addEventListener('click', watchSelectedUrl);
+document.getElementById('checkWatchlistNow').addEventListener('click', checkWatchlistNow);
+document.getElementById('saveFrontMatter').addEventListener('click', saveFrontMatter);
+document.getElementById('frontMatterFormat').addEventListener('change', updateFrontMatterPreview);
+document.getElementById('frontMatterFields').addEventListener('input', updateFrontMatterPreview);
+document.getElementById('frontMatterConstants').addEventListener('input', updateFrontMatterPreview);
+document.getElementById('saveObsidian').addEventListener('click', saveObsidian);
+document.getElementById('saveDomainRule').addEventListener('click', saveDomainRule);
+document.getElementById('cancelDomainRule').addEventListener('click', () => fillDomainRuleForm(null));
+document.getElementById('exportDomainRules').addEventListener('click', exportDomainRules);
+document.getElementById('importDomainRules').addEventListener('click', () => document.getElementById('domainRulesFile').click());
+document.getElementById('domainRulesFile').addEventListener('change', importDomainRules);
+document.getElementById('resetDomainRules').addEventListener('click', resetDomainRules);
+document.getElementById('savePromptTemplate').addEventListener('click', savePromptTemplate);
+document.getElementById('cancelPromptTemplate').addEventListener('click', () => fillPromptTemplateForm(null));
+document.getElementById('testPromptTemplate').addEventListener('click', testPromptTemplate);
+document.getElementById('changeShortcuts').addEventListener('click', openShortcutSettings);
+document.getElementById('offlineAssets').addEventListener('change', onOfflineAssetsChange);
+document.getElementById('llmProvider').addEventListener('change', onProviderChange);
 
 // Allow Enter key to add custom model
 document.getElementById('customModelInput').addEventListener('keypress', function(event) {
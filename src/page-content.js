@@ -0,0 +1,384 @@
+/**
+ * Page capture injected into the active tab with `files`, after
+ * content-extractor.js. Callers then run `func: (rule) => getPageContent(rule)`
+ * so the helper can be shared by the popup and the element picker.
+ * Only function declarations at the top level: the file may be injected twice.
+ */
+
+/**
+ * Serializes the current selection to HTML. Each range is cloned and wrapped
+ * in shallow copies of its list/code/table ancestors so the fragment converts
+ * the same way it would inside the full page.
+ * @param {Selection} selection - The document selection
+ * @returns {{html: string, ranges: Array<Range>}} The HTML and the ranges used
+ */
+function serializeSelection(selection) {
+  // Ancestors re-created around a selection so turndown keeps its meaning
+  // (a selected list item stays a list item, selected code stays fenced)
+  const contextTags = [
+    "PRE",
+    "CODE",
+    "LI",
+    "UL",
+    "OL",
+    "DL",
+    "BLOCKQUOTE",
+    "TD",
+    "TH",
+    "TR",
+    "THEAD",
+    "TBODY",
+    "TFOOT",
+    "TABLE",
+  ];
+
+  const ranges = [];
+  const parts = [];
+
+  for (let i = 0; i < selection.rangeCount; i++) {
+    const range = selection.getRangeAt(i);
+    if (range.collapsed) continue;
+    ranges.push(range);
+
+    let fragment = range.cloneContents();
+    let ancestor = range.commonAncestorContainer;
+    if (ancestor.nodeType !== Node.ELEMENT_NODE) ancestor = ancestor.parentNode;
+
+    while (ancestor && ancestor !== document.body) {
+      if (contextTags.includes(ancestor.nodeName)) {
+        const wrapper = ancestor.cloneNode(false);
+
+        // Keep the header when only body rows of a table were selected
+        if (ancestor.nodeName === "TABLE" && !fragment.querySelector("thead")) {
+          const thead = ancestor.querySelector(":scope > thead");
+          if (thead) wrapper.appendChild(thead.cloneNode(true));
+        }
+
+        wrapper.appendChild(fragment);
+        fragment = document.createDocumentFragment();
+        fragment.appendChild(wrapper);
+      }
+      ancestor = ancestor.parentNode;
+    }
+
+    const container = document.createElement("div");
+    container.appendChild(fragment);
+    parts.push(container.outerHTML);
+  }
+
+  return { html: parts.join("\n"), ranges };
+}
+
+/**
+ * Picks the largest candidate of a srcset attribute
+ * @param {string} srcset - e.g. "a.jpg 480w, b.jpg 1080w" or "a.jpg 1x, b.jpg 2x"
+ * @returns {string} The candidate URL, or "" if there is none
+ */
+function pickLargestSrcsetCandidate(srcset) {
+  let best = "";
+  let bestSize = -1;
+
+  for (const candidate of (srcset || "").split(/,\s+/)) {
+    const [url, descriptor = "1x"] = candidate.trim().split(/\s+/);
+    if (!url) continue;
+    const size = parseFloat(descriptor) * (descriptor.endsWith("w") ? 1 : 1000);
+    if (size > bestSize) {
+      best = url;
+      bestSize = size;
+    }
+  }
+  return best;
+}
+
+/**
+ * Points every image at its real, absolute source so the Markdown doesn't
+ * keep lazy-load placeholders or page-relative paths: the largest srcset or
+ * <picture> candidate wins, then lazy-load data attributes, then src.
+ * <picture> wrappers are replaced by their <img>.
+ * @param {Element|DocumentFragment} root - The captured content (a copy)
+ * @param {string} baseUrl - URL relative sources resolve against
+ */
+function resolveImageSources(root, baseUrl) {
+  const lazyAttributes = [
+    "data-src",
+    "data-lazy-src",
+    "data-original",
+    "data-lazy",
+    "data-url",
+    "data-hi-res-src",
+  ];
+  const isPlaceholder = (src) => !src || /^data:|^about:blank/i.test(src);
+
+  for (const img of root.querySelectorAll("img")) {
+    const picture =
+      img.parentElement?.nodeName === "PICTURE" ? img.parentElement : null;
+    const srcsets = [
+      img.getAttribute("srcset"),
+      img.getAttribute("data-srcset"),
+      ...(picture
+        ? Array.from(picture.querySelectorAll("source")).map(
+            (source) =>
+              source.getAttribute("srcset") ||
+              source.getAttribute("data-srcset")
+          )
+        : []),
+    ];
+
+    const src =
+      srcsets.map(pickLargestSrcsetCandidate).find(Boolean) ||
+      lazyAttributes.map((name) => img.getAttribute(name)).find(Boolean) ||
+      img.getAttribute("src");
+
+    img.removeAttribute("srcset");
+    img.removeAttribute("data-srcset");
+    lazyAttributes.forEach((name) => img.removeAttribute(name));
+
+    if (!isPlaceholder(src)) {
+      try {
+        img.setAttribute("src", new URL(src, baseUrl).href);
+      } catch (e) {
+        // Leave unparsable sources untouched
+      }
+    }
+
+    if (picture) picture.replaceWith(img);
+  }
+}
+
+/**
+ * Collects the page's content and metadata.
+ * This function runs in the context of the web page.
+ * @param {Object|null} domainRule - The matching rule from domain-rules.js
+ * @param {Object} [options]
+ * @param {Element} [options.element] - Capture this element instead of
+ *   detecting the main content (element picker)
+ * @param {boolean} [options.selection] - Capture only the current selection
+ * @param {Document} [options.document] - Parsed document to read instead of
+ *   the live page (linked-page capture)
+ * @param {string} [options.url] - URL of options.document
+ * @returns {Promise<{html: string, title: string, images: Array,
+ *   author: string, publicationDate: string|null, extraction: Object,
+ *   captureMode: string}>} captureMode is "page", "element" or "selection"
+ */
+async function getPageContent(domainRule = null, options = {}) {
+  // Fetched pages (linked-page capture) pass their own parsed document
+  const doc = options.document || document;
+  const pageUrl = new URL(options.url || window.location.href);
+
+  // Reads the text of a domain-rule selector, ignoring invalid selectors
+  function queryRuleText(selector) {
+    if (!selector) return "";
+    try {
+      const element = doc.querySelector(selector);
+      return (
+        element?.getAttribute("datetime") ||
+        element?.getAttribute("content") ||
+        element?.textContent ||
+        ""
+      ).trim();
+    } catch (e) {
+      console.warn("Invalid domain rule selector:", selector, e);
+      return "";
+    }
+  }
+
+  const title = queryRuleText(domainRule?.titleSelector) || doc.title;
+
+  // Extract author information
+  const author =
+    queryRuleText(domainRule?.authorSelector) ||
+    doc.querySelector('meta[name="author"]')?.content ||
+    doc.querySelector('[rel="author"]')?.textContent ||
+    doc.querySelector(".author-name")?.textContent ||
+    doc.querySelector('[itemprop="author"]')?.textContent ||
+    "Unknown";
+
+  // Extract publication date using multiple strategies
+  function extractPublicationDate() {
+    // Strategy 0: Domain rule date selector
+    const ruleDate = queryRuleText(domainRule?.dateSelector);
+    if (ruleDate) {
+      const parsed = new Date(ruleDate);
+      if (!isNaN(parsed.getTime())) return parsed.toISOString();
+    }
+
+    // Strategy 1: Check meta tags (most reliable)
+    const metaDate =
+      doc.querySelector('meta[property="article:published_time"]')?.content ||
+      doc.querySelector('meta[name="publish_date"]')?.content ||
+      doc.querySelector('meta[name="publication_date"]')?.content ||
+      doc.querySelector('meta[property="article:published"]')?.content ||
+      doc.querySelector('meta[name="date"]')?.content ||
+      doc.querySelector('meta[name="DC.date.issued"]')?.content ||
+      doc.querySelector('meta[property="og:published_time"]')?.content ||
+      doc.querySelector('meta[itemprop="datePublished"]')?.content;
+
+    if (metaDate) return metaDate;
+
+    // Strategy 2: Check JSON-LD structured data
+    const jsonLdScripts = doc.querySelectorAll(
+      'script[type="application/ld+json"]'
+    );
+    for (const script of jsonLdScripts) {
+      try {
+        const data = JSON.parse(script.textContent);
+        if (data.datePublished) return data.datePublished;
+        if (data.dateCreated) return data.dateCreated;
+        if (data["@graph"]) {
+          for (const item of data["@graph"]) {
+            if (item.datePublished) return item.datePublished;
+            if (item.dateCreated) return item.dateCreated;
+          }
+        }
+      } catch (e) {
+        // Invalid JSON, skip
+      }
+    }
+
+    // Strategy 3: Check common HTML elements with dates
+    const dateElement =
+      doc.querySelector("time[datetime]")?.getAttribute("datetime") ||
+      doc.querySelector("time[pubdate]")?.getAttribute("datetime") ||
+      doc
+        .querySelector('[itemprop="datePublished"]')
+        ?.getAttribute("datetime") ||
+      doc.querySelector('[itemprop="datePublished"]')?.textContent ||
+      doc.querySelector(".publish-date")?.textContent ||
+      doc.querySelector(".published-date")?.textContent ||
+      doc.querySelector(".post-date")?.textContent ||
+      doc.querySelector(".entry-date")?.textContent ||
+      doc.querySelector(".date-published")?.textContent ||
+      doc.querySelector('[class*="publish"][class*="date"]')?.textContent ||
+      doc.querySelector('[class*="post"][class*="date"]')?.textContent;
+
+    if (dateElement) {
+      // Try to parse and validate the date
+      const parsed = new Date(dateElement);
+      if (!isNaN(parsed.getTime())) {
+        return parsed.toISOString();
+      }
+    }
+
+    // Strategy 4: Look for date patterns in URL
+    const urlDateMatch = pageUrl.pathname.match(
+      /(\d{4})[-\/](\d{1,2})[-\/](\d{1,2})/
+    );
+    if (urlDateMatch) {
+      const [_, year, month, day] = urlDateMatch;
+      const date = new Date(year, month - 1, day);
+      if (!isNaN(date.getTime())) {
+        return date.toISOString();
+      }
+    }
+
+    return null;
+  }
+
+  const publicationDate = extractPublicationDate();
+
+  let html;
+  let imgElements;
+  let extractionReport;
+  let captureMode = options.element ? "element" : "page";
+
+  if (options.selection) {
+    const { html: selectionHtml, ranges } = serializeSelection(
+      window.getSelection()
+    );
+    if (ranges.length === 0) {
+      throw new Error("Nothing is selected on the page.");
+    }
+
+    html = selectionHtml;
+    imgElements = Array.from(doc.querySelectorAll("img")).filter((img) =>
+      ranges.some((range) => range.intersectsNode(img))
+    );
+    extractionReport = { strategy: "selection", ranges: ranges.length };
+    captureMode = "selection";
+  } else {
+    // Domain rule first, then content scoring, then <main>/<article>, then <body>
+    // (extractMainContent is defined by content-extractor.js, injected first)
+    const extraction = extractMainContent(doc, {
+      element: options.element,
+      selector: domainRule?.contentSelector,
+      removeSelectors: domainRule?.removeSelectors || [],
+    });
+    html = extraction.html;
+    // Parsed (fetched) documents have no layout, so their images can't be sampled
+    imgElements = options.document
+      ? []
+      : extraction.element.querySelectorAll("img");
+    extractionReport = { strategy: extraction.strategy, ...extraction.details };
+  }
+
+  // Resolve image sources on a detached copy of the captured HTML
+  const template = doc.createElement("template");
+  template.innerHTML = html;
+  resolveImageSources(template.content, doc.baseURI || pageUrl.href);
+  html = template.innerHTML;
+
+  // Extract images for analysis (limit to first 5 significant images)
+  const images = [];
+  let imageCount = 0;
+
+  for (const img of imgElements) {
+    if (imageCount >= 5) break; // Limit to 5 images to avoid API limits
+
+    // Skip small images (likely icons)
+    if (img.width < 100 || img.height < 100) continue;
+
+    try {
+      // Try to get image data
+      const canvas = document.createElement("canvas");
+      canvas.width = img.naturalWidth || img.width;
+      canvas.height = img.naturalHeight || img.height;
+      const ctx = canvas.getContext("2d");
+
+      // Create a new image to ensure it's loaded
+      const tempImg = new Image();
+      tempImg.crossOrigin = "anonymous";
+
+      // Promise to handle async image loading
+      const imageDataPromise = new Promise((resolve) => {
+        tempImg.onload = () => {
+          ctx.drawImage(tempImg, 0, 0);
+          try {
+            const dataUrl = canvas.toDataURL("image/jpeg", 0.8);
+            const base64Data = dataUrl.split(",")[1];
+            resolve({
+              data: base64Data,
+              mimeType: "image/jpeg",
+              alt: img.alt || "",
+              src: img.src,
+            });
+          } catch (e) {
+            // CORS prevents access to cross-origin images
+            console.warn("Cannot access image data due to CORS:", img.src);
+            resolve(null);
+          }
+        };
+        tempImg.onerror = () => resolve(null);
+        tempImg.src = img.src;
+      });
+
+      const imageData = await imageDataPromise;
+      if (imageData) {
+        images.push(imageData);
+        imageCount++;
+      }
+    } catch (e) {
+      // Skip images that can't be processed
+      console.log("Skipping image:", e);
+    }
+  }
+
+  return {
+    title,
+    html,
+    images,
+    author: author.trim(),
+    publicationDate,
+    extraction: extractionReport,
+    captureMode,
+  };
+}
@@ -0,0 +1,105 @@
+/**
+ * Category detection and filename generation shared by the popup and the
+ * background worker, so captures finished in either place are named the same.
+ */
+
+/**
+ * Detects category based on title and URL patterns
+ * @param {string} title - Page title
+ * @param {string} url - Page URL
+ * @returns {string} - Detected category
+ */
+function detectCategory(title, url) {
+  const titleLower = title.toLowerCase();
+  const urlLower = url.toLowerCase();
+
+  // Category detection patterns
+  const patterns = {
+    architecture: [
+      "architecture",
+      "microservice",
+      "design pattern",
+      "system design",
+      "scalability",
+    ],
+    testing: ["test", "testing", "tdd", "unit test", "integration", "e2e"],
+    security: [
+      "security",
+      "authentication",
+      "authorization",
+      "oauth",
+      "jwt",
+      "encryption",
+    ],
+    performance: ["performance", "optimization", "speed", "cache", "profiling"],
+    database: ["database", "sql", "nosql", "mongodb", "postgres", "redis"],
+    devops: [
+      "devops",
+      "docker",
+      "kubernetes",
+      "ci/cd",
+      "deployment",
+      "aws",
+      "azure",
+    ],
+    frontend: ["react", "vue", "angular", "frontend", "css", "ui", "ux"],
+    backend: ["backend", "api", "rest", "graphql", "server", "node", "express"],
+    mobile: ["mobile", "ios", "android", "react native", "flutter"],
+    ai_ml: ["machine learning", "ai", "neural", "tensorflow", "data science"],
+    programming: [
+      "typescript",
+      "javascript",
+      "python",
+      "java",
+      "c#",
+      "rust",
+      "go",
+      "programming",
+    ],
+  };
+
+  for (const [category, keywords] of Object.entries(patterns)) {
+    for (const keyword of keywords) {
+      if (titleLower.includes(keyword) || urlLower.includes(keyword)) {
+        return category;
+      }
+    }
+  }
+
+  return "general";
+}
+
+/**
+ * Generates filename from page content
+ * @param {Object} pageContent - The extracted page content
+ * @param {string} url - The page URL
+ * @returns {string} The generated filename
+ */
+function generateFilename(pageContent, url) {
+  const safeTitle = pageContent.title
+    .replace(/[^a-z0-9_.-]/gi, "_")
+    .toLowerCase();
+
+  // Use publication date if available, otherwise use current date
+  let dateStr;
+  if (pageContent.publicationDate) {
+    const pubDate = new Date(pageContent.publicationDate);
+    if (!isNaN(pubDate.getTime())) {
+      dateStr = `${pubDate.getFullYear()}-${String(
+        pubDate.getMonth() + 1
+      ).padStart(2, "0")}-${String(pubDate.getDate()).padStart(2, "0")}`;
+    }
+  }
+
+  // Fallback to current date if no valid publication date
+  if (!dateStr) {
+    const date = new Date();
+    dateStr = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(
+      2,
+      "0"
+    )}-${String(date.getDate()).padStart(2, "0")}`;
+  }
+
+  const category = detectCategory(pageContent.title, url);
+  return `${dateStr}_${category}_${safeTitle || "document"}.md`;
+}
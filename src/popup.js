@@ -1,374 +1,60 @@
 /**
- * Function to be injected into the active tab.
- * This function runs in the context of the web page.
- * We'll grab the body's HTML as it provides the main content.
- * @returns {{html: string, title: string, images: Array}}
+ * Downloads a capture. In offline assets mode, or with the Obsidian profile,
+ * the background worker saves it instead, fetching its images.
+ * @param {Object} capture - A serialized capture.
+ * @param {boolean} saveAs - Show the "Save as" dialog (ignored offline and
+ *   for Obsidian).
+ * @param {boolean} offlineAssets - Whether offline assets mode is on.
+ * @returns {Promise<Array<{url: string, reason: string}>>} Images that could
+ *   not be saved offline.
  */
-async function getPageContent() {
-  const title = document.title;
-  const hostname = window.location.hostname;
-
-  // Extract author information
-  const author =
-    document.querySelector('meta[name="author"]')?.content ||
-    document.querySelector('[rel="author"]')?.textContent ||
-    document.querySelector(".author-name")?.textContent ||
-    document.querySelector('[itemprop="author"]')?.textContent ||
-    "Unknown";
-
-  // Extract publication date using multiple strategies
-  function extractPublicationDate() {
-    // Strategy 1: Check meta tags (most reliable)
-    const metaDate =
-      document.querySelector('meta[property="article:published_time"]')
-        ?.content ||
-      document.querySelector('meta[name="publish_date"]')?.content ||
-      document.querySelector('meta[name="publication_date"]')?.content ||
-      document.querySelector('meta[property="article:published"]')?.content ||
-      document.querySelector('meta[name="date"]')?.content ||
-      document.querySelector('meta[name="DC.date.issued"]')?.content ||
-      document.querySelector('meta[property="og:published_time"]')?.content ||
-      document.querySelector('meta[itemprop="datePublished"]')?.content;
-
-    if (metaDate) return metaDate;
-
-    // Strategy 2: Check JSON-LD structured data
-    const jsonLdScripts = document.querySelectorAll(
-      'script[type="application/ld+json"]'
-    );
-    for (const script of jsonLdScripts) {
-      try {
-        const data = JSON.parse(script.textContent);
-        if (data.datePublished) return data.datePublished;
-        if (data.dateCreated) return data.dateCreated;
-        if (data["@graph"]) {
-          for (const item of data["@graph"]) {
-            if (item.datePublished) return item.datePublished;
-            if (item.dateCreated) return item.dateCreated;
-          }
-        }
-      } catch (e) {
-        // Invalid JSON, skip
-      }
-    }
-
-    // Strategy 3: Check common HTML elements with dates
-    const dateElement =
-      document.querySelector("time[datetime]")?.getAttribute("datetime") ||
-      document.querySelector("time[pubdate]")?.getAttribute("datetime") ||
-      document
-        .querySelector('[itemprop="datePublished"]')
-        ?.getAttribute("datetime") ||
-      document.querySelector('[itemprop="datePublished"]')?.textContent ||
-      document.querySelector(".publish-date")?.textContent ||
-      document.querySelector(".published-date")?.textContent ||
-      document.querySelector(".post-date")?.textContent ||
-      document.querySelector(".entry-date")?.textContent ||
-      document.querySelector(".date-published")?.textContent ||
-      document.querySelector('[class*="publish"][class*="date"]')
-        ?.textContent ||
-      document.querySelector('[class*="post"][class*="date"]')?.textContent;
-
-    if (dateElement) {
-      // Try to parse and validate the date
-      const parsed = new Date(dateElement);
-      if (!isNaN(parsed.getTime())) {
-        return parsed.toISOString();
-      }
-    }
-
-    // Strategy 4: Look for date patterns in URL
-    const urlDateMatch = window.location.pathname.match(
-      /(\d{4})[-\/](\d{1,2})[-\/](\d{1,2})/
-    );
-    if (urlDateMatch) {
-      const [_, year, month, day] = urlDateMatch;
-      const date = new Date(year, month - 1, day);
-      if (!isNaN(date.getTime())) {
-        return date.toISOString();
-      }
-    }
-
-    return null;
-  }
-
-  const publicationDate = extractPublicationDate();
-
-  // Domain-specific content extraction rules
-  const domainRules = {
-    "milanjovanovic.tech":
-      "div.flex.flex-col.space-y-10.border-r-gray-100.md\\:pr-10.lg\\:border-r-\\[0\\.1rem\\]",
-    "devblogs.microsoft.com": 'div[class*="container-evo mt-56"]',
-  };
-
-  let mainContent = null;
-
-  // Check if current domain has specific extraction rules
-  if (domainRules[hostname]) {
-    mainContent = document.querySelector(domainRules[hostname]);
-  }
-
-  // Fallback to generic content extraction
-  if (!mainContent) {
-    mainContent = document.querySelector('main, article, [role="main"]');
-  }
-
-  const contentElement = mainContent || document.body;
-  const html = contentElement.innerHTML;
-
-  // Extract images for analysis (limit to first 5 significant images)
-  const images = [];
-  const imgElements = contentElement.querySelectorAll("img");
-  let imageCount = 0;
-
-  for (const img of imgElements) {
-    if (imageCount >= 5) break; // Limit to 5 images to avoid API limits
-
-    // Skip small images (likely icons)
-    if (img.width < 100 || img.height < 100) continue;
-
-    try {
-      // Try to get image data
-      const canvas = document.createElement("canvas");
-      canvas.width = img.naturalWidth || img.width;
-      canvas.height = img.naturalHeight || img.height;
-      const ctx = canvas.getContext("2d");
-
-      // Create a new image to ensure it's loaded
-      const tempImg = new Image();
-      tempImg.crossOrigin = "anonymous";
-
-      // Promise to handle async image loading
-      const imageDataPromise = new Promise((resolve) => {
-        tempImg.onload = () => {
-          ctx.drawImage(tempImg, 0, 0);
-          try {
-            const dataUrl = canvas.toDataURL("image/jpeg", 0.8);
-            const base64Data = dataUrl.split(",")[1];
-            resolve({
-              data: base64Data,
-              mimeType: "image/jpeg",
-              alt: img.alt || "",
-              src: img.src,
-            });
-          } catch (e) {
-            // CORS prevents access to cross-origin images
-            console.warn("Cannot access image data due to CORS:", img.src);
-            resolve(null);
-          }
-        };
-        tempImg.onerror = () => resolve(null);
-        tempImg.src = img.src;
-      });
-
-      const imageData = await imageDataPromise;
-      if (imageData) {
-        images.push(imageData);
-        imageCount++;
-      }
-    } catch (e) {
-      // Skip images that can't be processed
-      console.log("Skipping image:", e);
-    }
-  }
-
-  return { title, html, images, author: author.trim(), publicationDate };
-}
-
-/**
- * Detects category based on title and URL patterns
- * @param {string} title - Page title
- * @param {string} url - Page URL
- * @returns {string} - Detected category
- */
-function detectCategory(title, url) {
-  const titleLower = title.toLowerCase();
-  const urlLower = url.toLowerCase();
-
-  // Category detection patterns
-  const patterns = {
-    architecture: [
-      "architecture",
-      "microservice",
-      "design pattern",
-      "system design",
-      "scalability",
-    ],
-    testing: ["test", "testing", "tdd", "unit test", "integration", "e2e"],
-    security: [
-      "security",
-      "authentication",
-      "authorization",
-      "oauth",
-      "jwt",
-      "encryption",
-    ],
-    performance: ["performance", "optimization", "speed", "cache", "profiling"],
-    database: ["database", "sql", "nosql", "mongodb", "postgres", "redis"],
-    devops: [
-      "devops",
-      "docker",
-      "kubernetes",
-      "ci/cd",
-      "deployment",
-      "aws",
-      "azure",
-    ],
-    frontend: ["react", "vue", "angular", "frontend", "css", "ui", "ux"],
-    backend: ["backend", "api", "rest", "graphql", "server", "node", "express"],
-    mobile: ["mobile", "ios", "android", "react native", "flutter"],
-    ai_ml: ["machine learning", "ai", "neural", "tensorflow", "data science"],
-    programming: [
-      "typescript",
-      "javascript",
-      "python",
-      "java",
-      "c#",
-      "rust",
-      "go",
-      "programming",
-    ],
-  };
-
-  for (const [category, keywords] of Object.entries(patterns)) {
-    for (const keyword of keywords) {
-      if (titleLower.includes(keyword) || urlLower.includes(keyword)) {
-        return category;
-      }
-    }
+async function saveMarkdown(capture, saveAs, offlineAssets) {
+  if (!offlineAssets && !capture.obsidian?.enabled) {
+    await downloadMarkdownFile(capture.filename, capture.document, saveAs);
+    return [];
   }
 
-  return "general";
+  const response = await browser.runtime.sendMessage({
+    action: "saveCaptureFile",
+    filename: capture.filename,
+    content: capture.document,
+    saveAs,
+    category: capture.category,
+  });
+  if (response?.error) throw new Error(response.error);
+  return response.failedImages || [];
 }
 
 /**
- * Creates and triggers a download for a text file using Chrome Downloads API.
- * @param {string} filename - The desired name of the file.
- * @param {string} content - The text content of the file.
+ * Status text for a finished download, listing images left online
+ * @param {Array<{url: string, reason: string}>} failedImages - From saveMarkdown
+ * @returns {string} The status message
  */
-function downloadFile(filename, content) {
-  // Convert content to base64 data URL for Chrome downloads API
-  // Using TextEncoder for proper UTF-8 encoding instead of deprecated unescape
-  const encoder = new TextEncoder();
-  const data = encoder.encode(content);
-
-  // Use a chunked approach to avoid stack overflow with String.fromCharCode(...data)
-  let binary = "";
-  const len = data.byteLength;
-  const chunkSize = 8192;
-  for (let i = 0; i < len; i += chunkSize) {
-    binary += String.fromCharCode.apply(null, data.subarray(i, i + chunkSize));
-  }
-
-  const base64Content = btoa(binary);
-  const dataUrl = `data:text/markdown;charset=utf-8;base64,${base64Content}`;
-
-  // Use Chrome downloads API with saveAs: true to remember the path
-  browser.downloads.download({
-    url: dataUrl,
-    filename: filename,
-    saveAs: true, // This prompts the user and remembers the last used directory
-  });
+function describeDownload(failedImages) {
+  if (!failedImages?.length) return "File downloaded successfully!";
+  console.warn("Images not saved offline:", failedImages);
+  return `File downloaded, but ${failedImages.length} image(s) could not be saved offline: ${failedImages
+    .map((image) => `${image.url} (${image.reason})`)
+    .join(", ")}`;
 }
 
 const extractBtn = document.getElementById("extractBtn");
+const pickBtn = document.getElementById("pickBtn");
+const selectionBtn = document.getElementById("selectionBtn");
 const statusEl = document.getElementById("status");
 
-/**
- * URL History Management Functions
- */
-
-// Get the list of extracted URLs from storage
-async function getExtractedUrls() {
-  const result = await browser.storage.local.get("extractedUrls");
-  return result.extractedUrls || [];
-}
-
-// Add a URL to the extracted list
-async function addExtractedUrl(url) {
-  const urls = await getExtractedUrls();
-  const timestamp = new Date().toISOString();
-
-  // Check if URL already exists and update it
-  const existingIndex = urls.findIndex((item) => item.url === url);
-  if (existingIndex !== -1) {
-    urls[existingIndex].lastExtracted = timestamp;
-    urls[existingIndex].count = (urls[existingIndex].count || 1) + 1;
-  } else {
-    urls.push({
-      url: url,
-      firstExtracted: timestamp,
-      lastExtracted: timestamp,
-      count: 1,
-    });
-  }
-
-  // Keep only the last 100 URLs (configurable)
-  const maxUrls = 100;
-  if (urls.length > maxUrls) {
-    // Sort by lastExtracted date and keep the most recent
-    urls.sort((a, b) => new Date(b.lastExtracted) - new Date(a.lastExtracted));
-    urls.splice(maxUrls);
-  }
-
-  await browser.storage.local.set({ extractedUrls: urls });
-}
-
-// Check if a URL has been extracted before
-async function isUrlExtracted(url) {
-  const urls = await getExtractedUrls();
-  return urls.some((item) => item.url === url);
-}
-
-// Clear all extracted URLs
-async function clearExtractedUrls() {
-  await browser.storage.local.set({ extractedUrls: [] });
-}
-
-// Keep only the last N URLs
-async function keepLastNUrls(n = 100) {
-  const urls = await getExtractedUrls();
-  if (urls.length > n) {
-    urls.sort((a, b) => new Date(b.lastExtracted) - new Date(a.lastExtracted));
-    urls.splice(n);
-    await browser.storage.local.set({ extractedUrls: urls });
-  }
-}
-
-// Initialize Turndown Service once with preferred options.
-// Note: 'atx' is the desired heading style (e.g., # Heading).
-// The provided Turndown library version defaults to 'setext' for H1/H2.
-// Setting headingStyle to anything other than 'setext' forces 'atx' style for all headings.
-const turndownService = new TurndownService({
-  headingStyle: "atx",
-  hr: "---",
-  bulletListMarker: "*",
-  codeBlockStyle: "fenced",
-});
-
-// Add rule for better code block handling with language detection
-turndownService.addRule("enhancedCodeBlock", {
-  filter: function (node) {
-    return node.nodeName === "PRE" && node.querySelector("code");
-  },
-  replacement: function (content, node) {
-    const codeEl = node.querySelector("code");
-    if (!codeEl) return "\n```\n" + content + "\n```\n";
-
-    // Extract language from class name
-    let lang = "";
-    const className = codeEl.className || "";
-    const langMatch = className.match(/(?:lang|language)-(\w+)/);
-    if (langMatch) {
-      lang = langMatch[1];
-    }
-
-    // Get the actual code content
-    const code = codeEl.textContent || content;
+// Scripts injected into the tab before calling getPageContent
+const PAGE_CAPTURE_SCRIPTS = ["content-extractor.js", "page-content.js"];
 
-    return "\n```" + lang + "\n" + code.trim() + "\n```\n";
-  },
-});
+// The element picker converts in the page, so it also needs turndown
+const ELEMENT_PICKER_SCRIPTS = [
+  "browser-polyfill.min.js",
+  "turndown.js",
+  "turndown-tables.js",
+  "markdown-converter.js",
+  ...PAGE_CAPTURE_SCRIPTS,
+  "element-picker.js",
+];
 
 // Add options link handler
 document.getElementById("optionsLink").addEventListener("click", (e) => {
@@ -376,6 +62,11 @@ document.getElementById("optionsLink").addEventListener("click", (e) => {
   browser.runtime.openOptionsPage();
 });
 
+document.getElementById("libraryLink").addEventListener("click", (e) => {
+  e.preventDefault();
+  browser.tabs.create({ url: browser.runtime.getURL("library.html") });
+});
+
 /**
  * Validates if the tab can be processed
  * @param {browser.tabs.Tab} tab - The tab to validate
@@ -398,178 +89,71 @@ function validateTab(tab) {
 }
 
 /**
- * Generates filename from page content
- * @param {Object} pageContent - The extracted page content
- * @param {string} url - The page URL
- * @returns {string} The generated filename
+ * Describes which content extraction strategy picked the captured element
+ * @param {Object} extraction - The extraction report from getPageContent
+ * @returns {string} A short human-readable summary for the status line
  */
-function generateFilename(pageContent, url) {
-  const safeTitle = pageContent.title
-    .replace(/[^a-z0-9_.-]/gi, "_")
-    .toLowerCase();
-
-  // Use publication date if available, otherwise use current date
-  let dateStr;
-  if (pageContent.publicationDate) {
-    const pubDate = new Date(pageContent.publicationDate);
-    if (!isNaN(pubDate.getTime())) {
-      dateStr = `${pubDate.getFullYear()}-${String(
-        pubDate.getMonth() + 1
-      ).padStart(2, "0")}-${String(pubDate.getDate()).padStart(2, "0")}`;
-    }
-  }
-
-  // Fallback to current date if no valid publication date
-  if (!dateStr) {
-    const date = new Date();
-    dateStr = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(
-      2,
-      "0"
-    )}-${String(date.getDate()).padStart(2, "0")}`;
+function describeExtraction(extraction) {
+  if (!extraction) return "content: unknown";
+
+  const labels = {
+    "domain-rule": "domain rule",
+    readability: "content scoring",
+    semantic: "main/article element",
+    body: "whole page body",
+    "picked-element": "picked element",
+    selection: "text selection",
+  };
+  let summary = `content: ${labels[extraction.strategy] || extraction.strategy}`;
+  if (extraction.target) summary += ` → ${extraction.target}`;
+  if (extraction.ranges > 1) summary += ` (${extraction.ranges} ranges)`;
+  if (extraction.removedCount) {
+    summary += `, ${extraction.removedCount} boilerplate blocks removed`;
   }
-
-  const category = detectCategory(pageContent.title, url);
-  return `${dateStr}_${category}_${safeTitle || "document"}.md`;
+  return summary;
 }
 
 /**
- * Creates metadata header for the markdown file using YAML frontmatter
- * @param {Object} pageContent - The extracted page content
- * @param {string} url - The page URL
- * @param {string} category - The detected category
- * @param {Object} geminiData - Optional enriched data from Gemini
- * @returns {string} The YAML frontmatter header
+ * Enrich step for the popup: improves the capture with the AI provider if
+ * enabled. The popup waits for the result here (instead of handing off to
+ * the background) so it can be previewed; if the provider fails the
+ * converted Markdown is kept.
+ * @param {Object} capture - A converted capture
  */
-function createMetadata(pageContent, url, category, geminiData = null) {
-  // Escape YAML special characters in title and author
-  const escapeYaml = (str) => {
-    if (!str) return "";
-    // If string contains special characters, quote it
-    if (/[:"'|>{}[\]@`!%&*]/.test(str) || str.includes("\n")) {
-      return `"${str.replace(/"/g, '\\"')}"`;
-    }
-    return str;
-  };
-
-  // Format array for YAML
-  const formatYamlArray = (arr) => {
-    if (!arr || arr.length === 0) return "[]";
-    return "[" + arr.map((item) => escapeYaml(item)).join(", ") + "]";
-  };
-
-  // Use Gemini data if available, otherwise defaults
-  const technologies = geminiData?.technologies || [];
-  const programmingLanguages = geminiData?.programmingLanguages || [];
-  const tags = geminiData?.tags || [];
-  const keyConcepts = geminiData?.keyConcepts || [];
-  const codeExamples = geminiData?.codeExamples || false;
-  const difficultyLevel = geminiData?.difficultyLevel || "unknown";
-  const summary = geminiData?.summary || "";
-
-  // Format dates
-  const publicationDate = pageContent.publicationDate || null;
-  const datePublished = publicationDate
-    ? new Date(publicationDate).toISOString()
-    : null;
-  const dateCaptured = new Date().toISOString();
-
-  return `\`\`\`yaml
----
-title: ${escapeYaml(pageContent.title)}
-source: ${url}
-date_published: ${datePublished || "unknown"}
-date_captured: ${dateCaptured}
-domain: ${new URL(url).hostname}
-author: ${escapeYaml(pageContent.author || "Unknown")}
-category: ${category}
-technologies: ${formatYamlArray(technologies)}
-programming_languages: ${formatYamlArray(programmingLanguages)}
-tags: ${formatYamlArray(tags)}
-key_concepts: ${formatYamlArray(keyConcepts)}
-code_examples: ${codeExamples}
-difficulty_level: ${difficultyLevel}
-summary: |
-  ${summary.replace(/\n/g, "\n  ")}
----
-\`\`\`
-
-# ${pageContent.title}
-
-`;
-}
+async function enrichCaptureIfEnabled(capture) {
+  const { useGemini } = await browser.storage.sync.get({ useGemini: false });
+  const llm = await getLlmSettings();
 
-/**
- * Improves markdown content using Gemini if enabled
- * @param {Object} pageContent - The extracted page content
- * @param {string} url - The page URL
- * @param {string} category - The detected category
- * @param {string} markdown - The markdown content
- * @param {Array} images - Images extracted from the page
- * @returns {Promise<string>} The improved markdown with enhanced metadata
- */
-async function improveWithGeminiIfEnabled(
-  pageContent,
-  url,
-  category,
-  markdown,
-  images
-) {
-  const { useGemini, geminiApiKey, geminiModel } =
-    await browser.storage.sync.get(["useGemini", "geminiApiKey", "geminiModel"]);
-
-  if (!useGemini || !geminiApiKey) {
-    // Create basic metadata without Gemini enhancement
-    const metadata = createMetadata(pageContent, url, category);
-    return metadata + markdown;
+  if (!useGemini || !llm.ready) {
+    applyEnrichment(capture, null);
+    return;
   }
 
-  if (statusEl) statusEl.textContent = "Improving with Gemini...";
+  if (statusEl) {
+    statusEl.textContent = `Improving with ${llm.label}... (keep the popup open)`;
+    statusEl.style.color = "#1976d2";
+  }
 
   try {
     const response = await browser.runtime.sendMessage({
-      action: "improveWithGemini",
-      markdown: markdown,
-      apiKey: geminiApiKey,
-      model: geminiModel || "gemini-2.5-pro", // Default fallback
-      images: images || [],
+      action: "improveWithLlm",
+      markdown: capture.markdown,
+      images: capture.pageContent.images || [],
+      context: {
+        title: capture.pageContent.title,
+        url: capture.url,
+        category: capture.category,
+      },
     });
 
-    if (response.improvedMarkdown) {
-      const result = response.improvedMarkdown;
-      // If we got back structured data with tags, concepts, summary, and content
-      if (typeof result === "object" && result.content !== undefined) {
-        // Create enriched metadata with Gemini data
-        const enrichedMetadata = createMetadata(
-          pageContent,
-          url,
-          category,
-          result
-        );
-
-        // Check if Gemini returned content, otherwise fallback to original markdown
-        let contentToUse = result.content;
-        if (!contentToUse || contentToUse.trim().length === 0) {
-          console.warn(
-            "Gemini returned empty content, falling back to original markdown"
-          );
-          contentToUse = markdown;
-        }
-
-        return enrichedMetadata + contentToUse;
-      }
-      // Fallback if format is different
-      const basicMetadata = createMetadata(pageContent, url, category);
-      return basicMetadata + result;
-    } else if (response.error) {
-      console.error("Gemini error:", response.error);
+    if (response.error) {
+      console.error(`${llm.label} error:`, response.error);
     }
+    applyEnrichment(capture, response.improvedMarkdown, llm.label);
   } catch (error) {
-    console.error("Failed to improve with Gemini:", error);
+    console.error(`Failed to improve with ${llm.label}:`, error);
+    applyEnrichment(capture, null);
   }
-
-  // Return original with basic metadata if Gemini fails
-  const metadata = createMetadata(pageContent, url, category);
-  return metadata + markdown;
 }
 
 // Check if current URL has been extracted before
@@ -612,14 +196,41 @@ async function checkIfCurrentUrlExtracted() {
   }
 }
 
+// Show the selection button only when the page has a text selection
+async function checkForSelection() {
+  try {
+    const [tab] = await browser.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
+    validateTab(tab);
+
+    const [{ result: hasSelection }] = await browser.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => window.getSelection().toString().trim().length > 0,
+    });
+    selectionBtn.style.display = hasSelection ? "block" : "none";
+  } catch (error) {
+    // Pages we can't script have no usable selection either
+    selectionBtn.style.display = "none";
+  }
+}
+
 // Check on popup load
 document.addEventListener("DOMContentLoaded", () => {
   checkIfCurrentUrlExtracted();
+  checkForSelection();
 });
 
-extractBtn.addEventListener("click", async () => {
-  extractBtn.disabled = true;
-  extractBtn.textContent = "Extracting...";
+/**
+ * Runs the capture flow for the active tab, then previews or downloads the result
+ * @param {HTMLButtonElement} button - The button that started the capture
+ * @param {string} idleLabel - The button label to restore afterwards
+ * @param {Object} [captureOptions] - Passed to getPageContent ({selection})
+ */
+async function runExtraction(button, idleLabel, captureOptions = {}) {
+  button.disabled = true;
+  button.textContent = "Extracting...";
   if (statusEl) statusEl.textContent = ""; // Clear previous status
 
   try {
@@ -630,55 +241,92 @@ extractBtn.addEventListener("click", async () => {
 
     validateTab(tab);
 
-    const results = await browser.scripting.executeScript({
+    const domainRule = findDomainRule(
+      await getDomainRules(),
+      new URL(tab.url).hostname
+    );
+
+    await browser.scripting.executeScript({
       target: { tabId: tab.id },
-      func: getPageContent,
+      files: PAGE_CAPTURE_SCRIPTS,
     });
 
-    const pageContent = results[0].result;
-    if (!pageContent?.html) {
-      throw new Error("Could not extract content from the page.");
-    }
+    const results = await browser.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: (rule, options) => getPageContent(rule, options),
+      args: [domainRule, captureOptions],
+    });
 
-    const filename = generateFilename(pageContent, tab.url);
-    const category = detectCategory(pageContent.title, tab.url);
+    const capture = await runCapturePipeline(
+      { pageContent: results[0].result, url: tab.url },
+      {},
+      { to: "convert" }
+    );
 
-    let markdown = turndownService.turndown(pageContent.html);
+    // A page captured before: show what changed and let the user decide
+    capture.versionAction = await reviewChanges(capture);
+    if (capture.versionAction === "skip") {
+      button.disabled = false;
+      button.textContent = idleLabel;
+      if (statusEl) {
+        statusEl.textContent = "Skipped; the last capture was kept.";
+        statusEl.style.color = "#666";
+      }
+      return;
+    }
 
-    // Check if using Gemini (which takes longer)
-    const { useGemini, geminiApiKey, geminiModel } =
-      await browser.storage.sync.get([
-        "useGemini",
-        "geminiApiKey",
-        "geminiModel",
-      ]);
+    const extractionSummary = describeExtraction(
+      capture.pageContent.extraction
+    );
 
-    if (useGemini && geminiApiKey) {
+    // Check if using the AI provider (which takes longer)
+    const { useGemini, showPreview, askWhereToSave, offlineAssets } =
+      await browser.storage.sync.get({
+        useGemini: false,
+        showPreview: true,
+        askWhereToSave: true,
+        offlineAssets: false,
+      });
+    const llm = await getLlmSettings();
+
+    if (showPreview) {
+      await runCapturePipeline(
+        capture,
+        { enrich: enrichCaptureIfEnabled },
+        { from: "enrich", to: "serialize" }
+      );
+      openPreview({ ...capture, offlineAssets });
+
+      button.disabled = false;
+      button.textContent = idleLabel;
+      if (statusEl) {
+        statusEl.textContent = `Ready to save (${extractionSummary})`;
+        statusEl.style.color = "green";
+      }
+    } else if (useGemini && llm.ready) {
       // Show notification that processing continues in background
       if (statusEl) {
-        statusEl.textContent =
-          "Processing with Gemini... (popup can be closed)";
+        statusEl.textContent = `Processing with ${llm.label}... (popup can be closed) ${extractionSummary}`;
         statusEl.style.color = "#1976d2";
       }
 
       // Send to background for processing
       browser.runtime.sendMessage({
         action: "processAndDownload",
-        pageContent,
-        url: tab.url,
-        category,
-        markdown,
-        filename,
-        apiKey: geminiApiKey,
-        model: geminiModel || "gemini-2.5-pro", // Default fallback
+        pageContent: capture.pageContent,
+        url: capture.url,
+        category: capture.category,
+        markdown: capture.markdown,
+        filename: capture.filename,
+        versionAction: capture.versionAction,
       });
 
       // Keep button disabled while processing
       // The background script will send a message when done
       browser.runtime.onMessage.addListener(function listener(message) {
         if (message.action === "processingComplete") {
-          extractBtn.disabled = false;
-          extractBtn.textContent = "Extract Page as Markdown";
+          button.disabled = false;
+          button.textContent = idleLabel;
           if (statusEl) {
             statusEl.textContent = message.success
               ? "File downloaded successfully!"
@@ -698,21 +346,32 @@ extractBtn.addEventListener("click", async () => {
         }
       }, 1000);
     } else {
-      // Quick operation without Gemini - do it directly
-      const metadata = createMetadata(pageContent, tab.url, category);
-      const markdownContent = metadata + markdown;
-      downloadFile(filename, markdownContent);
-
-      // Add URL to extracted list
-      await addExtractedUrl(tab.url);
-
-      // Re-enable button after short delay for non-Gemini extraction
+      // Quick operation without the AI provider - do it directly
+      await runCapturePipeline(
+        capture,
+        {
+          async deliver(finished) {
+            finished.failedImages = await saveMarkdown(
+              finished,
+              askWhereToSave,
+              offlineAssets
+            );
+            await addExtractedUrl(finished.url);
+          },
+        },
+        { from: "enrich" }
+      );
+      const { failedImages } = capture;
+
+      // Re-enable button after short delay for non-AI extraction
       setTimeout(() => {
-        extractBtn.disabled = false;
-        extractBtn.textContent = "Extract Page as Markdown";
+        button.disabled = false;
+        button.textContent = idleLabel;
         if (statusEl) {
-          statusEl.textContent = "File downloaded successfully!";
-          statusEl.style.color = "green";
+          statusEl.textContent = failedImages.length
+            ? describeDownload(failedImages)
+            : `File downloaded successfully! (${extractionSummary})`;
+          statusEl.style.color = failedImages.length ? "#e65100" : "green";
         }
         // Update indicator for already extracted
         checkIfCurrentUrlExtracted();
@@ -725,7 +384,471 @@ extractBtn.addEventListener("click", async () => {
       statusEl.textContent = errorMessage;
       statusEl.style.color = "red";
     }
-    extractBtn.disabled = false;
-    extractBtn.textContent = "Extract Page as Markdown";
+    button.disabled = false;
+    button.textContent = idleLabel;
+  }
+}
+
+/**
+ * Change review
+ * On re-extract, shows a line diff of the page's Markdown against its last
+ * capture in the library and asks how to record the new one.
+ */
+
+const changesPanel = document.getElementById("changesPanel");
+const changesSummary = document.getElementById("changesSummary");
+const changesDiff = document.getElementById("changesDiff");
+
+// Resolves the pending reviewChanges call with the chosen action
+let finishChangeReview = null;
+
+/**
+ * Renders collapseDiff rows as +/- lines
+ * @param {Array<Object>} rows - From collapseDiff
+ */
+function renderChanges(rows) {
+  changesDiff.replaceChildren(
+    ...rows.map((row) => {
+      const line = document.createElement("span");
+      if (row.type === "skipped") {
+        line.className = "skipped";
+        line.textContent = `… ${row.count} unchanged line(s)`;
+      } else {
+        const prefix = { added: "+ ", removed: "- ", same: "  " }[row.type];
+        line.className = row.type;
+        line.textContent = `${prefix}${row.line}\n`;
+      }
+      return line;
+    })
+  );
+}
+
+/**
+ * Compares a converted capture with the URL's last capture and waits for the
+ * user to choose what to do
+ * @param {Object} capture - A converted capture
+ * @returns {Promise<"new-version"|"overwrite"|"skip"|undefined>} The choice;
+ *   undefined, without asking, for partial captures (they aren't versions
+ *   of the page) and when the URL has no whole-page capture in the library
+ */
+async function reviewChanges(capture) {
+  if ((capture.pageContent.captureMode || "page") !== "page") return undefined;
+
+  let previous;
+  try {
+    previous = await findLibraryEntryByUrl(capture.url);
+  } catch (error) {
+    console.error("Could not read the capture library:", error);
+  }
+  if (!previous) return undefined;
+
+  const diff = diffLines(
+    previous.sourceMarkdown ?? previous.markdown,
+    capture.markdown
+  );
+  const { added, removed } = summarizeDiff(diff);
+  const date = new Date(previous.capturedAt).toLocaleString();
+  changesSummary.textContent =
+    added || removed
+      ? `Changed since the capture of ${date}: ${added} line(s) added, ${removed} removed`
+      : `No changes since the capture of ${date}`;
+  renderChanges(collapseDiff(diff));
+
+  document.body.classList.add("reviewing");
+  changesPanel.hidden = false;
+  const action = await new Promise((resolve) => {
+    finishChangeReview = resolve;
+  });
+  finishChangeReview = null;
+  changesPanel.hidden = true;
+  document.body.classList.remove("reviewing");
+  return action;
+}
+
+[
+  ["saveNewVersion", "new-version"],
+  ["overwriteVersion", "overwrite"],
+  ["skipVersion", "skip"],
+].forEach(([id, action]) =>
+  document
+    .getElementById(id)
+    .addEventListener("click", () => finishChangeReview?.(action))
+);
+
+/**
+ * Preview pane
+ * Lets the user check the result and adjust title, category and tags before
+ * choosing how to save it.
+ */
+
+const previewEl = document.getElementById("preview");
+const previewTitle = document.getElementById("previewTitle");
+const previewCategory = document.getElementById("previewCategory");
+const previewTags = document.getElementById("previewTags");
+const previewRendered = document.getElementById("previewRendered");
+const previewRaw = document.getElementById("previewRaw");
+
+// The capture being previewed (serialized by the pipeline, plus
+// offlineAssets)
+let previewState = null;
+
+/**
+ * Shows the preview pane for a finished capture
+ * @param {Object} capture - The capture to preview
+ */
+function openPreview(capture) {
+  previewState = capture;
+  previewTitle.value = capture.pageContent.title;
+  previewCategory.value = capture.category;
+  previewTags.value = (
+    capture.geminiData?.tags ||
+    capture.pageContent.tags ||
+    []
+  ).join(", ");
+
+  document.body.classList.add("previewing");
+  previewEl.hidden = false;
+  updatePreview();
+}
+
+function closePreview() {
+  previewState = null;
+  previewEl.hidden = true;
+  document.body.classList.remove("previewing");
+}
+
+/**
+ * Applies the edited fields to the previewed capture
+ * @returns {Object} A copy of the capture with the edited title, category
+ *   and tags, its filename and its document
+ */
+function buildPreviewCapture() {
+  const tags = previewTags.value
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+  // Without AI metadata, the tags typed in go with the page instead
+  const pageContent = {
+    ...previewState.pageContent,
+    title: previewTitle.value.trim() || previewState.pageContent.title,
+    ...(!previewState.geminiData && { tags }),
+  };
+  const category =
+    previewCategory.value
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, "_") || previewState.category;
+
+  const capture = {
+    ...previewState,
+    pageContent,
+    category,
+    geminiData: previewState.geminiData && {
+      ...previewState.geminiData,
+      tags,
+    },
+    filename: generateFilename(pageContent, previewState.url),
+  };
+  capture.document = buildCaptureDocument(capture);
+  return capture;
+}
+
+function updatePreview() {
+  if (!previewState) return;
+  const { document: markdown } = buildPreviewCapture();
+  previewRaw.value = markdown;
+  renderMarkdownPreview(previewRendered, markdown);
+}
+
+function showPreviewTab(raw) {
+  previewRendered.hidden = raw;
+  previewRaw.hidden = !raw;
+  document.getElementById("showRendered").classList.toggle("active", !raw);
+  document.getElementById("showRaw").classList.toggle("active", raw);
+}
+
+/**
+ * Saves the previewed capture and records the URL
+ * @param {"copy"|"download"|"download-quietly"|"zip"} action - How to save it
+ */
+async function savePreview(action) {
+  if (!previewState) return;
+  const capture = buildPreviewCapture();
+
+  try {
+    if (action === "zip") {
+      // Fetching the images needs host access
+      const granted = await requestSiteAccess(["<all_urls>"]);
+      if (!granted) {
+        throw new Error("Access to all sites is needed to bundle images.");
+      }
+    }
+
+    await runCapturePipeline(
+      capture,
+      { deliver: (finished) => deliverPreview(finished, action) },
+      { from: "deliver" }
+    );
+    const failedImages = capture.failedImages || [];
+
+    checkIfCurrentUrlExtracted();
+
+    if (statusEl) {
+      statusEl.textContent =
+        action === "copy"
+          ? "Copied to clipboard!"
+          : describeDownload(failedImages);
+      statusEl.style.color = failedImages.length ? "#e65100" : "green";
+    }
+  } catch (error) {
+    console.error(`Failed to save preview: ${error}`);
+    if (statusEl) {
+      statusEl.textContent = `Error: ${error.message}`;
+      statusEl.style.color = "red";
+    }
+  }
+}
+
+/**
+ * Deliver step for the preview buttons
+ * @param {Object} capture - The previewed capture with its edits applied
+ * @param {"copy"|"download"|"download-quietly"|"zip"} action - How to save it
+ */
+async function deliverPreview(capture, action) {
+  if (action === "zip") {
+    const response = await browser.runtime.sendMessage({
+      action: "downloadBundle",
+      zipName: capture.filename.replace(/\.md$/, ".zip"),
+      captures: [
+        {
+          filename: capture.filename,
+          content: capture.document,
+          title: capture.pageContent.title,
+          url: capture.url,
+          category: capture.category,
+        },
+      ],
+    });
+    if (response?.error) throw new Error(response.error);
+    capture.failedImages = response.failedImages || [];
+  } else if (action === "copy") {
+    await navigator.clipboard.writeText(capture.document);
+    await addExtractedUrl(capture.url);
+  } else {
+    capture.failedImages = await saveMarkdown(
+      capture,
+      action === "download",
+      capture.offlineAssets
+    );
+    await addExtractedUrl(capture.url);
+  }
+}
+
+[previewTitle, previewCategory, previewTags].forEach((input) =>
+  input.addEventListener("input", updatePreview)
+);
+document
+  .getElementById("showRendered")
+  .addEventListener("click", () => showPreviewTab(false));
+document
+  .getElementById("showRaw")
+  .addEventListener("click", () => showPreviewTab(true));
+document
+  .getElementById("copyMarkdown")
+  .addEventListener("click", () => savePreview("copy"));
+document
+  .getElementById("downloadMarkdown")
+  .addEventListener("click", () => savePreview("download"));
+document
+  .getElementById("downloadZip")
+  .addEventListener("click", () => savePreview("zip"));
+document
+  .getElementById("downloadMarkdownQuietly")
+  .addEventListener("click", () => savePreview("download-quietly"));
+document.getElementById("closePreview").addEventListener("click", closePreview);
+
+/**
+ * Batch capture
+ * The background worker captures the tabs (so the popup can be closed) and
+ * broadcasts its progress, which is mirrored here while the popup is open.
+ */
+
+const batchPanel = document.getElementById("batchPanel");
+const batchList = document.getElementById("batchList");
+const batchSummary = document.getElementById("batchSummary");
+const batchStartBtn = document.getElementById("batchStartBtn");
+const batchCancelBtn = document.getElementById("batchCancelBtn");
+
+const BATCH_STATUS_ICONS = {
+  pending: "⏳",
+  queued: "⏳",
+  running: "🔄",
+  done: "✅",
+  skipped: "⏭️",
+  error: "❌",
+};
+
+async function openBatchPanel() {
+  const { useGemini } = await browser.storage.sync.get({ useGemini: false });
+  const llm = await getLlmSettings();
+  const geminiCheckbox = document.getElementById("batchUseGemini");
+  geminiCheckbox.checked = Boolean(useGemini && llm.ready);
+  geminiCheckbox.disabled = !llm.ready;
+  document.getElementById("batchLlmLabel").textContent = llm.label;
+
+  document.body.classList.add("batching");
+  batchPanel.hidden = false;
+}
+
+function closeBatchPanel() {
+  batchPanel.hidden = true;
+  document.body.classList.remove("batching");
+}
+
+/**
+ * Renders the batch progress reported by the background worker
+ * @param {Object|null} state - {running, items: [{url, title, status, message}]}
+ */
+function renderBatchProgress(state) {
+  if (!state) return;
+
+  batchList.textContent = "";
+  for (const item of state.items) {
+    const li = document.createElement("li");
+    li.className = item.status;
+    li.textContent = `${BATCH_STATUS_ICONS[item.status] || ""} ${item.title}`;
+    if (item.message) {
+      const message = document.createElement("span");
+      message.className = "message";
+      message.textContent = item.message;
+      li.appendChild(message);
+    }
+    batchList.appendChild(li);
+  }
+
+  const finished = state.items.filter((item) =>
+    ["done", "skipped", "error"].includes(item.status)
+  ).length;
+  const failed = state.items.filter((item) => item.status === "error").length;
+  batchSummary.textContent = state.running
+    ? `Capturing ${finished}/${state.items.length}... (popup can be closed)`
+    : `Finished: ${finished}/${state.items.length}${
+        failed ? `, ${failed} failed` : ""
+      }`;
+
+  batchStartBtn.disabled = state.running;
+  batchCancelBtn.hidden = !state.running;
+}
+
+async function startBatchCapture() {
+  try {
+    // Scripting every tab needs host access
+    const granted = await requestSiteAccess(["<all_urls>"]);
+    if (!granted) {
+      throw new Error("Access to all sites is needed to capture other tabs.");
+    }
+
+    const selectedOnly = document.getElementById("batchSelectedOnly").checked;
+    const tabs = await browser.tabs.query({
+      currentWindow: true,
+      ...(selectedOnly ? { highlighted: true } : {}),
+    });
+    const capturableTabs = tabs.filter((tab) =>
+      /^(https?|file):/.test(tab.url || "")
+    );
+    if (capturableTabs.length === 0) {
+      throw new Error("No web pages to capture in this window.");
+    }
+
+    const response = await browser.runtime.sendMessage({
+      action: "startBatchCapture",
+      tabs: capturableTabs.map(({ id, url, title }) => ({ id, url, title })),
+      skipExtracted: document.getElementById("batchSkipExtracted").checked,
+      useGemini: document.getElementById("batchUseGemini").checked,
+      bundleZip: document.getElementById("batchBundleZip").checked,
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || "Could not start the batch capture.");
+    }
+  } catch (error) {
+    console.error(`Failed to start batch capture: ${error}`);
+    batchSummary.textContent = `Error: ${error.message}`;
+  }
+}
+
+browser.runtime.onMessage.addListener((message) => {
+  if (message.action === "batchProgress") {
+    renderBatchProgress(message.state);
+  }
+});
+
+// Reopen the progress view if a batch is still running
+document.addEventListener("DOMContentLoaded", async () => {
+  try {
+    const state = await browser.runtime.sendMessage({
+      action: "getBatchStatus",
+    });
+    if (state?.running) {
+      await openBatchPanel();
+      renderBatchProgress(state);
+    }
+  } catch (error) {
+    console.error("Error reading batch status:", error);
+  }
+});
+
+document.getElementById("batchBtn").addEventListener("click", openBatchPanel);
+document
+  .getElementById("batchCloseBtn")
+  .addEventListener("click", closeBatchPanel);
+batchStartBtn.addEventListener("click", startBatchCapture);
+batchCancelBtn.addEventListener("click", () =>
+  browser.runtime.sendMessage({ action: "cancelBatchCapture" })
+);
+
+extractBtn.addEventListener("click", () =>
+  runExtraction(extractBtn, "Extract Page as Markdown")
+);
+
+selectionBtn.addEventListener("click", () =>
+  runExtraction(selectionBtn, "Extract Selection as Markdown", {
+    selection: true,
+  })
+);
+
+pickBtn.addEventListener("click", async () => {
+  try {
+    const [tab] = await browser.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
+
+    validateTab(tab);
+
+    const domainRule = findDomainRule(
+      await getDomainRules(),
+      new URL(tab.url).hostname
+    );
+
+    await browser.scripting.executeScript({
+      target: { tabId: tab.id },
+      files: ELEMENT_PICKER_SCRIPTS,
+    });
+
+    await browser.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: (rule) => startElementPicker(rule),
+      args: [domainRule],
+    });
+
+    // The picker hands the capture to the background worker, so the popup
+    // can get out of the way of the page
+    window.close();
+  } catch (error) {
+    console.error(`Failed to start element picker: ${error}`);
+    if (statusEl) {
+      statusEl.textContent = `Error: ${error.message}`;
+      statusEl.style.color = "red";
+    }
   }
 });
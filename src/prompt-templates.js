@@ -0,0 +1,146 @@
+/**
+ * Prompt templates for AI enrichment, shared by the background worker and the
+ * options page. Templates live in browser.storage.local under
+ * `promptTemplates` (they easily outgrow sync's 8 KB per-item quota); the
+ * built-in default is never stored and applies when no template matches.
+ *
+ * Template shape:
+ * {
+ *   id: "template-1718000000000",
+ *   name: "Python articles",
+ *   text: "... {{markdown}} ...",
+ *   domains: ["realpython.com", "*.python.org"],
+ *   categories: ["programming"]
+ * }
+ *
+ * Placeholders: {{markdown}}, {{title}}, {{url}}, {{category}} and {{fields}},
+ * the JSON fields the reply must contain (they depend on the enrichment mode).
+ * Requires domain-rules.js for domain matching.
+ */
+
+const DEFAULT_PROMPT_TEMPLATE = {
+  id: "default",
+  name: "Default",
+  text: `You are a technical content analyzer. Analyze the provided content and respond with a single JSON object with these fields:
+{{fields}}
+
+Use an empty array when nothing applies to a list.
+
+Example metadata for a Dapper article:
+{"technologies": ["Dapper", "ASP.NET Core", "SQL Server", ".NET 6"], "programmingLanguages": ["C#", "SQL"], "tags": ["micro-orm", "database", "dotnet", "performance", "data-access"], "keyConcepts": ["micro-orm", "query-optimization", "parameterized-queries", "mapping"]}
+
+Now analyze this content:
+
+{{markdown}}`,
+  domains: [],
+  categories: [],
+};
+
+const PROMPT_PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Normalizes a template coming from the form or storage
+ * @param {Object} template - The raw template; domains and categories may be
+ *   arrays or comma/newline separated strings
+ * @returns {Object} The template with every field present and trimmed
+ */
+function normalizePromptTemplate(template) {
+  const toList = (value) =>
+    (Array.isArray(value) ? value : String(value || "").split(/[\n,]/))
+      .map((item) => String(item).trim().toLowerCase())
+      .filter(Boolean);
+
+  return {
+    id: String(template?.id || "").trim() || `template-${Date.now()}`,
+    name: String(template?.name || "").trim(),
+    text: String(template?.text || "").trim(),
+    domains: toList(template?.domains),
+    categories: toList(template?.categories),
+  };
+}
+
+/**
+ * Validates a normalized template
+ * @param {Object} template - The normalized template
+ * @returns {string|null} An error message, or null if the template is valid
+ */
+function validatePromptTemplate(template) {
+  if (!template.name) return "Template name is required";
+  if (!template.text) return "Template text is required";
+
+  const invalidDomain = template.domains.find(
+    (domain) => !/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(domain)
+  );
+  if (invalidDomain) {
+    return `Invalid domain "${invalidDomain}". Use example.com or *.example.com`;
+  }
+
+  return null;
+}
+
+/**
+ * Picks the template for a page: a domain match wins over a category match,
+ * and the built-in default applies when nothing matches
+ * @param {Array<Object>} templates - The saved templates
+ * @param {{url?: string, category?: string}} context - The page
+ * @returns {Object} The template to use
+ */
+function findPromptTemplate(templates, context) {
+  let hostname = "";
+  try {
+    hostname = new URL(context.url).hostname;
+  } catch (e) {
+    // No URL (or an invalid one): only categories can match
+  }
+
+  const byDomain = (templates || []).find((template) =>
+    template.domains.some((domain) => matchesDomainPattern(domain, hostname))
+  );
+  const byCategory = (templates || []).find((template) =>
+    template.categories.includes(context.category)
+  );
+  return byDomain || byCategory || DEFAULT_PROMPT_TEMPLATE;
+}
+
+/**
+ * Fills in a template's placeholders. Templates without {{fields}} or
+ * {{markdown}} get them appended, so every prompt asks for the right JSON
+ * and carries the content.
+ * @param {string} text - The template text
+ * @param {Object} variables - Values by placeholder name
+ * @returns {string} The prompt; unknown placeholders are left as they are
+ */
+function renderPromptTemplate(text, variables) {
+  let prompt = text;
+  if (!/\{\{\s*fields\s*\}\}/.test(prompt)) {
+    prompt += `\n\nRespond with a single JSON object with these fields:\n{{fields}}`;
+  }
+  if (!/\{\{\s*markdown\s*\}\}/.test(prompt)) {
+    prompt += `\n\nContent:\n\n{{markdown}}`;
+  }
+
+  // One pass, so placeholders inside the inserted values stay untouched
+  return prompt.replace(PROMPT_PLACEHOLDER_PATTERN, (match, name) =>
+    name in variables ? String(variables[name] ?? "") : match
+  );
+}
+
+/**
+ * Loads the saved templates
+ * @returns {Promise<Array<Object>>} The templates, without the default
+ */
+async function getPromptTemplates() {
+  const { promptTemplates } =
+    await browser.storage.local.get("promptTemplates");
+  return Array.isArray(promptTemplates)
+    ? promptTemplates.map(normalizePromptTemplate)
+    : [];
+}
+
+/**
+ * Persists the templates
+ * @param {Array<Object>} templates - The templates to save
+ */
+async function savePromptTemplates(templates) {
+  await browser.storage.local.set({ promptTemplates: templates });
+}
@@ -0,0 +1,129 @@
+/**
+ * Line diffs for change detection: on re-extract the popup shows what changed
+ * in a page's Markdown since its last capture. A longest-common-subsequence
+ * diff over lines, after trimming the lines both versions start and end
+ * with; each diff line is {type: "same" | "added" | "removed", line}.
+ */
+
+// Above this many LCS table cells the middle is reported as replaced
+// wholesale instead (a rewrite that size isn't worth a line-by-line view)
+const DIFF_MAX_CELLS = 4000000;
+
+/**
+ * Diffs two texts line by line
+ * @param {string} oldText - The previous version
+ * @param {string} newText - The new version
+ * @returns {Array<{type: string, line: string}>} Every line of both, in order
+ */
+function diffLines(oldText, newText) {
+  const oldLines = String(oldText || "").split("\n");
+  const newLines = String(newText || "").split("\n");
+
+  let start = 0;
+  while (
+    start < oldLines.length &&
+    start < newLines.length &&
+    oldLines[start] === newLines[start]
+  ) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (
+    oldEnd > start &&
+    newEnd > start &&
+    oldLines[oldEnd - 1] === newLines[newEnd - 1]
+  ) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const same = (line) => ({ type: "same", line });
+  const removed = (line) => ({ type: "removed", line });
+  const added = (line) => ({ type: "added", line });
+
+  const a = oldLines.slice(start, oldEnd);
+  const b = newLines.slice(start, newEnd);
+  const middle = [];
+
+  if ((a.length + 1) * (b.length + 1) > DIFF_MAX_CELLS) {
+    middle.push(...a.map(removed), ...b.map(added));
+  } else {
+    // lengths[i * width + j]: LCS length of a[i..] and b[j..]
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i * width + j] =
+          a[i] === b[j]
+            ? lengths[(i + 1) * width + j + 1] + 1
+            : Math.max(
+                lengths[(i + 1) * width + j],
+                lengths[i * width + j + 1]
+              );
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        middle.push(same(a[i]));
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        middle.push(removed(a[i++]));
+      } else {
+        middle.push(added(b[j++]));
+      }
+    }
+    middle.push(...a.slice(i).map(removed), ...b.slice(j).map(added));
+  }
+
+  return [
+    ...oldLines.slice(0, start).map(same),
+    ...middle,
+    ...oldLines.slice(oldEnd).map(same),
+  ];
+}
+
+/**
+ * Counts a diff's changes
+ * @param {Array<{type: string}>} diff - From diffLines
+ * @returns {{added: number, removed: number}} Changed line counts
+ */
+function summarizeDiff(diff) {
+  return {
+    added: diff.filter((item) => item.type === "added").length,
+    removed: diff.filter((item) => item.type === "removed").length,
+  };
+}
+
+/**
+ * Keeps the changes and a few lines around each, replacing longer unchanged
+ * runs with {type: "skipped", count}
+ * @param {Array<{type: string, line: string}>} diff - From diffLines
+ * @param {number} [context] - Unchanged lines kept on each side of a change
+ * @returns {Array<Object>} The lines to show
+ */
+function collapseDiff(diff, context = 2) {
+  const near = diff.map(() => false);
+  diff.forEach((item, index) => {
+    if (item.type === "same") return;
+    const from = Math.max(0, index - context);
+    const to = Math.min(diff.length - 1, index + context);
+    for (let i = from; i <= to; i++) near[i] = true;
+  });
+
+  const rows = [];
+  diff.forEach((item, index) => {
+    if (near[index]) {
+      rows.push(item);
+    } else if (rows.length > 0 && rows[rows.length - 1].type === "skipped") {
+      rows[rows.length - 1].count++;
+    } else {
+      rows.push({ type: "skipped", count: 1 });
+    }
+  });
+  return rows;
+}
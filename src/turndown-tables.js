@@ -0,0 +1,263 @@
+/**
+ * GitHub-Flavored Markdown table support for TurndownService.
+ * The bundled turndown.js has no table rules, so without this plugin every
+ * <table> collapses into loose text.
+ *
+ * Usage: turndownService.use(turndownTablesPlugin);
+ * Wrapped in an IIFE because it is also injected into pages, possibly twice.
+ */
+
+var turndownTablesPlugin = (function () {
+  "use strict";
+
+  // Cells containing any of these can't be expressed on a single GFM row
+  const COMPLEX_CELL_SELECTOR =
+    "table, pre, ul, ol, blockquote, h1, h2, h3, h4, h5, h6, hr, dl";
+
+  // Attributes worth keeping when a table falls back to raw HTML
+  const HTML_FALLBACK_ATTRIBUTES = ["colspan", "rowspan", "align", "scope"];
+
+  // Markdown of each cell and caption, as turndown converted it in context
+  // before reaching the table (it converts children before their parents)
+  const convertedContent = new WeakMap();
+
+  /**
+   * Returns the rows of a table in document order, ignoring nested tables
+   * @param {HTMLTableElement} table - The table element
+   * @returns {{rows: Array<HTMLTableRowElement>, headRowCount: number}}
+   */
+  function collectTableRows(table) {
+    const ownRows = Array.from(table.rows || []).filter(
+      (row) => row.closest("table") === table
+    );
+
+    const headRows = ownRows.filter(
+      (row) => row.parentNode && row.parentNode.nodeName === "THEAD"
+    );
+    const footRows = ownRows.filter(
+      (row) => row.parentNode && row.parentNode.nodeName === "TFOOT"
+    );
+    const bodyRows = ownRows.filter(
+      (row) => !headRows.includes(row) && !footRows.includes(row)
+    );
+
+    return {
+      rows: [...headRows, ...bodyRows, ...footRows],
+      headRowCount: headRows.length,
+    };
+  }
+
+  /**
+   * Reads the alignment of a cell from its align attribute or inline style
+   * @param {HTMLTableCellElement} cell - The cell to inspect
+   * @returns {string} "left", "center", "right" or ""
+   */
+  function getCellAlignment(cell) {
+    const align = (
+      cell.getAttribute("align") ||
+      (cell.style && cell.style.textAlign) ||
+      ""
+    ).toLowerCase();
+
+    if (align === "left" || align === "start") return "left";
+    if (align === "center") return "center";
+    if (align === "right" || align === "end") return "right";
+    return "";
+  }
+
+  /**
+   * Converts a cell to a single line of Markdown safe to place inside a pipe table
+   * @param {HTMLTableCellElement} cell - The cell to convert
+   * @returns {string} The escaped cell content
+   */
+  function convertTableCell(cell) {
+    const markdown = (convertedContent.get(cell) || "").trim();
+
+    return markdown
+      .replace(/\|/g, "\\|")
+      .replace(/\n{2,}/g, "<br><br>")
+      .replace(/ {2}\n/g, "<br>")
+      .replace(/\n/g, " ");
+  }
+
+  /**
+   * Lays the table out on a rectangular grid, expanding colspan/rowspan.
+   * Spanned slots hold an empty string so every row ends up the same width.
+   * @param {Array<HTMLTableRowElement>} rows - Rows in document order
+   * @returns {{grid: Array<Array<string>>, alignments: Array<string>}}
+   */
+  function buildTableGrid(rows) {
+    const grid = rows.map(() => []);
+    const alignments = [];
+
+    rows.forEach((row, rowIndex) => {
+      let columnIndex = 0;
+
+      for (const cell of Array.from(row.cells)) {
+        // Skip slots already claimed by a rowspan from an earlier row
+        while (grid[rowIndex][columnIndex] !== undefined) columnIndex++;
+
+        const colspan = Math.max(
+          1,
+          parseInt(cell.getAttribute("colspan"), 10) || 1
+        );
+        const rowspan = Math.max(
+          1,
+          parseInt(cell.getAttribute("rowspan"), 10) || 1
+        );
+        const content = convertTableCell(cell);
+        const alignment = getCellAlignment(cell);
+
+        for (let r = 0; r < rowspan && rowIndex + r < rows.length; r++) {
+          for (let c = 0; c < colspan; c++) {
+            grid[rowIndex + r][columnIndex + c] =
+              r === 0 && c === 0 ? content : "";
+          }
+        }
+
+        if (alignment && !alignments[columnIndex]) {
+          alignments[columnIndex] = alignment;
+        }
+
+        columnIndex += colspan;
+      }
+    });
+
+    const columnCount = Math.max(0, ...grid.map((row) => row.length));
+    for (const row of grid) {
+      for (let i = 0; i < columnCount; i++) {
+        if (row[i] === undefined) row[i] = "";
+      }
+    }
+    for (let i = 0; i < columnCount; i++) {
+      alignments[i] = alignments[i] || "";
+    }
+
+    return { grid, alignments };
+  }
+
+  /**
+   * Decides whether a table can't be faithfully expressed as a GFM pipe table
+   * @param {HTMLTableElement} table - The table element
+   * @param {Array<HTMLTableRowElement>} rows - The table's own rows
+   * @param {number} headRowCount - Number of rows inside <thead>
+   * @returns {boolean} True if the table should be kept as HTML
+   */
+  function isComplexTable(table, rows, headRowCount) {
+    // GFM only supports a single header row
+    if (headRowCount > 1) return true;
+
+    return rows.some((row) =>
+      Array.from(row.cells).some((cell) =>
+        cell.querySelector(COMPLEX_CELL_SELECTOR)
+      )
+    );
+  }
+
+  /**
+   * Serializes a table as trimmed-down HTML for the complex-table fallback
+   * @param {HTMLTableElement} table - The table element
+   * @returns {string} The table HTML without presentational attributes
+   */
+  function tableToCleanHtml(table) {
+    const clone = table.cloneNode(true);
+    const elements = [clone, ...clone.querySelectorAll("*")];
+
+    for (const element of elements) {
+      for (const attr of Array.from(element.attributes)) {
+        const keep =
+          HTML_FALLBACK_ATTRIBUTES.includes(attr.name) ||
+          (element.nodeName === "A" && attr.name === "href") ||
+          (element.nodeName === "IMG" &&
+            (attr.name === "src" || attr.name === "alt"));
+        if (!keep) element.removeAttribute(attr.name);
+      }
+    }
+
+    return clone.outerHTML;
+  }
+
+  /**
+   * Formats the alignment row of a pipe table
+   * @param {string} alignment - "left", "center", "right" or ""
+   * @returns {string} The delimiter cell
+   */
+  function alignmentDelimiter(alignment) {
+    if (alignment === "left") return ":---";
+    if (alignment === "center") return ":---:";
+    if (alignment === "right") return "---:";
+    return "---";
+  }
+
+  /**
+   * Turndown plugin that converts tables to GFM pipe tables.
+   * Header comes from <thead>, otherwise from the first row; a table with
+   * only a header row becomes a header-only pipe table. Tables with block
+   * content in cells or multiple header rows are kept as HTML.
+   * @param {TurndownService} turndownService - The service to extend
+   */
+  function turndownTablesPlugin(turndownService) {
+    turndownService.addRule("gfmTable", {
+      filter: "table",
+      replacement: function (content, node) {
+        const caption = node.querySelector(":scope > caption");
+        const captionText = caption
+          ? (convertedContent.get(caption) || "").replace(/\n+/g, " ").trim()
+          : "";
+        const block = (markdown) =>
+          markdown.trim() ? "\n\n" + markdown.trim() + "\n\n" : "";
+
+        const { rows, headRowCount } = collectTableRows(node);
+        if (isComplexTable(node, rows, headRowCount)) {
+          return "\n\n" + tableToCleanHtml(node) + "\n\n";
+        }
+
+        const { grid, alignments } = buildTableGrid(rows);
+        // No cells: keep whatever else the table held
+        if (alignments.length === 0) {
+          return block(captionText + "\n\n" + content);
+        }
+
+        // Single data cells are almost always layout wrappers; a lone header
+        // cell is still a table
+        const [firstCell] = rows[0].cells;
+        if (
+          grid.length === 1 &&
+          alignments.length === 1 &&
+          headRowCount === 0 &&
+          firstCell.nodeName === "TD"
+        ) {
+          return block(captionText + "\n\n" + convertedContent.get(firstCell));
+        }
+
+        const formatRow = (cells) => "| " + cells.join(" | ") + " |";
+        const [header, ...body] = grid;
+
+        const lines = [
+          formatRow(header),
+          formatRow(alignments.map(alignmentDelimiter)),
+          ...body.map(formatRow),
+        ];
+
+        return (
+          "\n\n" +
+          (captionText ? captionText + "\n\n" : "") +
+          lines.join("\n") +
+          "\n\n"
+        );
+      },
+    });
+
+    // Cells and captions keep their converted content for the table rule;
+    // what they return is replaced by the table's output
+    turndownService.addRule("gfmTableCell", {
+      filter: ["th", "td", "caption"],
+      replacement: function (content, node) {
+        convertedContent.set(node, content);
+        return node.nodeName === "CAPTION" ? "" : content;
+      },
+    });
+  }
+
+  return turndownTablesPlugin;
+})();
@@ -0,0 +1,117 @@
+/**
+ * The watchlist: captured URLs the background worker re-fetches on a
+ * schedule (a `browser.alarms` alarm), notifying when their content changes.
+ * Stored in local storage as `watchlist`, next to `extractedUrls`:
+ * [{
+ *   url: "https://example.com/changelog",
+ *   autoDownload: false,      // save a new capture when the page changes
+ *   addedAt, lastChecked, lastChanged,  // ISO timestamps ("" until then)
+ *   contentHash: "9f86d0...", // hashMarkdown of the last fetched version
+ *   lastError: ""             // why the last check failed, if it did
+ * }]
+ * The check interval is the `watchIntervalHours` sync setting. Shared by the
+ * background worker and the options page.
+ */
+
+const WATCH_INTERVAL_HOURS = [1, 3, 6, 12, 24];
+const DEFAULT_WATCH_INTERVAL_HOURS = 6;
+
+/**
+ * Fills in defaults for a stored watchlist entry
+ * @param {Object} entry - The stored entry
+ * @returns {Object} An entry with every field present
+ */
+function normalizeWatchEntry(entry) {
+  return {
+    url: entry.url,
+    autoDownload: entry.autoDownload === true,
+    addedAt: entry.addedAt || "",
+    lastChecked: entry.lastChecked || "",
+    lastChanged: entry.lastChanged || "",
+    contentHash: entry.contentHash || "",
+    lastError: entry.lastError || "",
+  };
+}
+
+/**
+ * Loads the watchlist
+ * @returns {Promise<Array<Object>>} Normalized entries
+ */
+async function getWatchlist() {
+  const { watchlist } = await browser.storage.local.get({ watchlist: [] });
+  return watchlist.filter((entry) => entry?.url).map(normalizeWatchEntry);
+}
+
+/**
+ * Saves the watchlist
+ * @param {Array<Object>} watchlist - The entries
+ * @returns {Promise<void>}
+ */
+async function saveWatchlist(watchlist) {
+  await browser.storage.local.set({ watchlist });
+}
+
+/**
+ * Starts watching a URL (watching it again keeps its entry)
+ * @param {string} url - A captured http(s) URL
+ * @param {boolean} [autoDownload] - Save a new capture on change
+ * @returns {Promise<Array<Object>>} The updated watchlist
+ */
+async function addWatchedUrl(url, autoDownload = false) {
+  if (!/^https?:/.test(url)) {
+    throw new Error("Only http(s) pages can be watched.");
+  }
+
+  const watchlist = await getWatchlist();
+  if (!watchlist.some((entry) => entry.url === url)) {
+    watchlist.push(
+      normalizeWatchEntry({
+        url,
+        autoDownload,
+        addedAt: new Date().toISOString(),
+      })
+    );
+    await saveWatchlist(watchlist);
+  }
+  return watchlist;
+}
+
+/**
+ * Stops watching a URL
+ * @param {string} url - The watched URL
+ * @returns {Promise<Array<Object>>} The updated watchlist
+ */
+async function removeWatchedUrl(url) {
+  const watchlist = (await getWatchlist()).filter((entry) => entry.url !== url);
+  await saveWatchlist(watchlist);
+  return watchlist;
+}
+
+/**
+ * Changes fields of a watched URL's entry. Reads the list afresh, so edits
+ * made while a check ran aren't lost; a URL no longer watched is ignored.
+ * @param {string} url - The watched URL
+ * @param {Object} changes - Fields to set
+ * @returns {Promise<void>}
+ */
+async function updateWatchedUrl(url, changes) {
+  const watchlist = await getWatchlist();
+  const entry = watchlist.find((item) => item.url === url);
+  if (!entry) return;
+  Object.assign(entry, changes);
+  await saveWatchlist(watchlist);
+}
+
+/**
+ * Loads the check interval
+ * @returns {Promise<number>} Hours between checks, one of
+ *   WATCH_INTERVAL_HOURS
+ */
+async function getWatchIntervalHours() {
+  const { watchIntervalHours } = await browser.storage.sync.get({
+    watchIntervalHours: DEFAULT_WATCH_INTERVAL_HOURS,
+  });
+  return WATCH_INTERVAL_HOURS.includes(Number(watchIntervalHours))
+    ? Number(watchIntervalHours)
+    : DEFAULT_WATCH_INTERVAL_HOURS;
+}
@@ -0,0 +1,338 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHash } = require("node:crypto");
+const { loadBackground, plain } = require("./helpers/load-scripts");
+const {
+  createFakeBrowser,
+  sendRuntimeMessage,
+} = require("./helpers/fake-browser");
+
+const PAGE_CONTENT = {
+  title: "Postgres Index Tuning",
+  html: "<p>Body</p>",
+  publicationDate: "2024-03-05T12:00:00.000Z",
+  images: [],
+};
+const PAGE_URL = "https://db.example.com/index-tuning";
+const FILENAME = "2024-03-05_database_postgres_index_tuning.md";
+
+function setup(sync = {}) {
+  const browser = createFakeBrowser({ sync });
+  return { browser, scripts: loadBackground(browser) };
+}
+
+function entry(fields) {
+  return {
+    url: "https://example.com/",
+    domain: "example.com",
+    title: "Untitled",
+    category: "general",
+    filename: "untitled.md",
+    tags: [],
+    summary: "",
+    markdown: "",
+    document: "",
+    capturedAt: "2024-03-05T12:00:00.000Z",
+    ...fields,
+  };
+}
+
+describe("createLibraryEntry", () => {
+  test("keeps the metadata, the body and the saved document", () => {
+    const { scripts } = setup();
+    const created = scripts.get("createLibraryEntry")(
+      {
+        pageContent: PAGE_CONTENT,
+        url: PAGE_URL,
+        category: "database",
+        filename: FILENAME,
+        geminiData: { tags: ["postgres"], summary: "Index tips." },
+        markdown: "Original",
+        content: "Rewritten",
+        document: "---\n---\nRewritten",
+      },
+      "2024-03-06T08:00:00.000Z"
+    );
+    assert.deepEqual(plain(created), {
+      url: PAGE_URL,
+      domain: "db.example.com",
+      title: "Postgres Index Tuning",
+      category: "database",
+      filename: FILENAME,
+      captureMode: "page",
+      tags: ["postgres"],
+      summary: "Index tips.",
+      markdown: "Rewritten",
+      document: "---\n---\nRewritten",
+      sourceMarkdown: "Original",
+      contentHash: "",
+      capturedAt: "2024-03-06T08:00:00.000Z",
+      versions: [],
+    });
+  });
+
+  test("works without AI metadata", () => {
+    const { scripts } = setup();
+    const created = scripts.get("createLibraryEntry")({
+      pageContent: PAGE_CONTENT,
+      url: "not a url",
+      filename: FILENAME,
+      geminiData: null,
+      markdown: "Body",
+      document: "Body",
+    });
+    assert.equal(created.domain, "");
+    assert.deepEqual(plain(created.tags), []);
+    assert.equal(created.summary, "");
+    assert.equal(created.markdown, "Body");
+  });
+});
+
+describe("filterLibraryEntries", () => {
+  const { scripts } = setup();
+  const filterLibraryEntries = scripts.get("filterLibraryEntries");
+  const entries = [
+    entry({
+      title: "Dapper basics",
+      domain: "dev.example.com",
+      category: "dotnet",
+      tags: ["orm", "sql"],
+      markdown: "Dapper maps query results to objects.",
+      capturedAt: "2024-03-07T09:00:00.000Z",
+    }),
+    entry({
+      title: "Index tuning",
+      domain: "db.example.com",
+      category: "database",
+      tags: ["sql"],
+      summary: "Covering indexes",
+      markdown: "Use EXPLAIN ANALYZE.",
+      capturedAt: "2024-03-05T12:00:00.000Z",
+    }),
+  ];
+  const titles = (filters) =>
+    filterLibraryEntries(entries, filters).map((item) => item.title);
+
+  test("matches everything without filters", () => {
+    assert.deepEqual(titles({}), ["Dapper basics", "Index tuning"]);
+  });
+
+  test("filters by domain, category and tag", () => {
+    assert.deepEqual(titles({ domain: "db.example.com" }), ["Index tuning"]);
+    assert.deepEqual(titles({ category: "dotnet" }), ["Dapper basics"]);
+    assert.deepEqual(titles({ tag: "orm" }), ["Dapper basics"]);
+    assert.deepEqual(titles({ tag: "sql", category: "database" }), [
+      "Index tuning",
+    ]);
+  });
+
+  test("filters by an inclusive date range", () => {
+    assert.deepEqual(titles({ from: "2024-03-06" }), ["Dapper basics"]);
+    assert.deepEqual(titles({ to: "2024-03-05" }), ["Index tuning"]);
+    assert.deepEqual(titles({ from: "2024-03-05", to: "2024-03-07" }), [
+      "Dapper basics",
+      "Index tuning",
+    ]);
+  });
+
+  test("searches every word in the title, summary, tags and Markdown", () => {
+    assert.deepEqual(titles({ query: "explain" }), ["Index tuning"]);
+    assert.deepEqual(titles({ query: "COVERING" }), ["Index tuning"]);
+    assert.deepEqual(titles({ query: "orm objects" }), ["Dapper basics"]);
+    assert.deepEqual(titles({ query: "dapper explain" }), []);
+  });
+
+  test("lists the filter values", () => {
+    assert.deepEqual(plain(scripts.get("getLibraryFacets")(entries)), {
+      domains: ["db.example.com", "dev.example.com"],
+      categories: ["database", "dotnet"],
+      tags: ["orm", "sql"],
+    });
+  });
+});
+
+describe("Library storage", () => {
+  test("adds, lists newest first, reads and deletes entries", async () => {
+    const { scripts } = setup();
+    const addLibraryEntry = scripts.get("addLibraryEntry");
+
+    const older = await addLibraryEntry(
+      entry({ title: "Older", capturedAt: "2024-03-01T00:00:00.000Z" })
+    );
+    const newer = await addLibraryEntry(
+      entry({ title: "Newer", capturedAt: "2024-03-02T00:00:00.000Z" })
+    );
+
+    const listed = await scripts.get("getLibraryEntries")();
+    assert.deepEqual(
+      listed.map((item) => item.title),
+      ["Newer", "Older"]
+    );
+    assert.equal((await scripts.get("getLibraryEntry")(older)).title, "Older");
+    assert.equal(await scripts.get("countLibraryEntries")(), 2);
+
+    await scripts.get("deleteLibraryEntry")(newer);
+    assert.equal(await scripts.get("getLibraryEntry")(newer), undefined);
+    assert.equal(await scripts.get("countLibraryEntries")(), 1);
+  });
+
+  test("records every delivered capture", async () => {
+    const { browser, scripts } = setup({ frontMatter: { format: "yaml" } });
+    const response = await sendRuntimeMessage(browser, {
+      action: "processCapture",
+      pageContent: PAGE_CONTENT,
+      markdown: "Body",
+      url: PAGE_URL,
+    });
+    assert.equal(response.success, true);
+
+    const [saved] = await scripts.get("getLibraryEntries")();
+    assert.equal(saved.url, PAGE_URL);
+    assert.equal(saved.filename, FILENAME);
+    assert.equal(saved.category, "database");
+    assert.equal(saved.markdown, "Body");
+    assert.equal(saved.document, browser.downloads.files[0].text);
+  });
+
+  test("records batch ZIP captures only once the ZIP is saved", async () => {
+    const batch = async (download) => {
+      const browser = createFakeBrowser({
+        tabs: [{ id: 1, url: PAGE_URL, title: "Postgres" }],
+      });
+      browser.scripting.executeScript = async ({ func }) =>
+        func
+          ? [{ result: { pageContent: PAGE_CONTENT, markdown: "Body" } }]
+          : [];
+      if (download) browser.downloads.download = download;
+      const scripts = loadBackground(browser);
+
+      scripts.get("startBatchCapture")({
+        tabs: await browser.tabs.query(),
+        bundleZip: true,
+      });
+      while (browser.notifications.created.length === 0) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      return scripts.get("getLibraryEntries")();
+    };
+
+    const failed = await batch(async () => {
+      throw new Error("Download failed");
+    });
+    assert.deepEqual(plain(failed), []);
+
+    const [saved] = await batch();
+    assert.equal(saved.url, PAGE_URL);
+    assert.equal(saved.sourceMarkdown, "Body");
+    assert.equal(saved.awaitingBundle, undefined);
+  });
+});
+
+describe("Library versions", () => {
+  const sha256 = (text) => createHash("sha256").update(text).digest("hex");
+
+  function capture(browser, markdown) {
+    return sendRuntimeMessage(browser, {
+      action: "processCapture",
+      pageContent: PAGE_CONTENT,
+      markdown,
+      url: PAGE_URL,
+    });
+  }
+
+  test("keeps one entry per URL, versioning changed pages", async () => {
+    const { browser, scripts } = setup();
+    await capture(browser, "First");
+    await capture(browser, "Second");
+
+    const entries = await scripts.get("getLibraryEntries")();
+    assert.equal(entries.length, 1);
+    const [saved] = entries;
+    assert.equal(saved.sourceMarkdown, "Second");
+    assert.equal(saved.contentHash, sha256("Second"));
+    assert.equal(saved.versions.length, 1);
+    assert.equal(saved.versions[0].sourceMarkdown, "First");
+    assert.equal(saved.versions[0].contentHash, sha256("First"));
+    assert.equal(saved.versions[0].document, browser.downloads.files[0].text);
+
+    // An unchanged page replaces the last capture
+    await capture(browser, "Second");
+    const [again] = await scripts.get("getLibraryEntries")();
+    assert.equal(again.id, saved.id);
+    assert.deepEqual(
+      again.versions.map((version) => version.sourceMarkdown),
+      ["First"]
+    );
+  });
+
+  test("follows the capture's versionAction", async () => {
+    const { scripts } = setup();
+    const record = scripts.get("recordCaptureInLibrary");
+    const base = {
+      pageContent: PAGE_CONTENT,
+      url: PAGE_URL,
+      filename: FILENAME,
+      document: "Doc",
+    };
+
+    await record({ ...base, markdown: "One" });
+    await record({ ...base, markdown: "One", versionAction: "new-version" });
+    await record({ ...base, markdown: "Two", versionAction: "overwrite" });
+    await record({ ...base, markdown: "Three", versionAction: "skip" });
+
+    const [entry] = await scripts.get("getLibraryEntries")();
+    assert.equal(entry.sourceMarkdown, "Two");
+    assert.deepEqual(
+      entry.versions.map((version) => version.sourceMarkdown),
+      ["One"]
+    );
+  });
+
+  test("keeps partial captures out of the page's versions", async () => {
+    const { browser, scripts } = setup();
+    await capture(browser, "Whole page");
+    await sendRuntimeMessage(browser, {
+      action: "processCapture",
+      pageContent: { ...PAGE_CONTENT, captureMode: "selection" },
+      markdown: "A paragraph",
+      url: PAGE_URL,
+    });
+
+    const entries = await scripts.get("getLibraryEntries")();
+    assert.equal(entries.length, 2);
+    const page = await scripts.get("findLibraryEntryByUrl")(PAGE_URL);
+    assert.equal(page.sourceMarkdown, "Whole page");
+    assert.deepEqual(plain(page.versions), []);
+    const selection = entries.find((saved) => saved.id !== page.id);
+    assert.equal(selection.captureMode, "selection");
+    assert.equal(selection.contentHash, sha256("A paragraph"));
+
+    // The next page capture is compared with the page, not the selection
+    await capture(browser, "Whole page, edited");
+    const updated = await scripts.get("findLibraryEntryByUrl")(PAGE_URL);
+    assert.equal(updated.id, page.id);
+    assert.deepEqual(
+      updated.versions.map((version) => version.sourceMarkdown),
+      ["Whole page"]
+    );
+    assert.equal((await scripts.get("getLibraryEntries")()).length, 2);
+  });
+
+  test("keeps at most LIBRARY_MAX_VERSIONS earlier versions", () => {
+    const { scripts } = setup();
+    const mergeLibraryVersion = scripts.get("mergeLibraryVersion");
+    const max = scripts.get("LIBRARY_MAX_VERSIONS");
+
+    let stored = entry({ id: 1, contentHash: "0", versions: [] });
+    for (let n = 1; n <= max + 2; n++) {
+      stored = mergeLibraryVersion(
+        stored,
+        entry({ contentHash: String(n), versions: [] })
+      );
+    }
+    assert.equal(stored.id, 1);
+    assert.equal(stored.contentHash, String(max + 2));
+    assert.equal(stored.versions.length, max);
+    assert.equal(stored.versions[0].contentHash, String(max + 1));
+  });
+});
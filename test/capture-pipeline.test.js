@@ -0,0 +1,408 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBackground, plain } = require("./helpers/load-scripts");
+const {
+  createFakeBrowser,
+  sendRuntimeMessage,
+} = require("./helpers/fake-browser");
+const {
+  geminiReply,
+  startMockGeminiServer,
+} = require("./helpers/mock-gemini-server");
+
+const PAGE_CONTENT = {
+  title: "Postgres Index Tuning",
+  html: "<h2>Why</h2><p>Indexes speed up reads.</p>",
+  author: "Jane Doe",
+  publicationDate: "2024-03-05T12:00:00.000Z",
+  images: [],
+};
+const PAGE_URL = "https://db.example.com/index-tuning";
+const FILENAME = "2024-03-05_database_postgres_index_tuning.md";
+
+function setup(sync = {}, local = {}) {
+  const browser = createFakeBrowser({ sync, local });
+  return { browser, scripts: loadBackground(browser) };
+}
+
+// Lets a capture queued in the background finish
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.ok(condition(), "timed out");
+}
+
+describe("runCapturePipeline", () => {
+  test("runs the default steps up to serialize", async () => {
+    const { scripts } = setup({ frontMatter: { format: "none" } });
+
+    const capture = await scripts.get("runCapturePipeline")(
+      { pageContent: PAGE_CONTENT, markdown: "Body", url: PAGE_URL },
+      {},
+      { to: "serialize" }
+    );
+    assert.equal(capture.category, "database");
+    assert.equal(capture.filename, FILENAME);
+    assert.equal(capture.geminiData, null);
+    assert.equal(capture.document, "# Postgres Index Tuning\n\nBody");
+  });
+
+  test("runs a range of stages, replacing steps and running hooks", async () => {
+    const { scripts } = setup();
+    const stages = [];
+    scripts.get("addCaptureHook")("serialize", (capture) => {
+      stages.push("serialize hook");
+      capture.document += "\n<!-- hooked -->";
+    });
+
+    const capture = await scripts.get("runCapturePipeline")(
+      {
+        pageContent: PAGE_CONTENT,
+        url: PAGE_URL,
+        category: "general",
+        markdown: "Body",
+        frontMatter: { format: "none" },
+      },
+      {
+        enrich: (capture) => {
+          stages.push("enrich");
+          capture.content = "Enriched";
+        },
+        deliver: () => stages.push("deliver"),
+      },
+      { from: "enrich" }
+    );
+    assert.deepEqual(stages, ["enrich", "serialize hook", "deliver"]);
+    assert.equal(
+      capture.document,
+      "# Postgres Index Tuning\n\nEnriched\n<!-- hooked -->"
+    );
+  });
+
+  test("rejects hooks for unknown stages", () => {
+    const { scripts } = setup();
+    assert.throws(
+      () => scripts.get("addCaptureHook")("publish", () => {}),
+      /Unknown capture stage: publish/
+    );
+  });
+
+  test("stops when the page has no content", async () => {
+    const { scripts } = setup();
+    await assert.rejects(
+      scripts.get("runCapturePipeline")({
+        pageContent: { ...PAGE_CONTENT, html: "" },
+        url: PAGE_URL,
+      }),
+      /Could not extract content from the page/
+    );
+  });
+});
+
+describe("processCapture", () => {
+  test("saves the document, records the URL and notifies", async () => {
+    const { browser } = setup({ askWhereToSave: false });
+
+    const response = await sendRuntimeMessage(browser, {
+      action: "processCapture",
+      pageContent: PAGE_CONTENT,
+      markdown: "## Why\n\nIndexes speed up reads.",
+      url: PAGE_URL,
+    });
+    assert.deepEqual(plain(response), { success: true, failedImages: [] });
+
+    const [file] = browser.downloads.files;
+    assert.equal(file.filename, FILENAME);
+    assert.equal(file.saveAs, false);
+    assert.equal(file.mimeType, "text/markdown;charset=utf-8");
+    assert.match(file.text, /^---\ntitle: Postgres Index Tuning\n/);
+    assert.match(file.text, /^category: database$/m);
+    assert.ok(
+      file.text.endsWith(
+        "---\n\n# Postgres Index Tuning\n\n## Why\n\nIndexes speed up reads."
+      )
+    );
+
+    const [entry] = browser.storage.local.data.extractedUrls;
+    assert.equal(entry.url, PAGE_URL);
+    assert.equal(entry.count, 1);
+    assert.equal(
+      browser.notifications.created[0].title,
+      "Page Extraction Complete"
+    );
+  });
+
+  describe("with AI enrichment", () => {
+    let server;
+
+    before(async () => {
+      server = await startMockGeminiServer(() =>
+        geminiReply({
+          technologies: ["PostgreSQL"],
+          programmingLanguages: ["SQL"],
+          tags: ["indexing"],
+          keyConcepts: ["b-tree"],
+          codeExamples: false,
+          difficultyLevel: "intermediate",
+          summary: "How indexes speed up reads.",
+          content: "## Why\n\nIndexes make reads faster.",
+        })
+      );
+    });
+
+    after(() => server.close());
+
+    test("queues the capture and saves the enriched document", async () => {
+      const { browser } = setup({
+        useGemini: true,
+        geminiApiKey: "test-key",
+        providerSettings: { gemini: { baseUrl: server.baseUrl } },
+      });
+
+      const response = await sendRuntimeMessage(browser, {
+        action: "processCapture",
+        pageContent: PAGE_CONTENT,
+        markdown: "## Why\n\nIndexes speed up reads.",
+        url: PAGE_URL,
+      });
+      assert.deepEqual(plain(response), { success: true, queued: true });
+
+      await waitFor(() => browser.downloads.files.length === 1);
+      const { text } = browser.downloads.files[0];
+      assert.match(text, /^technologies:\n {2}- PostgreSQL$/m);
+      assert.match(text, /^summary: How indexes speed up reads.$/m);
+      assert.ok(text.endsWith("## Why\n\nIndexes make reads faster."));
+
+      await waitFor(() => browser.runtime.sentMessages.length === 1);
+      assert.deepEqual(plain(browser.runtime.sentMessages[0]), {
+        action: "processingComplete",
+        success: true,
+        filename: FILENAME,
+      });
+    });
+
+    test("fails when enrichment is forced without a configured provider", async () => {
+      const { browser } = setup();
+
+      const response = await sendRuntimeMessage(browser, {
+        action: "processCapture",
+        pageContent: PAGE_CONTENT,
+        markdown: "Body",
+        url: PAGE_URL,
+        forceGemini: true,
+      });
+      assert.deepEqual(plain(response), { error: "Gemini is not configured" });
+      assert.equal(browser.downloads.files.length, 0);
+    });
+  });
+});
+
+describe("extraction history", () => {
+  test("counts repeated captures of a URL", async () => {
+    const { browser, scripts } = setup();
+    const addExtractedUrl = scripts.get("addExtractedUrl");
+
+    await addExtractedUrl(PAGE_URL);
+    await addExtractedUrl(PAGE_URL);
+    assert.equal(await scripts.get("isUrlExtracted")(PAGE_URL), true);
+    assert.equal(browser.storage.local.data.extractedUrls.length, 1);
+    assert.equal(browser.storage.local.data.extractedUrls[0].count, 2);
+  });
+
+  test("keeps the 100 most recent URLs", async () => {
+    const extractedUrls = Array.from({ length: 100 }, (_, index) => ({
+      url: `https://example.com/${index}`,
+      firstExtracted: new Date(Date.UTC(2024, 0, 1, 0, index)).toISOString(),
+      lastExtracted: new Date(Date.UTC(2024, 0, 1, 0, index)).toISOString(),
+      count: 1,
+    }));
+    const { browser, scripts } = setup({}, { extractedUrls });
+
+    await scripts.get("addExtractedUrl")(PAGE_URL);
+    const urls = browser.storage.local.data.extractedUrls.map(({ url }) => url);
+    assert.equal(urls.length, 100);
+    assert.equal(urls[0], PAGE_URL);
+    assert.ok(!urls.includes("https://example.com/0"));
+
+    await browser.storage.sync.set({ historyRetention: { maxEntries: 10 } });
+    const result = await scripts.get("enforceHistoryRetention")();
+    assert.deepEqual(plain(result), { kept: 10, removed: 90 });
+    assert.equal(browser.storage.local.data.extractedUrls.length, 10);
+  });
+
+  test("never records excluded domains and URL patterns", async () => {
+    const { browser, scripts } = setup({
+      historyRetention: {
+        excludedDomains: ["*.intranet.example"],
+        neverRecord: ["https://mail.example.com/*", "*?token=*"],
+      },
+    });
+    const addExtractedUrl = scripts.get("addExtractedUrl");
+
+    await addExtractedUrl("https://wiki.intranet.example/page");
+    await addExtractedUrl("https://MAIL.example.com/inbox");
+    await addExtractedUrl("https://example.com/reset?token=abc");
+    await addExtractedUrl(PAGE_URL);
+
+    assert.deepEqual(
+      browser.storage.local.data.extractedUrls.map(({ url }) => url),
+      [PAGE_URL]
+    );
+  });
+
+  test("forgets URLs older than maxAgeDays", () => {
+    const { scripts } = setup();
+    const retention = scripts.get("normalizeHistoryRetention")({
+      maxEntries: 0,
+      maxAgeDays: 30,
+    });
+    const now = Date.UTC(2024, 5, 30);
+    const urls = ["2024-06-29", "2024-05-31", "2024-05-01"].map((date) => ({
+      url: `https://example.com/${date}`,
+      lastExtracted: `${date}T00:00:00.000Z`,
+    }));
+
+    assert.deepEqual(
+      scripts
+        .get("applyHistoryRetention")(urls, retention, now)
+        .map(({ url }) => url),
+      ["https://example.com/2024-06-29", "https://example.com/2024-05-31"]
+    );
+  });
+
+  test("cleans the stored retention setting", () => {
+    const { scripts } = setup();
+    const normalize = scripts.get("normalizeHistoryRetention");
+    assert.deepEqual(plain(normalize(undefined)), {
+      maxEntries: 100,
+      maxAgeDays: 0,
+      excludedDomains: [],
+      neverRecord: [],
+    });
+    assert.deepEqual(
+      plain(
+        normalize({
+          maxEntries: "",
+          maxAgeDays: "-3",
+          excludedDomains: [" a.example ", ""],
+          neverRecord: "not a list",
+        })
+      ),
+      {
+        maxEntries: 100,
+        maxAgeDays: 0,
+        excludedDomains: ["a.example"],
+        neverRecord: [],
+      }
+    );
+  });
+
+  test("removes a single URL", async () => {
+    const { browser, scripts } = setup();
+    await scripts.get("addExtractedUrl")(PAGE_URL);
+    await scripts.get("addExtractedUrl")("https://example.com/");
+    await scripts.get("removeExtractedUrl")(PAGE_URL);
+    assert.deepEqual(
+      browser.storage.local.data.extractedUrls.map(({ url }) => url),
+      ["https://example.com/"]
+    );
+  });
+});
+
+describe("history files", () => {
+  const STORED = {
+    url: PAGE_URL,
+    firstExtracted: "2024-03-05T12:00:00.000Z",
+    lastExtracted: "2024-03-06T12:00:00.000Z",
+    count: 2,
+  };
+
+  test("round-trips the JSON export", () => {
+    const { scripts } = setup();
+    const text = scripts.get("serializeHistoryExport")([STORED]);
+    assert.equal(JSON.parse(text).version, 1);
+    assert.deepEqual(plain(scripts.get("parseHistoryFile")(text)), {
+      entries: [STORED],
+      skipped: 0,
+    });
+  });
+
+  test("reads the CSV export, skipping invalid rows", () => {
+    const { scripts } = setup();
+    const csv =
+      "URL,First Extracted,Last Extracted,Extract Count\n" +
+      '"https://example.com/?q=a,""b""","2024-03-01T00:00:00.000Z",' +
+      '"2024-03-02T00:00:00.000Z",3\r\n' +
+      '"https://example.com/undated","soon","",1\n' +
+      '"https://example.com/uncounted","2024-03-01T00:00:00.000Z","",\n';
+
+    assert.deepEqual(plain(scripts.get("parseHistoryFile")(csv)), {
+      entries: [
+        {
+          url: 'https://example.com/?q=a,"b"',
+          firstExtracted: "2024-03-01T00:00:00.000Z",
+          lastExtracted: "2024-03-02T00:00:00.000Z",
+          count: 3,
+        },
+        {
+          url: "https://example.com/uncounted",
+          firstExtracted: "2024-03-01T00:00:00.000Z",
+          lastExtracted: "2024-03-01T00:00:00.000Z",
+          count: 1,
+        },
+      ],
+      skipped: 1,
+    });
+  });
+
+  test("rejects JSON without a history array", () => {
+    const { scripts } = setup();
+    assert.throws(
+      () => scripts.get("parseHistoryFile")('{"domainRules": []}'),
+      /missing "extractedUrls" array/
+    );
+  });
+
+  test("merges imports into the stored history", async () => {
+    const { browser, scripts } = setup({}, { extractedUrls: [STORED] });
+    const result = await scripts.get("importExtractedUrls")([
+      {
+        url: PAGE_URL,
+        firstExtracted: "2024-03-01T00:00:00.000Z",
+        lastExtracted: "2024-03-04T00:00:00.000Z",
+        count: 3,
+      },
+      {
+        url: "https://example.com/new",
+        firstExtracted: "2024-03-07T00:00:00.000Z",
+        lastExtracted: "2024-03-07T00:00:00.000Z",
+        count: 1,
+      },
+    ]);
+
+    assert.deepEqual(plain(result), { added: 1, updated: 1, removed: 0 });
+    assert.deepEqual(plain(browser.storage.local.data.extractedUrls), [
+      {
+        url: "https://example.com/new",
+        firstExtracted: "2024-03-07T00:00:00.000Z",
+        lastExtracted: "2024-03-07T00:00:00.000Z",
+        count: 1,
+      },
+      {
+        url: PAGE_URL,
+        firstExtracted: "2024-03-01T00:00:00.000Z",
+        lastExtracted: "2024-03-06T12:00:00.000Z",
+        count: 5,
+      },
+    ]);
+  });
+
+  test("applies the retention policy to imports", async () => {
+    const { scripts } = setup({
+      historyRetention: { excludedDomains: ["db.example.com"] },
+    });
+    const result = await scripts.get("importExtractedUrls")([STORED]);
+    assert.deepEqual(plain(result), { added: 1, updated: 0, removed: 1 });
+  });
+});
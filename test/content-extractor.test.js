@@ -0,0 +1,25 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { JSDOM } = require("jsdom");
+const { loadScripts } = require("./helpers/load-scripts");
+
+describe("content-extractor.js", () => {
+  test("can be injected into the same page twice", () => {
+    const { document } = new JSDOM(
+      `<nav><a href="/">Home</a></nav><article><h1>Title</h1>` +
+        `<p>${"Scored, readable article text. ".repeat(20)}</p></article>`
+    ).window;
+
+    // The popup injects the file on every extraction; classic scripts share
+    // one global scope, so top-level declarations must not clash
+    const scripts = loadScripts(
+      ["content-extractor.js", "content-extractor.js"],
+      { document }
+    );
+
+    const { strategy, html } = scripts.get("extractMainContent")(document);
+    assert.equal(strategy, "readability");
+    assert.match(html, /Scored, readable article text/);
+    assert.doesNotMatch(html, /Home/);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Golden tests: each page in fixtures/pages is converted the way a linked
+ * page capture converts it, and the Markdown must match fixtures/expected.
+ * After an intended change in the output, run `UPDATE_GOLDEN=1 npm test`
+ * and review the diff of the expected files.
+ */
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const {
+  CONVERTER_SCRIPTS,
+  loadDomScripts,
+  plain,
+} = require("./helpers/load-scripts");
+
+const PAGES_DIR = path.join(__dirname, "fixtures", "pages");
+const EXPECTED_DIR = path.join(__dirname, "fixtures", "expected");
+
+// Page metadata each fixture must yield, besides its Markdown
+const EXPECTED_PAGE_CONTENT = {
+  "article-with-comments": {
+    title: "Understanding Python Generators",
+    author: "Sam Lee",
+    publicationDate: "2023-11-20T00:00:00.000Z",
+  },
+  "blog-article": {
+    title: "Getting Started with Dapper | Example Blog",
+    author: "Jane Doe",
+    publicationDate: "2024-03-05T09:30:00Z",
+  },
+  "docs-tables": {
+    title: "Configuration Reference",
+    author: "Unknown",
+    publicationDate: null,
+  },
+};
+
+const window = loadDomScripts(CONVERTER_SCRIPTS);
+
+async function convertFixture(name, domainRule = null) {
+  const html = fs.readFileSync(path.join(PAGES_DIR, `${name}.html`), "utf8");
+  return window.convertFetchedHtml(
+    html,
+    `https://example.com/posts/${name}`,
+    domainRule
+  );
+}
+
+describe("page conversion", () => {
+  for (const file of fs.readdirSync(PAGES_DIR).sort()) {
+    const name = path.basename(file, ".html");
+
+    test(name, async () => {
+      const { pageContent, markdown } = await convertFixture(name);
+      const expectedFile = path.join(EXPECTED_DIR, `${name}.md`);
+
+      if (process.env.UPDATE_GOLDEN) {
+        fs.writeFileSync(expectedFile, `${markdown}\n`);
+      }
+      assert.equal(`${markdown}\n`, fs.readFileSync(expectedFile, "utf8"));
+
+      const { title, author, publicationDate } = plain(pageContent);
+      assert.deepEqual(
+        { title, author, publicationDate },
+        EXPECTED_PAGE_CONTENT[name]
+      );
+    });
+  }
+});
+
+describe("domain rules", () => {
+  test("the content selector and removals override the heuristics", async () => {
+    const { pageContent, markdown } = await convertFixture("blog-article", {
+      domain: "example.com",
+      contentSelector: "article",
+      removeSelectors: ["ul", "pre"],
+      titleSelector: "article h1",
+      authorSelector: "",
+      dateSelector: "",
+    });
+
+    assert.equal(pageContent.title, "Getting Started with Dapper");
+    assert.equal(pageContent.extraction.strategy, "domain-rule");
+    assert.doesNotMatch(markdown, /```|\* {3}Fast/);
+    assert.match(markdown, /^## Querying$/m);
+  });
+});
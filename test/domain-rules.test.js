@@ -0,0 +1,78 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, plain } = require("./helpers/load-scripts");
+const { createFakeBrowser } = require("./helpers/fake-browser");
+
+const RULE = {
+  domain: "docs.example.com",
+  contentSelector: "main .docs",
+  removeSelectors: [".feedback", ".toc"],
+  titleSelector: "",
+  authorSelector: "",
+  dateSelector: "",
+};
+
+function setup(storage) {
+  const browser = createFakeBrowser(storage);
+  return { browser, scripts: loadScripts(["domain-rules.js"], { browser }) };
+}
+
+describe("domain rule storage", () => {
+  test("falls back to the built-in rules", async () => {
+    const { scripts } = setup();
+    assert.deepEqual(
+      plain(await scripts.get("getDomainRules")()),
+      plain(scripts.get("DEFAULT_DOMAIN_RULES"))
+    );
+  });
+
+  test("syncs one item per rule, clear of sync's item quota", async () => {
+    const { browser, scripts } = setup();
+    const rules = Array.from({ length: 80 }, (_, index) => ({
+      ...RULE,
+      domain: `docs${index}.example.com`,
+    }));
+    assert.ok(JSON.stringify(rules).length > 8192);
+
+    assert.deepEqual(plain(await scripts.get("saveDomainRules")(rules)), {
+      synced: true,
+    });
+    assert.equal(browser.storage.sync.data.domainRulesCount, 80);
+    assert.deepEqual(browser.storage.sync.data["domainRule.79"], rules[79]);
+    assert.equal(browser.storage.local.data.domainRules, undefined);
+    assert.deepEqual(plain(await scripts.get("getDomainRules")()), rules);
+
+    // Fewer rules leave no stale items behind
+    await scripts.get("saveDomainRules")(rules.slice(0, 2));
+    assert.equal(browser.storage.sync.data.domainRulesCount, 2);
+    assert.equal("domainRule.2" in browser.storage.sync.data, false);
+  });
+
+  test("reads, and never deletes, the array earlier versions synced", async () => {
+    const { browser, scripts } = setup({ sync: { domainRules: [RULE] } });
+    assert.deepEqual(plain(await scripts.get("getDomainRules")()), [RULE]);
+
+    await scripts.get("saveDomainRules")([RULE, { ...RULE, domain: "b.test" }]);
+    assert.equal((await scripts.get("getDomainRules")()).length, 2);
+    assert.deepEqual(plain(browser.storage.sync.data.domainRules), [RULE]);
+  });
+
+  test("keeps a rule too large for sync on this device", async () => {
+    const { browser, scripts } = setup();
+    const huge = {
+      ...RULE,
+      removeSelectors: Array.from({ length: 1000 }, (_, n) => `.ad-${n}`),
+    };
+
+    assert.deepEqual(plain(await scripts.get("saveDomainRules")([huge])), {
+      synced: false,
+    });
+    assert.deepEqual(plain(browser.storage.local.data.domainRules), [huge]);
+    assert.deepEqual(plain(await scripts.get("getDomainRules")()), [huge]);
+
+    // A save that fits goes back to sync
+    await scripts.get("saveDomainRules")([RULE]);
+    assert.equal(browser.storage.local.data.domainRules, undefined);
+    assert.deepEqual(plain(await scripts.get("getDomainRules")()), [RULE]);
+  });
+});
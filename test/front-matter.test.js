@@ -0,0 +1,264 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, plain } = require("./helpers/load-scripts");
+
+const scripts = loadScripts(["front-matter.js"]);
+const createMetadata = scripts.get("createMetadata");
+const formatYamlScalar = scripts.get("formatYamlScalar");
+const serializeYaml = scripts.get("serializeYaml");
+const normalizeFrontMatterSettings = scripts.get(
+  "normalizeFrontMatterSettings"
+);
+const validateFrontMatterSettings = scripts.get("validateFrontMatterSettings");
+const parseFrontMatterConstant = scripts.get("parseFrontMatterConstant");
+
+const PAGE = {
+  title: "Dapper: a micro-ORM",
+  author: "Jane Doe",
+  publicationDate: "2024-03-05T12:00:00.000Z",
+};
+const PAGE_URL = "https://blog.example.com/posts/dapper";
+
+const GEMINI_DATA = {
+  technologies: ["Dapper", ".NET 6"],
+  programmingLanguages: ["C#"],
+  tags: ["micro-orm"],
+  keyConcepts: [],
+  codeExamples: true,
+  difficultyLevel: "intermediate",
+  summary: "First line.\nSecond line.",
+};
+
+// The capture date changes on every run
+function withoutCaptureDate(text) {
+  return text.replace(/^(date_captured: ).*$/m, "$1<now>");
+}
+
+describe("formatYamlScalar", () => {
+  test("leaves plain words unquoted", () => {
+    assert.equal(formatYamlScalar("micro-orm"), "micro-orm");
+    assert.equal(formatYamlScalar("ASP.NET Core"), "ASP.NET Core");
+  });
+
+  test("quotes values YAML would read differently", () => {
+    assert.equal(
+      formatYamlScalar("Dapper: a micro-ORM"),
+      '"Dapper: a micro-ORM"'
+    );
+    assert.equal(formatYamlScalar("- list"), '"- list"');
+    assert.equal(formatYamlScalar("# comment"), '"# comment"');
+    assert.equal(formatYamlScalar(".NET 6"), '".NET 6"');
+    assert.equal(formatYamlScalar("C#"), '"C#"');
+    assert.equal(formatYamlScalar("2024"), '"2024"');
+    assert.equal(formatYamlScalar("trailing "), '"trailing "');
+    assert.equal(formatYamlScalar(""), '""');
+  });
+
+  test("quotes words YAML 1.1 reads as booleans or null", () => {
+    for (const word of ["yes", "No", "on", "OFF", "null", "true", "y"]) {
+      assert.equal(formatYamlScalar(word), JSON.stringify(word));
+    }
+  });
+
+  test("escapes quotes, backslashes and control characters", () => {
+    assert.equal(
+      formatYamlScalar('He said "hi" \\ bye\t'),
+      '"He said \\"hi\\" \\\\ bye\\t"'
+    );
+  });
+
+  test("keeps booleans and numbers typed", () => {
+    assert.equal(formatYamlScalar(true), "true");
+    assert.equal(formatYamlScalar(3), "3");
+  });
+});
+
+describe("serializeYaml", () => {
+  test("writes lists as block sequences and empty lists inline", () => {
+    assert.equal(
+      serializeYaml([
+        ["tags", ["a", "b: c"]],
+        ["key_concepts", []],
+      ]),
+      'tags:\n  - a\n  - "b: c"\nkey_concepts: []\n'
+    );
+  });
+
+  test("writes multiline text as a literal block", () => {
+    assert.equal(
+      serializeYaml([["summary", "  One.\r\n\r\n  Two.  \n"]]),
+      "summary: |-\n  One.\n\n    Two.\n"
+    );
+  });
+
+  test("quotes keys that aren't plain", () => {
+    assert.equal(serializeYaml([["my key", 1]]), '"my key": 1\n');
+  });
+});
+
+describe("createMetadata", () => {
+  test("writes YAML front matter and the title heading", () => {
+    const header = createMetadata(PAGE, PAGE_URL, "database", GEMINI_DATA);
+    assert.equal(
+      withoutCaptureDate(header),
+      [
+        "---",
+        'title: "Dapper: a micro-ORM"',
+        'source: "https://blog.example.com/posts/dapper"',
+        'date_published: "2024-03-05T12:00:00.000Z"',
+        "date_captured: <now>",
+        "domain: blog.example.com",
+        "author: Jane Doe",
+        "category: database",
+        "technologies:",
+        "  - Dapper",
+        '  - ".NET 6"',
+        "programming_languages:",
+        '  - "C#"',
+        "tags:",
+        "  - micro-orm",
+        "key_concepts: []",
+        "code_examples: true",
+        "difficulty_level: intermediate",
+        "summary: |-",
+        "  First line.",
+        "  Second line.",
+        "---",
+        "",
+        "# Dapper: a micro-ORM",
+        "",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("fills defaults without AI metadata or page details", () => {
+    const header = createMetadata({ title: "Notes" }, PAGE_URL, "general");
+    assert.match(header, /^date_published: unknown$/m);
+    assert.match(header, /^author: Unknown$/m);
+    assert.match(header, /^tags: \[\]$/m);
+    assert.match(header, /^code_examples: false$/m);
+    assert.match(header, /^summary: ""$/m);
+  });
+
+  test("writes the page's own tags without AI metadata", () => {
+    const page = { title: "Notes", tags: ["orm", "sql"] };
+    assert.match(
+      createMetadata(page, PAGE_URL, "general"),
+      /^tags:\n  - orm\n  - sql$/m
+    );
+    assert.match(
+      createMetadata(page, PAGE_URL, "general", GEMINI_DATA),
+      /^tags:\n  - micro-orm$/m
+    );
+  });
+
+  test("writes unreadable publication dates as unknown", () => {
+    for (const publicationDate of ["n.d.", "Q3/2023", "5. März 2024"]) {
+      const header = createMetadata(
+        { title: "Notes", publicationDate },
+        PAGE_URL,
+        "general"
+      );
+      assert.match(header, /^date_published: unknown$/m);
+    }
+  });
+
+  test("marks partial captures", () => {
+    const header = createMetadata(
+      { title: "Notes", captureMode: "selection" },
+      PAGE_URL,
+      "general"
+    );
+    assert.match(header, /^capture_mode: selection\npartial_capture: true$/m);
+    assert.doesNotMatch(
+      createMetadata({ title: "Notes" }, PAGE_URL, "general"),
+      /capture_mode/
+    );
+  });
+
+  test("renames, drops and adds fields from the settings", () => {
+    const header = createMetadata(PAGE, PAGE_URL, "database", GEMINI_DATA, {
+      format: "yaml",
+      fields: {
+        tags: { key: "keywords" },
+        summary: { enabled: false },
+        date_captured: { enabled: false },
+      },
+      constants: [{ key: "type", value: "clipping" }],
+    });
+    assert.match(header, /^keywords:\n {2}- micro-orm$/m);
+    assert.doesNotMatch(header, /^(tags|summary|date_captured):/m);
+    assert.match(header, /^type: clipping\n---$/m);
+  });
+
+  test("writes TOML", () => {
+    const header = createMetadata(PAGE, PAGE_URL, "database", GEMINI_DATA, {
+      format: "toml",
+      fields: { date_captured: { enabled: false } },
+    });
+    assert.ok(header.startsWith('+++\ntitle = "Dapper: a micro-ORM"\n'));
+    assert.match(header, /^technologies = \["Dapper", ".NET 6"\]$/m);
+    assert.match(header, /^code_examples = true$/m);
+    assert.match(header, /^summary = "First line.\\nSecond line."$/m);
+    assert.ok(header.endsWith("+++\n\n# Dapper: a micro-ORM\n\n"));
+  });
+
+  test("wraps fenced YAML in a code block", () => {
+    const header = createMetadata(PAGE, PAGE_URL, "database", null, {
+      format: "fenced",
+    });
+    assert.ok(header.startsWith("```yaml\n---\n"));
+    assert.ok(header.endsWith("---\n```\n\n# Dapper: a micro-ORM\n\n"));
+  });
+
+  test("writes only the heading without front matter", () => {
+    assert.equal(
+      createMetadata(PAGE, PAGE_URL, "database", GEMINI_DATA, {
+        format: "none",
+      }),
+      "# Dapper: a micro-ORM\n\n"
+    );
+  });
+});
+
+describe("front matter settings", () => {
+  test("normalizes stored settings", () => {
+    const settings = plain(
+      normalizeFrontMatterSettings({
+        format: "xml",
+        fields: { tags: { enabled: false, key: " labels " } },
+        constants: [
+          { key: " ", value: 1 },
+          { key: "type", value: "note" },
+        ],
+      })
+    );
+    assert.equal(settings.format, "yaml");
+    assert.deepEqual(settings.fields.tags, { enabled: false, key: "labels" });
+    assert.deepEqual(settings.fields.title, { enabled: true, key: "title" });
+    assert.deepEqual(settings.constants, [{ key: "type", value: "note" }]);
+  });
+
+  test("rejects duplicate keys among written fields", () => {
+    const settings = normalizeFrontMatterSettings({
+      fields: { tags: { key: "title" } },
+    });
+    assert.equal(
+      validateFrontMatterSettings(settings),
+      'Front matter key "title" is used twice'
+    );
+
+    const disabled = normalizeFrontMatterSettings({
+      fields: { tags: { key: "title" }, title: { enabled: false } },
+    });
+    assert.equal(validateFrontMatterSettings(disabled), null);
+  });
+
+  test("parses typed constants", () => {
+    assert.equal(parseFrontMatterConstant("true"), true);
+    assert.equal(parseFrontMatterConstant("-2.5"), -2.5);
+    assert.deepEqual(plain(parseFrontMatterConstant("[a, b ,]")), ["a", "b"]);
+    assert.equal(parseFrontMatterConstant(" clipping "), "clipping");
+  });
+});
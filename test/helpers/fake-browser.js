@@ -0,0 +1,243 @@
+/**
+ * An in-memory stand-in for the WebExtension `browser` API: storage keeps
+ * its data in plain objects (and reports changes through
+ * storage.onChanged), alarms are only recorded, and downloads,
+ * notifications and messages are recorded for assertions instead of
+ * reaching the browser.
+ */
+
+/**
+ * A listener list like browser.runtime.onMessage
+ * @returns {Object} The event, with its `listeners` exposed
+ */
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (listener) => listeners.push(listener),
+    removeListener: (listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener: (listener) => listeners.includes(listener),
+  };
+}
+
+/**
+ * A storage area with the get/set/remove semantics of browser.storage
+ * @param {Object} data - Initial contents, kept as the live store
+ * @param {string} areaName - "sync" or "local", passed to onChanged
+ * @param {Object} onChanged - The shared storage.onChanged event
+ * @param {number} [quotaBytesPerItem] - Rejects larger items, like sync's
+ *   QUOTA_BYTES_PER_ITEM (key plus JSON value)
+ * @returns {Object} The storage area; `data` holds what was written
+ */
+function createStorageArea(data, areaName, onChanged, quotaBytesPerItem) {
+  const read = (key, fallback) =>
+    key in data ? structuredClone(data[key]) : fallback;
+
+  // Applies an update and notifies listeners, as the browser does afterwards
+  const write = (update) => {
+    const changes = {};
+    for (const [key, newValue] of Object.entries(update)) {
+      changes[key] = { oldValue: data[key], newValue };
+      if (newValue === undefined) delete data[key];
+      else data[key] = newValue;
+    }
+    onChanged.listeners.forEach((listener) =>
+      listener(structuredClone(changes), areaName)
+    );
+  };
+
+  return {
+    data,
+    async get(keys) {
+      if (keys === null || keys === undefined) return structuredClone(data);
+      if (typeof keys === "string") keys = [keys];
+      if (Array.isArray(keys)) {
+        return Object.fromEntries(
+          keys.filter((key) => key in data).map((key) => [key, read(key)])
+        );
+      }
+      // An object of defaults
+      return Object.fromEntries(
+        Object.entries(keys).map(([key, fallback]) => [
+          key,
+          read(key, fallback),
+        ])
+      );
+    },
+    async set(items) {
+      const tooLarge = Object.entries(items).find(
+        ([key, value]) =>
+          quotaBytesPerItem &&
+          key.length + JSON.stringify(value).length > quotaBytesPerItem
+      );
+      if (tooLarge) {
+        throw new Error(`QUOTA_BYTES_PER_ITEM quota exceeded (${tooLarge[0]})`);
+      }
+      write(structuredClone(items));
+    },
+    async remove(keys) {
+      write(
+        Object.fromEntries(
+          (Array.isArray(keys) ? keys : [keys]).map((key) => [key, undefined])
+        )
+      );
+    },
+    async clear() {
+      write(
+        Object.fromEntries(Object.keys(data).map((key) => [key, undefined]))
+      );
+    },
+  };
+}
+
+/**
+ * Decodes a download's data URL
+ * @param {string} url - A base64 data URL
+ * @returns {{mimeType: string, data: Buffer}}
+ */
+function decodeDataUrl(url) {
+  const match = /^data:([^,]*?)(;base64)?,(.*)$/s.exec(url);
+  if (!match) return { mimeType: "", data: Buffer.alloc(0) };
+  return {
+    mimeType: match[1],
+    data: match[2]
+      ? Buffer.from(match[3], "base64")
+      : Buffer.from(decodeURIComponent(match[3])),
+  };
+}
+
+/**
+ * Creates a fake `browser`
+ * @param {{sync?: Object, local?: Object, tabs?: Array<Object>}} [options] -
+ *   Initial storage contents and open tabs
+ * @returns {Object} The fake; see `downloads.files`,
+ *   `notifications.created`, `runtime.sentMessages`, `tabs.updates` and
+ *   `alarms.scheduled`
+ */
+function createFakeBrowser({ sync = {}, local = {}, tabs = [] } = {}) {
+  const files = [];
+  const created = [];
+  const sentMessages = [];
+  const updates = [];
+  const scheduled = new Map();
+  const onChanged = createEvent();
+
+  return {
+    storage: {
+      onChanged,
+      sync: createStorageArea(sync, "sync", onChanged, 8192),
+      local: createStorageArea(local, "local", onChanged),
+    },
+
+    alarms: {
+      scheduled,
+      onAlarm: createEvent(),
+      async create(name, info) {
+        scheduled.set(name, { name, ...info });
+      },
+      async get(name) {
+        return scheduled.get(name);
+      },
+      async clear(name) {
+        return scheduled.delete(name);
+      },
+    },
+
+    runtime: {
+      id: "test-extension",
+      onMessage: createEvent(),
+      onInstalled: createEvent(),
+      sentMessages,
+      getURL: (file) => `chrome-extension://test-extension/${file}`,
+      async sendMessage(message) {
+        sentMessages.push(message);
+      },
+    },
+
+    downloads: {
+      files,
+      async download({ url, filename, saveAs }) {
+        const { mimeType, data } = decodeDataUrl(url);
+        files.push({
+          filename,
+          saveAs,
+          mimeType,
+          data,
+          text: data.toString("utf8"),
+        });
+        return files.length;
+      },
+    },
+
+    notifications: {
+      created,
+      async create(idOrOptions, options) {
+        created.push(options || idOrOptions);
+        return String(created.length);
+      },
+    },
+
+    tabs: {
+      updates,
+      async query() {
+        return tabs;
+      },
+      async get(tabId) {
+        const tab = tabs.find((item) => item.id === tabId);
+        if (!tab) throw new Error(`No tab with id: ${tabId}`);
+        return tab;
+      },
+      async update(tabIdOrProperties, properties) {
+        updates.push(properties || tabIdOrProperties);
+      },
+    },
+
+    scripting: {
+      async executeScript() {
+        return [];
+      },
+    },
+
+    permissions: {
+      async contains() {
+        return true;
+      },
+      async request() {
+        return true;
+      },
+    },
+
+    contextMenus: {
+      onClicked: createEvent(),
+      create() {},
+      async removeAll() {},
+    },
+
+    commands: {
+      onCommand: createEvent(),
+      async getAll() {
+        return [];
+      },
+    },
+  };
+}
+
+/**
+ * Sends a message to the listeners registered on runtime.onMessage, as the
+ * popup would, and resolves with the response
+ * @param {Object} browser - The fake browser
+ * @param {Object} message - The message
+ * @returns {Promise<*>} What the listener passed to sendResponse
+ */
+function sendRuntimeMessage(browser, message) {
+  return new Promise((resolve) => {
+    for (const listener of browser.runtime.onMessage.listeners) {
+      listener(message, {}, resolve);
+    }
+  });
+}
+
+module.exports = { createFakeBrowser, sendRuntimeMessage };
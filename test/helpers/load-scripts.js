@@ -0,0 +1,142 @@
+/**
+ * Loads extension scripts for tests the way the browser does: as classic
+ * scripts sharing one global scope. Worker-side scripts run in a Node vm
+ * context; scripts that need a DOM run in a jsdom window.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const { JSDOM } = require("jsdom");
+const { IDBFactory } = require("fake-indexeddb");
+
+const SRC_DIR = path.join(__dirname, "..", "..", "src");
+
+// The background worker's scripts, in importScripts order
+const BACKGROUND_SCRIPTS = [
+  "page-metadata.js",
+  "domain-rules.js",
+  "zip-writer.js",
+  "offline-assets.js",
+  "llm-providers.js",
+  "metadata-schema.js",
+  "markdown-chunks.js",
+  "prompt-templates.js",
+  "front-matter.js",
+  "obsidian-export.js",
+  "capture-pipeline.js",
+  "capture-library.js",
+  "watchlist.js",
+  "background.js",
+];
+
+// The scripts fetched-page-converter.js needs, in offscreen.html order
+const CONVERTER_SCRIPTS = [
+  "turndown.js",
+  "turndown-tables.js",
+  "markdown-converter.js",
+  "content-extractor.js",
+  "page-content.js",
+  "fetched-page-converter.js",
+];
+
+function readSource(file) {
+  return fs.readFileSync(path.join(SRC_DIR, file), "utf8");
+}
+
+/**
+ * Runs scripts in a fresh vm context
+ * @param {Array<string>} files - Script names in src/, in load order
+ * @param {Object} [globals] - Extra globals, e.g. a fake `browser`
+ * @returns {{context: Object, get: function(string): *}} get reads a
+ *   top-level binding; const declarations aren't properties of the context
+ */
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({
+    console,
+    URL,
+    TextEncoder,
+    TextDecoder,
+    AbortController,
+    atob,
+    btoa,
+    fetch,
+    setTimeout,
+    clearTimeout,
+    structuredClone,
+    crypto,
+    ...globals,
+  });
+  for (const file of files) {
+    vm.runInContext(readSource(file), context, { filename: file });
+  }
+  return { context, get: (name) => vm.runInContext(name, context) };
+}
+
+// The background worker logs every request and reply; TEST_LOGS=1 shows them
+const quietConsole = Object.fromEntries(
+  ["log", "info", "warn", "error", "debug"].map((method) => [method, () => {}])
+);
+
+/**
+ * Loads the background worker with a fake `browser` and an empty IndexedDB
+ * @param {Object} browser - From createFakeBrowser
+ * @param {{fastTimers?: boolean, dom?: boolean}} [options] - fastTimers
+ *   fires every setTimeout at once, so backoff retries don't slow tests down
+ *   (it also defeats request timeouts, such as the image fetch's). dom loads
+ *   it like Firefox's background page: with a document and the converter
+ *   scripts, so fetched pages are converted without an offscreen document.
+ * @returns {{context: Object, get: function(string): *}} See loadScripts
+ */
+function loadBackground(browser, { fastTimers = false, dom = false } = {}) {
+  const globals = {
+    browser,
+    indexedDB: new IDBFactory(),
+    console: process.env.TEST_LOGS ? console : quietConsole,
+    setTimeout: fastTimers ? (callback) => setTimeout(callback, 0) : setTimeout,
+  };
+  if (!dom) return loadScripts(BACKGROUND_SCRIPTS, globals);
+
+  const { window } = new JSDOM("<!DOCTYPE html><html><head></head></html>");
+  return loadScripts([...CONVERTER_SCRIPTS, ...BACKGROUND_SCRIPTS], {
+    ...globals,
+    DOMParser: window.DOMParser,
+    document: window.document,
+  });
+}
+
+/**
+ * Runs scripts in a jsdom window, for code that needs a DOM
+ * @param {Array<string>} files - Script names in src/, in load order
+ * @param {string} [url] - The window's URL
+ * @returns {Window} The window; function declarations are its properties
+ */
+function loadDomScripts(files, url = "https://example.com/") {
+  const { window } = new JSDOM("<!DOCTYPE html><html><head></head></html>", {
+    url,
+    runScripts: "outside-only",
+  });
+  for (const file of files) {
+    window.eval(readSource(file));
+  }
+  return window;
+}
+
+/**
+ * Copies a value created in another context into this one, so
+ * assert.deepStrictEqual doesn't trip over the other context's prototypes
+ * @param {*} value - A JSON-compatible value
+ * @returns {*} The copy
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  BACKGROUND_SCRIPTS,
+  CONVERTER_SCRIPTS,
+  loadScripts,
+  loadBackground,
+  loadDomScripts,
+  plain,
+};
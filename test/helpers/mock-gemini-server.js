@@ -0,0 +1,83 @@
+/**
+ * A local HTTP server that answers Gemini generateContent requests, so the
+ * enrichment code runs against real fetch calls. Point the extension at it
+ * with providerSettings.gemini.baseUrl.
+ */
+
+const http = require("node:http");
+
+/**
+ * A generateContent response carrying one text part
+ * @param {string|Object} text - The reply text; objects are sent as JSON
+ * @param {string} [finishReason] - "STOP", or "MAX_TOKENS" for a cut-off reply
+ * @returns {{status: number, body: Object}}
+ */
+function geminiReply(text, finishReason = "STOP") {
+  return {
+    status: 200,
+    body: {
+      candidates: [
+        {
+          content: {
+            parts: [
+              { text: typeof text === "string" ? text : JSON.stringify(text) },
+            ],
+          },
+          finishReason,
+        },
+      ],
+    },
+  };
+}
+
+/**
+ * Starts the server
+ * @param {function(Object, number): ({status: number, body: Object}|
+ *   Promise<Object>)} respond - Gets each request ({url, body, prompt}) and
+ *   its 1-based number, returns the response
+ * @returns {Promise<{baseUrl: string, requests: Array<Object>,
+ *   close: function(): Promise<void>}>}
+ */
+async function startMockGeminiServer(respond) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", async () => {
+      const body = raw ? JSON.parse(raw) : {};
+      const request = {
+        url: req.url,
+        body,
+        prompt: body.contents?.[0]?.parts?.[0]?.text || "",
+      };
+      requests.push(request);
+
+      try {
+        const reply = await respond(request, requests.length);
+        res.writeHead(reply.status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(reply.body));
+      } catch (error) {
+        res.writeHead(500, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: { message: error.message } }));
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}/v1beta`,
+    requests,
+    close: () =>
+      new Promise((resolve) => {
+        // fetch keeps connections alive, which would hold close() open
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+  };
+}
+
+module.exports = { geminiReply, startMockGeminiServer };
@@ -0,0 +1,318 @@
+const { describe, test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBackground, plain } = require("./helpers/load-scripts");
+const {
+  createFakeBrowser,
+  sendRuntimeMessage,
+} = require("./helpers/fake-browser");
+const {
+  geminiReply,
+  startMockGeminiServer,
+} = require("./helpers/mock-gemini-server");
+
+const METADATA = {
+  technologies: ["Dapper", "SQL Server"],
+  programmingLanguages: ["C#"],
+  tags: ["micro-orm", "database"],
+  keyConcepts: ["mapping"],
+  codeExamples: true,
+  difficultyLevel: "beginner",
+  summary: "Dapper maps query results to objects.",
+  content: "# Dapper\n\nImproved text.",
+};
+
+const MARKDOWN = "# Dapper\n\nOriginal text.";
+const CONTEXT = {
+  title: "Dapper",
+  url: "https://blog.example.com/dapper",
+  category: "database",
+};
+
+// Each test sets the replies the server hands out, in order
+let replies = [];
+let server;
+
+before(async () => {
+  server = await startMockGeminiServer((request, number) => {
+    const reply = replies[Math.min(number, replies.length) - 1];
+    return typeof reply === "function" ? reply(request) : reply;
+  });
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  server.requests.length = 0;
+});
+
+/**
+ * Loads the background worker configured for the mock server
+ * @param {Object} [sync] - Extra sync settings
+ * @param {Object} [local] - Local storage contents
+ */
+function setup(sync = {}, local = {}) {
+  const browser = createFakeBrowser({
+    sync: {
+      geminiApiKey: "test-key",
+      providerSettings: { gemini: { baseUrl: server.baseUrl } },
+      ...sync,
+    },
+    local,
+  });
+  const scripts = loadBackground(browser, { fastTimers: true });
+  const improve = async (markdown = MARKDOWN, context = CONTEXT) => {
+    const llm = await scripts.get("getLlmSettings")();
+    const result = await scripts.get("improveMarkdownWithLlm")(
+      markdown,
+      llm,
+      [],
+      context
+    );
+    return plain(result.improvedMarkdown);
+  };
+  return { browser, scripts, improve };
+}
+
+describe("improveMarkdownWithLlm", () => {
+  test("requests structured JSON and returns the parsed metadata", async () => {
+    replies = [geminiReply(METADATA)];
+    const { improve } = setup();
+
+    assert.deepEqual(await improve(), METADATA);
+
+    const [request] = server.requests;
+    assert.equal(
+      request.url,
+      "/v1beta/models/gemini-2.5-pro:generateContent?key=test-key"
+    );
+    const config = request.body.generationConfig;
+    assert.equal(config.responseMimeType, "application/json");
+    assert.equal(config.responseSchema.type, "OBJECT");
+    assert.ok(config.responseSchema.required.includes("content"));
+    assert.ok(request.prompt.endsWith(MARKDOWN));
+  });
+
+  test("asks once more when the reply is not valid", async () => {
+    replies = [geminiReply("Sure! Here is the JSON: {"), geminiReply(METADATA)];
+    const { improve } = setup();
+
+    assert.deepEqual(await improve(), METADATA);
+    assert.equal(server.requests.length, 2);
+    assert.match(
+      server.requests[1].prompt,
+      /Your previous reply could not be used:\n- reply is not JSON/
+    );
+    assert.match(server.requests[1].prompt, /Sure! Here is the JSON: \{/);
+  });
+
+  test("falls back to the text parser for plain-text replies", async () => {
+    const text = [
+      "## Metadata",
+      "Technologies: [Dapper, SQL Server]",
+      "Programming_Languages: [C#]",
+      "Tags: [micro-orm, none]",
+      "Key_Concepts: [mapping]",
+      "Code_Examples: yes",
+      "Difficulty_Level: Advanced",
+      "Summary: Maps rows to objects.",
+      "",
+      "## Content",
+      "# Dapper",
+    ].join("\n");
+    replies = [geminiReply(text)];
+    const { improve } = setup();
+
+    assert.deepEqual(await improve(), {
+      technologies: ["Dapper", "SQL Server"],
+      programmingLanguages: ["C#"],
+      tags: ["micro-orm"],
+      keyConcepts: ["mapping"],
+      codeExamples: true,
+      difficultyLevel: "advanced",
+      summary: "Maps rows to objects.",
+      content: "# Dapper",
+    });
+    assert.equal(server.requests.length, 2);
+  });
+
+  test("fails when a JSON reply stays invalid", async () => {
+    replies = [geminiReply({ ...METADATA, tags: "micro-orm" })];
+    const { improve } = setup();
+
+    await assert.rejects(
+      improve(),
+      /Gemini returned invalid metadata: reply\.tags should be array/
+    );
+  });
+
+  test("retries while the service is overloaded", async () => {
+    replies = [
+      { status: 503, body: { error: { message: "overloaded" } } },
+      { status: 429, body: { error: { message: "rate limited" } } },
+      geminiReply(METADATA),
+    ];
+    const { improve } = setup();
+
+    assert.deepEqual(await improve(), METADATA);
+    assert.equal(server.requests.length, 3);
+  });
+
+  test("reports other HTTP errors without retrying", async () => {
+    replies = [{ status: 400, body: { error: { message: "bad key" } } }];
+    const { improve } = setup();
+
+    await assert.rejects(improve(), /Gemini API error: 400 - .*bad key/);
+    assert.equal(server.requests.length, 1);
+  });
+
+  test("retries without response_format when a server rejects it", async () => {
+    replies = [
+      {
+        status: 400,
+        body: { error: { message: "response_format json_schema unsupported" } },
+      },
+      {
+        status: 200,
+        body: {
+          choices: [
+            {
+              message: { content: JSON.stringify(METADATA) },
+              finish_reason: "stop",
+            },
+          ],
+        },
+      },
+    ];
+    const { improve } = setup({
+      llmProvider: "openai",
+      providerSettings: { openai: { baseUrl: server.baseUrl, model: "local" } },
+    });
+
+    assert.deepEqual(await improve(), METADATA);
+    const [rejected, retried] = server.requests;
+    assert.match(rejected.url, /\/chat\/completions$/);
+    assert.equal(rejected.body.response_format.type, "json_schema");
+    assert.equal("response_format" in retried.body, false);
+    assert.equal(retried.body.model, "local");
+  });
+
+  test("does not retry other 400s from OpenAI-compatible servers", async () => {
+    replies = [{ status: 400, body: { error: { message: "bad model" } } }];
+    const { improve } = setup({
+      llmProvider: "openai",
+      providerSettings: { openai: { baseUrl: server.baseUrl } },
+    });
+
+    await assert.rejects(
+      improve(),
+      /OpenAI-compatible API error: 400 - .*bad model/
+    );
+    assert.equal(server.requests.length, 1);
+  });
+
+  test("keeps the markdown verbatim in metadata mode", async () => {
+    const { content, ...metadataOnly } = METADATA;
+    replies = [geminiReply(metadataOnly)];
+    const { improve } = setup({ enrichmentMode: "metadata" });
+
+    const result = await improve();
+    assert.equal(result.content, MARKDOWN);
+    assert.notEqual(result.content, content);
+    const schema = server.requests[0].body.generationConfig.responseSchema;
+    assert.ok(!schema.required.includes("content"));
+  });
+
+  test("keeps the original when a guarded rewrite drops a heading", async () => {
+    replies = [geminiReply({ ...METADATA, content: "Improved text only." })];
+    const { improve } = setup({ enrichmentMode: "guarded" });
+
+    assert.equal((await improve()).content, MARKDOWN);
+  });
+
+  test("enriches long markdown in chunks and merges the results", async () => {
+    const sections = ["One", "Two"].map(
+      (name) => `# ${name}\n\n${"word ".repeat(3000)}`
+    );
+    replies = [
+      (request) => {
+        if (request.prompt.startsWith("The following are summaries")) {
+          return geminiReply("Combined summary.");
+        }
+        const name = request.prompt.includes("# One") ? "One" : "Two";
+        return geminiReply({
+          ...METADATA,
+          tags: [name.toLowerCase()],
+          summary: `Part ${name}.`,
+          content: `# ${name}`,
+        });
+      },
+    ];
+    const { improve } = setup();
+
+    const result = await improve(sections.join("\n"));
+    assert.equal(server.requests.length, 3);
+    assert.deepEqual(result.tags, ["one", "two"]);
+    assert.equal(result.content, "# One\n\n# Two");
+    assert.equal(result.summary, "Combined summary.");
+  });
+
+  test("uses the prompt template matching the page's domain", async () => {
+    replies = [geminiReply(METADATA)];
+    const { improve } = setup(
+      {},
+      {
+        promptTemplates: [
+          {
+            id: "template-1",
+            name: "Blog",
+            text: "Blog post {{title}} from {{url}}:\n{{markdown}}",
+            domains: ["*.example.com"],
+            categories: [],
+          },
+        ],
+      }
+    );
+
+    await improve();
+    assert.ok(
+      server.requests[0].prompt.startsWith(
+        `Blog post Dapper from https://blog.example.com/dapper:\n${MARKDOWN}`
+      )
+    );
+    assert.match(
+      server.requests[0].prompt,
+      /Respond with a single JSON object with these fields:\n- technologies:/
+    );
+  });
+
+  test("answers improveWithLlm messages from the popup", async () => {
+    replies = [geminiReply(METADATA)];
+    const { browser } = setup();
+
+    const response = await sendRuntimeMessage(browser, {
+      action: "improveWithLlm",
+      markdown: MARKDOWN,
+      images: [],
+      context: CONTEXT,
+    });
+    assert.deepEqual(plain(response), { improvedMarkdown: METADATA });
+  });
+});
+
+describe("parseMetadataText", () => {
+  const scripts = loadBackground(createFakeBrowser());
+  const parseMetadataText = scripts.get("parseMetadataText");
+
+  test("finds fields without the Metadata heading", () => {
+    const parsed = plain(
+      parseMetadataText("Technologies: React, Redux\nTags: [ui, state]\n")
+    );
+    assert.deepEqual(parsed.technologies, ["React", "Redux"]);
+    assert.deepEqual(parsed.tags, ["ui", "state"]);
+    assert.equal(parsed.difficultyLevel, "intermediate");
+  });
+
+  test("returns null when nothing is recognizable", () => {
+    assert.equal(parseMetadataText("I cannot help with that."), null);
+  });
+});
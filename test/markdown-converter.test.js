@@ -0,0 +1,115 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadDomScripts } = require("./helpers/load-scripts");
+
+const window = loadDomScripts([
+  "turndown.js",
+  "turndown-tables.js",
+  "markdown-converter.js",
+]);
+const turndownService = window.createTurndownService();
+const toMarkdown = (html) => turndownService.turndown(html);
+
+describe("enhancedCodeBlock rule", () => {
+  test("takes the language from language- and lang- classes", () => {
+    assert.equal(
+      toMarkdown(
+        '<pre><code class="language-typescript">let a = 1;</code></pre>'
+      ),
+      "```typescript\nlet a = 1;\n```"
+    );
+    assert.equal(
+      toMarkdown('<pre><code class="hljs lang-go">x := 1</code></pre>'),
+      "```go\nx := 1\n```"
+    );
+  });
+
+  test("writes a bare fence without a language class", () => {
+    assert.equal(
+      toMarkdown("<pre><code>plain</code></pre>"),
+      "```\nplain\n```"
+    );
+  });
+
+  test("keeps the code text verbatim, without Markdown escaping", () => {
+    assert.equal(
+      toMarkdown(
+        '<pre><code class="language-python">\n\nitems = [*a, **b]  # _x_\nif a &lt; b:\n    pass\n\n</code></pre>'
+      ),
+      "```python\nitems = [*a, **b]  # _x_\nif a < b:\n    pass\n```"
+    );
+  });
+
+  test("drops syntax highlighting markup", () => {
+    assert.equal(
+      toMarkdown(
+        '<pre><code class="language-js"><span class="kw">const</span> <span class="id">a</span> = <b>1</b>;</code></pre>'
+      ),
+      "```js\nconst a = 1;\n```"
+    );
+  });
+
+  test("leaves inline code and pre without code to the defaults", () => {
+    assert.equal(
+      toMarkdown("<p>Run <code>npm test</code></p>"),
+      "Run `npm test`"
+    );
+    assert.equal(toMarkdown("<pre>text</pre>"), "text");
+  });
+});
+
+describe("tables", () => {
+  test("converts simple tables to pipe tables", () => {
+    assert.equal(
+      toMarkdown(
+        "<table><tr><th>Name</th><th>Value</th></tr><tr><td>a|b</td><td>1</td></tr></table>"
+      ),
+      "| Name | Value |\n| --- | --- |\n| a\\|b | 1 |"
+    );
+  });
+
+  test("keeps tables with block content as HTML", () => {
+    const markdown = toMarkdown(
+      "<table><tr><th>Step</th></tr><tr><td><ul><li>one</li></ul></td></tr></table>"
+    );
+    assert.match(markdown, /^<table>/);
+    assert.match(markdown, /<li>one<\/li>/);
+  });
+
+  test("keeps tables without body rows", () => {
+    assert.equal(
+      toMarkdown(
+        "<table><thead><tr><th>Name</th><th>Value</th></tr></thead><tbody></tbody></table>"
+      ),
+      "| Name | Value |\n| --- | --- |"
+    );
+    assert.equal(
+      toMarkdown("<table><thead><tr><th>Name</th></tr></thead></table>"),
+      "| Name |\n| --- |"
+    );
+    assert.equal(
+      toMarkdown("<table><caption>No results</caption></table>"),
+      "No results"
+    );
+  });
+
+  test("unwraps single-cell layout tables", () => {
+    assert.equal(
+      toMarkdown("<table><tr><td>Just <b>text</b></td></tr></table>"),
+      "Just **text**"
+    );
+  });
+
+  test("uses the cells as converted in the document", () => {
+    // Converting each cell on its own would list the link references
+    // inside the cell instead of at the end of the document
+    const service = new window.TurndownService({ linkStyle: "referenced" });
+    service.use(window.turndownTablesPlugin);
+    assert.equal(
+      service.turndown(
+        '<table><tr><th>Site</th></tr><tr><td><a href="https://example.com/">Example</a></td></tr></table>'
+      ),
+      "| Site |\n| --- |\n| [Example][1] |\n\n[1]: https://example.com/"
+    );
+  });
+});
@@ -0,0 +1,147 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, plain } = require("./helpers/load-scripts");
+
+const scripts = loadScripts(["metadata-schema.js", "markdown-chunks.js"]);
+const parseMetadataReply = scripts.get("parseMetadataReply");
+const mergeChunkMetadata = scripts.get("mergeChunkMetadata");
+const METADATA_ONLY_SCHEMA = scripts.get("METADATA_ONLY_SCHEMA");
+const splitMarkdownIntoChunks = scripts.get("splitMarkdownIntoChunks");
+const findMissingStructure = scripts.get("findMissingStructure");
+
+const VALID_REPLY = {
+  technologies: [" Dapper ", "none", "SQL Server"],
+  programmingLanguages: ["C#"],
+  tags: ["micro-orm"],
+  keyConcepts: ["mapping"],
+  codeExamples: true,
+  difficultyLevel: "beginner",
+  summary: " A summary. ",
+  content: "\n# Body\n",
+};
+
+describe("parseMetadataReply", () => {
+  test("cleans a valid reply", () => {
+    const { metadata, errors } = parseMetadataReply(
+      JSON.stringify(VALID_REPLY)
+    );
+    assert.deepEqual(plain(errors), []);
+    assert.deepEqual(plain(metadata), {
+      technologies: ["Dapper", "SQL Server"],
+      programmingLanguages: ["C#"],
+      tags: ["micro-orm"],
+      keyConcepts: ["mapping"],
+      codeExamples: true,
+      difficultyLevel: "beginner",
+      summary: "A summary.",
+      content: "# Body",
+    });
+  });
+
+  test("accepts JSON wrapped in a code fence", () => {
+    const reply = "```json\n" + JSON.stringify(VALID_REPLY) + "\n```";
+    assert.ok(parseMetadataReply(reply).metadata);
+  });
+
+  test("reports text that isn't JSON", () => {
+    const { metadata, errors } = parseMetadataReply("## Metadata\n...");
+    assert.equal(metadata, null);
+    assert.match(errors[0], /^reply is not JSON/);
+  });
+
+  test("reports every schema violation", () => {
+    const { metadata, errors } = parseMetadataReply(
+      JSON.stringify({
+        ...VALID_REPLY,
+        tags: "micro-orm",
+        difficultyLevel: "expert",
+        summary: undefined,
+      })
+    );
+    assert.equal(metadata, null);
+    assert.deepEqual(plain(errors), [
+      "reply.summary is missing",
+      "reply.tags should be array, got string",
+      "reply.difficultyLevel should be one of beginner, intermediate, advanced",
+    ]);
+  });
+
+  test("doesn't require content in metadata-only replies", () => {
+    const { content, ...metadataOnly } = VALID_REPLY;
+    const { metadata } = parseMetadataReply(
+      JSON.stringify(metadataOnly),
+      METADATA_ONLY_SCHEMA
+    );
+    assert.equal(metadata.content, "");
+  });
+});
+
+describe("mergeChunkMetadata", () => {
+  test("de-duplicates lists and keeps the highest difficulty", () => {
+    const merged = plain(
+      mergeChunkMetadata([
+        {
+          ...VALID_REPLY,
+          technologies: ["Dapper"],
+          codeExamples: false,
+          summary: "One.",
+          content: "Part 1",
+        },
+        {
+          ...VALID_REPLY,
+          technologies: ["dapper", "Redis"],
+          difficultyLevel: "advanced",
+          summary: "Two.",
+          content: "Part 2",
+        },
+      ])
+    );
+    assert.deepEqual(merged.technologies, ["Dapper", "Redis"]);
+    assert.equal(merged.codeExamples, true);
+    assert.equal(merged.difficultyLevel, "advanced");
+    assert.equal(merged.summary, "One. Two.");
+    assert.equal(merged.content, "Part 1\n\nPart 2");
+  });
+});
+
+describe("splitMarkdownIntoChunks", () => {
+  test("keeps short markdown whole", () => {
+    assert.deepEqual(plain(splitMarkdownIntoChunks("# A\n\ntext", 100)), [
+      "# A\n\ntext",
+    ]);
+  });
+
+  test("splits at headings and never inside code blocks", () => {
+    const markdown = [
+      "# One",
+      "a".repeat(30),
+      "```",
+      "# not a heading",
+      "```",
+      "# Two",
+      "b".repeat(30),
+    ].join("\n");
+    const chunks = plain(splitMarkdownIntoChunks(markdown, 60));
+    assert.equal(chunks.length, 2);
+    assert.ok(chunks[0].endsWith("# not a heading\n```"));
+    assert.ok(chunks[1].startsWith("# Two"));
+    assert.equal(chunks.join("\n"), markdown);
+  });
+});
+
+describe("findMissingStructure", () => {
+  test("reports lost headings and changed code", () => {
+    const original = "# Intro\n\n```js\nconst a = 1;\n```\n\n## Usage";
+    const rewritten = "# Intro\n\n```js\nconst a = 2;\n```";
+    assert.deepEqual(plain(findMissingStructure(original, rewritten)), [
+      'heading "usage" is missing',
+      'code block "const a = 1;..." is missing or changed',
+    ]);
+  });
+
+  test("ignores re-wrapping and emphasis", () => {
+    const original = "# The *Intro*\n\n```\na  b\n```";
+    const rewritten = "# The Intro\n\n```\na b\n```";
+    assert.deepEqual(plain(findMissingStructure(original, rewritten)), []);
+  });
+});
@@ -0,0 +1,250 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const {
+  loadScripts,
+  loadBackground,
+  plain,
+} = require("./helpers/load-scripts");
+const {
+  createFakeBrowser,
+  sendRuntimeMessage,
+} = require("./helpers/fake-browser");
+
+const scripts = loadScripts(["obsidian-export.js"]);
+const normalizeObsidianSettings = scripts.get("normalizeObsidianSettings");
+const formatObsidianTag = scripts.get("formatObsidianTag");
+const formatObsidianMetadata = scripts.get("formatObsidianMetadata");
+const getObsidianNotePath = scripts.get("getObsidianNotePath");
+const buildObsidianUri = scripts.get("buildObsidianUri");
+
+const PAGE_CONTENT = {
+  title: "Postgres Index Tuning",
+  html: "<p>Body</p>",
+  publicationDate: "2024-03-05T12:00:00.000Z",
+  images: [],
+};
+const PAGE_URL = "https://db.example.com/index-tuning";
+const FILENAME = "2024-03-05_database_postgres_index_tuning.md";
+
+describe("Obsidian settings", () => {
+  test("default to a disabled download profile", () => {
+    assert.deepEqual(plain(normalizeObsidianSettings(undefined)), {
+      enabled: false,
+      delivery: "download",
+      vault: "",
+      vaultFolder: "",
+      noteFolder: "Clippings/{category}",
+      attachmentsFolder: "attachments",
+      wikilinks: true,
+    });
+  });
+
+  test("clean folder paths and fall back for unknown values", () => {
+    const settings = normalizeObsidianSettings({
+      enabled: true,
+      delivery: "email",
+      vaultFolder: "/Obsidian\\\\Notes/",
+      noteFolder: "../Web: Clips/./{category}",
+      attachmentsFolder: " / ",
+    });
+    assert.equal(settings.delivery, "download");
+    assert.equal(settings.vaultFolder, "Obsidian/Notes");
+    assert.equal(settings.noteFolder, "Web Clips/{category}");
+    assert.equal(settings.attachmentsFolder, "attachments");
+  });
+
+  test("build the note path from the category", () => {
+    const settings = normalizeObsidianSettings({});
+    assert.equal(
+      getObsidianNotePath(settings, "database", FILENAME),
+      `Clippings/database/${FILENAME}`
+    );
+    assert.equal(
+      getObsidianNotePath(
+        { ...settings, noteFolder: "" },
+        "database",
+        FILENAME
+      ),
+      FILENAME
+    );
+  });
+});
+
+describe("formatObsidianTag", () => {
+  test("makes tags Obsidian accepts", () => {
+    assert.equal(formatObsidianTag("#machine learning"), "machine-learning");
+    assert.equal(formatObsidianTag("C# / .NET"), "C/NET");
+    assert.equal(formatObsidianTag("lang/python"), "lang/python");
+    assert.equal(formatObsidianTag("naïve-bayes"), "naïve-bayes");
+    assert.equal(formatObsidianTag("  -- api -- "), "api");
+  });
+
+  test("drops tags with nothing usable or only digits", () => {
+    assert.equal(formatObsidianTag("2024"), "");
+    assert.equal(formatObsidianTag("!!!"), "");
+  });
+});
+
+describe("formatObsidianMetadata", () => {
+  const geminiData = {
+    technologies: ["Dapper", "SQL Server", "Dapper"],
+    keyConcepts: ["object|mapping"],
+    tags: ["micro orm", "#micro-orm", "2024"],
+    summary: "A summary.",
+  };
+
+  test("formats tags and links technologies and concepts", () => {
+    const formatted = plain(
+      formatObsidianMetadata(geminiData, { wikilinks: true })
+    );
+    assert.deepEqual(formatted.tags, ["micro-orm"]);
+    assert.deepEqual(formatted.technologies, ["[[Dapper]]", "[[SQL Server]]"]);
+    assert.deepEqual(formatted.keyConcepts, ["[[objectmapping]]"]);
+    assert.equal(formatted.summary, "A summary.");
+  });
+
+  test("leaves names alone without wikilinks", () => {
+    const formatted = plain(
+      formatObsidianMetadata(geminiData, { wikilinks: false })
+    );
+    assert.deepEqual(formatted.technologies, geminiData.technologies);
+  });
+
+  test("passes captures without AI metadata through", () => {
+    assert.equal(formatObsidianMetadata(null, { wikilinks: true }), null);
+  });
+});
+
+describe("buildObsidianUri", () => {
+  test("encodes the vault, note path and content", () => {
+    assert.equal(
+      buildObsidianUri(
+        { vault: "My Notes" },
+        "Clippings/database/note.md",
+        "# A & B"
+      ),
+      "obsidian://new?vault=My%20Notes&file=Clippings%2Fdatabase%2Fnote&content=%23%20A%20%26%20B"
+    );
+  });
+
+  test("leaves the vault out when none is set", () => {
+    assert.equal(
+      buildObsidianUri({ vault: "" }, "note.md", "x"),
+      "obsidian://new?file=note&content=x"
+    );
+  });
+});
+
+describe("Obsidian delivery", () => {
+  let imageServer;
+  let imageUrl;
+
+  before(async () => {
+    imageServer = http.createServer((req, res) => {
+      res.writeHead(200, { "Content-Type": "image/png" });
+      res.end(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    });
+    await new Promise((resolve) => imageServer.listen(0, "127.0.0.1", resolve));
+    imageUrl = `http://127.0.0.1:${imageServer.address().port}/img/chart.png`;
+  });
+
+  after(
+    () =>
+      new Promise((resolve) => {
+        imageServer.closeAllConnections();
+        imageServer.close(resolve);
+      })
+  );
+
+  function captureWith(obsidian, markdown) {
+    const browser = createFakeBrowser({
+      sync: {
+        frontMatter: { format: "toml" },
+        obsidian: { enabled: true, ...obsidian },
+      },
+    });
+    loadBackground(browser);
+    const response = sendRuntimeMessage(browser, {
+      action: "processCapture",
+      pageContent: PAGE_CONTENT,
+      markdown,
+      url: PAGE_URL,
+    });
+    return { browser, response };
+  }
+
+  test("downloads the note and its images into the vault", async () => {
+    const { browser, response } = captureWith(
+      { vaultFolder: "Obsidian/Notes", attachmentsFolder: "Files/Web images" },
+      `Chart:\n\n![chart](${imageUrl})`
+    );
+    assert.deepEqual(plain(await response), {
+      success: true,
+      failedImages: [],
+    });
+
+    const [image, note] = browser.downloads.files;
+    assert.match(
+      image.filename,
+      /^Obsidian\/Notes\/Files\/Web images\/chart-[0-9a-f]{8}\.png$/
+    );
+    assert.equal(image.saveAs, false);
+    assert.equal(
+      note.filename,
+      `Obsidian/Notes/Clippings/database/${FILENAME}`
+    );
+    assert.equal(note.saveAs, false);
+
+    // Plain YAML whatever the front matter setting
+    assert.match(note.text, /^---\ntitle: Postgres Index Tuning\n/);
+    const imageName = image.filename.split("/").pop();
+    assert.ok(
+      note.text.endsWith(`![chart](Files/Web%20images/${imageName})`),
+      note.text
+    );
+    assert.equal(browser.storage.local.data.extractedUrls[0].url, PAGE_URL);
+  });
+
+  test("opens an obsidian://new URI instead of downloading", async () => {
+    const { browser, response } = captureWith(
+      { delivery: "uri", vault: "Notes" },
+      "Body"
+    );
+    assert.equal((await response).success, true);
+
+    assert.equal(browser.downloads.files.length, 0);
+    const [{ url }] = browser.tabs.updates;
+    const uri = new URL(url);
+    assert.equal(uri.protocol, "obsidian:");
+    assert.equal(uri.searchParams.get("vault"), "Notes");
+    assert.equal(
+      uri.searchParams.get("file"),
+      "Clippings/database/2024-03-05_database_postgres_index_tuning"
+    );
+    assert.match(uri.searchParams.get("content"), /^---\n[\s\S]*\nBody$/);
+  });
+
+  test("downloads unattended captures instead of opening the URI", async () => {
+    const browser = createFakeBrowser({
+      sync: {
+        obsidian: { enabled: true, delivery: "uri", vaultFolder: "Vault" },
+      },
+    });
+    const scripts = loadBackground(browser);
+    await scripts.get("saveCaptureDocument")({
+      filename: FILENAME,
+      document: "Body",
+      category: "database",
+      url: PAGE_URL,
+      saveAs: false,
+      unattended: true,
+    });
+
+    assert.equal(browser.tabs.updates.length, 0);
+    assert.equal(
+      browser.downloads.files[0].filename,
+      `Vault/Clippings/database/${FILENAME}`
+    );
+  });
+});
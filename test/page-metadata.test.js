@@ -0,0 +1,79 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./helpers/load-scripts");
+
+const scripts = loadScripts(["page-metadata.js"]);
+const detectCategory = scripts.get("detectCategory");
+const generateFilename = scripts.get("generateFilename");
+
+describe("detectCategory", () => {
+  test("matches keywords in the title", () => {
+    assert.equal(detectCategory("Microservice Patterns", ""), "architecture");
+    assert.equal(detectCategory("Writing Unit Tests", ""), "testing");
+    assert.equal(detectCategory("OAuth Flows Explained", ""), "security");
+    assert.equal(detectCategory("Postgres Indexes", ""), "database");
+    assert.equal(detectCategory("Kubernetes Operators", ""), "devops");
+  });
+
+  test("matches keywords in the URL", () => {
+    assert.equal(
+      detectCategory("Notes", "https://example.com/docker/compose"),
+      "devops"
+    );
+  });
+
+  test("is case-insensitive", () => {
+    assert.equal(
+      detectCategory("POSTGRES TIPS", "HTTPS://EXAMPLE.COM"),
+      "database"
+    );
+  });
+
+  test("checks categories in their declared order", () => {
+    // "test" (testing) comes before "security"
+    assert.equal(detectCategory("Security test checklist", ""), "testing");
+  });
+
+  test("falls back to general", () => {
+    assert.equal(
+      detectCategory("Weekend recipes", "https://example.com/"),
+      "general"
+    );
+  });
+});
+
+describe("generateFilename", () => {
+  test("uses the publication date, category and a safe title", () => {
+    const filename = generateFilename(
+      {
+        title: "Postgres: Indexes & Vacuum!",
+        publicationDate: "2024-03-05T12:00:00Z",
+      },
+      "https://example.com/"
+    );
+    assert.equal(
+      filename,
+      "2024-03-05_database_postgres__indexes___vacuum_.md"
+    );
+  });
+
+  test("falls back to today when the publication date is invalid", () => {
+    const filename = generateFilename(
+      { title: "Notes", publicationDate: "not a date" },
+      "https://example.com/"
+    );
+    const today = new Date();
+    const expected = `${today.getFullYear()}-${String(
+      today.getMonth() + 1
+    ).padStart(2, "0")}-${String(today.getDate()).padStart(2, "0")}`;
+    assert.equal(filename, `${expected}_general_notes.md`);
+  });
+
+  test("names untitled pages document", () => {
+    const filename = generateFilename(
+      { title: "", publicationDate: "2024-01-02T12:00:00Z" },
+      "https://example.com/"
+    );
+    assert.equal(filename, "2024-01-02_general_document.md");
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, plain } = require("./helpers/load-scripts");
+
+const scripts = loadScripts(["text-diff.js"]);
+const diffLines = scripts.get("diffLines");
+const summarizeDiff = scripts.get("summarizeDiff");
+const collapseDiff = scripts.get("collapseDiff");
+
+// Diff lines as "+ added", "- removed" or "  same"
+function render(diff) {
+  const prefix = { added: "+ ", removed: "- ", same: "  " };
+  return plain(diff).map((item) => prefix[item.type] + item.line);
+}
+
+describe("diffLines", () => {
+  test("marks every line of identical texts as unchanged", () => {
+    assert.deepEqual(render(diffLines("a\nb", "a\nb")), ["  a", "  b"]);
+  });
+
+  test("finds added, removed and changed lines", () => {
+    const diff = diffLines(
+      "# Title\nIntro\nOld step\nOutro",
+      "# Title\nIntro\nNew step\nExtra\nOutro"
+    );
+    assert.deepEqual(render(diff), [
+      "  # Title",
+      "  Intro",
+      "- Old step",
+      "+ New step",
+      "+ Extra",
+      "  Outro",
+    ]);
+    assert.deepEqual(plain(summarizeDiff(diff)), { added: 2, removed: 1 });
+  });
+
+  test("keeps lines common to both in the middle of the changes", () => {
+    assert.deepEqual(render(diffLines("a\nx\nb\ny", "b\nx\nb\nz")), [
+      "- a",
+      "+ b",
+      "  x",
+      "  b",
+      "- y",
+      "+ z",
+    ]);
+  });
+
+  test("handles empty texts", () => {
+    assert.deepEqual(render(diffLines("", "New")), ["- ", "+ New"]);
+    assert.deepEqual(render(diffLines(undefined, "")), ["  "]);
+  });
+});
+
+describe("collapseDiff", () => {
+  test("keeps changes with their context and counts skipped lines", () => {
+    const oldText = ["1", "2", "3", "4", "5", "6", "7", "8"].join("\n");
+    const newText = ["1", "2", "3", "4", "5", "6", "7", "eight"].join("\n");
+    assert.deepEqual(plain(collapseDiff(diffLines(oldText, newText), 2)), [
+      { type: "skipped", count: 5 },
+      { type: "same", line: "6" },
+      { type: "same", line: "7" },
+      { type: "removed", line: "8" },
+      { type: "added", line: "eight" },
+    ]);
+  });
+
+  test("skips everything when nothing changed", () => {
+    assert.deepEqual(plain(collapseDiff(diffLines("a\nb\nc", "a\nb\nc"))), [
+      { type: "skipped", count: 3 },
+    ]);
+  });
+});
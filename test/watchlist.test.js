@@ -0,0 +1,237 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { loadBackground, plain } = require("./helpers/load-scripts");
+const {
+  createFakeBrowser,
+  sendRuntimeMessage,
+} = require("./helpers/fake-browser");
+
+const WATCHED_URL = "https://docs.example.com/changelog";
+
+function setup({ sync = {}, local = {} } = {}, options) {
+  const browser = createFakeBrowser({ sync, local });
+  return { browser, scripts: loadBackground(browser, options) };
+}
+
+// Lets work started by a storage change or an alarm finish
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !(await condition()); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.ok(await condition(), "timed out");
+}
+
+describe("Watchlist storage", () => {
+  test("adds each URL once, with defaults", async () => {
+    const { scripts } = setup();
+    await scripts.get("addWatchedUrl")(WATCHED_URL);
+    const watchlist = await scripts.get("addWatchedUrl")(WATCHED_URL, true);
+
+    assert.equal(watchlist.length, 1);
+    assert.equal(watchlist[0].url, WATCHED_URL);
+    assert.equal(watchlist[0].autoDownload, false);
+    assert.match(watchlist[0].addedAt, /^\d{4}-\d{2}-\d{2}T/);
+    assert.equal(watchlist[0].contentHash, "");
+  });
+
+  test("only watches http(s) pages", async () => {
+    const { scripts } = setup();
+    await assert.rejects(
+      scripts.get("addWatchedUrl")("file:///notes.html"),
+      /Only http\(s\) pages/
+    );
+  });
+
+  test("updates and removes entries", async () => {
+    const { browser, scripts } = setup({
+      local: { watchlist: [{ url: WATCHED_URL }, { url: "https://a.test/" }] },
+    });
+    await scripts.get("updateWatchedUrl")(WATCHED_URL, { autoDownload: true });
+    await scripts.get("updateWatchedUrl")("https://gone.test/", {
+      autoDownload: true,
+    });
+    await scripts.get("removeWatchedUrl")("https://a.test/");
+
+    const { watchlist } = browser.storage.local.data;
+    assert.deepEqual(
+      watchlist.map((entry) => [entry.url, entry.autoDownload]),
+      [[WATCHED_URL, true]]
+    );
+  });
+
+  test("falls back to the default interval", async () => {
+    const { scripts } = setup({ sync: { watchIntervalHours: 5 } });
+    assert.equal(await scripts.get("getWatchIntervalHours")(), 6);
+  });
+});
+
+describe("Watchlist alarm", () => {
+  test("follows the watchlist and the interval", async () => {
+    const { browser } = setup({ local: { watchlist: [{ url: WATCHED_URL }] } });
+    const alarm = () => browser.alarms.scheduled.get("watchlist");
+
+    await waitFor(() => alarm()?.periodInMinutes === 360);
+    assert.equal(alarm().delayInMinutes, 360);
+
+    await browser.storage.sync.set({ watchIntervalHours: 12 });
+    await waitFor(() => alarm()?.periodInMinutes === 720);
+
+    await browser.storage.local.set({ watchlist: [] });
+    await waitFor(() => !alarm());
+  });
+
+  test("leaves an alarm with the right period alone", async () => {
+    const browser = createFakeBrowser({
+      local: { watchlist: [{ url: WATCHED_URL }] },
+    });
+    const existing = { name: "watchlist", periodInMinutes: 360 };
+    browser.alarms.scheduled.set("watchlist", existing);
+    loadBackground(browser);
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(browser.alarms.scheduled.get("watchlist"), existing);
+  });
+});
+
+describe("Watchlist checks", () => {
+  let server;
+  let baseUrl;
+  let changelog = "First release.";
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url !== "/changelog") {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(
+        `<html><head><title>Changelog</title></head><body><article>` +
+          `<h1>Changelog</h1><p>${changelog} These notes list every ` +
+          `change made to the product since the first release. See the ` +
+          `<a href="/docs/upgrading">upgrade guide</a>.</p>` +
+          `</article></body></html>`
+      );
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(
+    () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      })
+  );
+
+  function setupWatching(entries) {
+    return setup({ local: { watchlist: entries } }, { dom: true });
+  }
+
+  function watchedEntry(browser, url) {
+    const { watchlist } = browser.storage.local.data;
+    return watchlist.find((entry) => entry.url === url);
+  }
+
+  test("records a baseline, then notifies only on change", async () => {
+    changelog = "First release.";
+    const url = `${baseUrl}/changelog`;
+    const { browser } = setupWatching([{ url }]);
+
+    const first = await sendRuntimeMessage(browser, {
+      action: "checkWatchlist",
+    });
+    assert.deepEqual(plain(first), { success: true, changed: [], failed: [] });
+    const baseline = watchedEntry(browser, url);
+    assert.match(baseline.contentHash, /^[0-9a-f]{64}$/);
+    assert.equal(baseline.lastChanged, "");
+    assert.ok(baseline.lastChecked);
+
+    await sendRuntimeMessage(browser, { action: "checkWatchlist" });
+    assert.equal(browser.notifications.created.length, 0);
+
+    changelog = "Second release.";
+    const changed = await sendRuntimeMessage(browser, {
+      action: "checkWatchlist",
+    });
+    assert.deepEqual(plain(changed.changed), [url]);
+
+    const [notification] = browser.notifications.created;
+    assert.equal(notification.title, "Watched Page Changed");
+    assert.match(notification.message, /"Changelog" has changed/);
+    const entry = watchedEntry(browser, url);
+    assert.notEqual(entry.contentHash, baseline.contentHash);
+    assert.equal(entry.lastChanged, entry.lastChecked);
+    assert.equal(browser.downloads.files.length, 0);
+  });
+
+  test("records the baseline when a page is added", async () => {
+    changelog = "Hotfix release.";
+    const url = `${baseUrl}/changelog`;
+    const { browser, scripts } = setupWatching([{ url }]);
+    // A live-tab capture keeps the relative link, so its hash differs
+    await scripts.get("addLibraryEntry")({
+      url,
+      title: "Changelog",
+      contentHash: "hash-of-the-live-tab-capture",
+      capturedAt: "2024-03-05T12:00:00.000Z",
+    });
+
+    const recorded = await sendRuntimeMessage(browser, {
+      action: "recordWatchBaseline",
+      url,
+    });
+    assert.deepEqual(plain(recorded), { success: true });
+    const baseline = watchedEntry(browser, url);
+    assert.match(baseline.contentHash, /^[0-9a-f]{64}$/);
+    assert.equal(baseline.lastChanged, "");
+
+    const result = await sendRuntimeMessage(browser, {
+      action: "checkWatchlist",
+    });
+    assert.deepEqual(plain(result.changed), []);
+    assert.equal(browser.notifications.created.length, 0);
+    assert.equal(watchedEntry(browser, url).contentHash, baseline.contentHash);
+  });
+
+  test("saves a new version of changed pages with autoDownload", async () => {
+    changelog = "Third release.";
+    const url = `${baseUrl}/changelog`;
+    const { browser, scripts } = setupWatching([
+      { url, autoDownload: true, contentHash: "outdated" },
+    ]);
+
+    // The alarm runs the same check
+    browser.alarms.onAlarm.listeners.forEach((listener) =>
+      listener({ name: "watchlist" })
+    );
+    await waitFor(() => browser.notifications.created.length > 0);
+
+    const [file] = browser.downloads.files;
+    assert.equal(file.saveAs, false);
+    assert.match(file.text, /Third release\./);
+    assert.match(browser.notifications.created[0].message, /Saved as .+\.md/);
+
+    const [saved] = await scripts.get("getLibraryEntries")();
+    assert.equal(saved.url, url);
+    assert.equal(saved.document, file.text);
+  });
+
+  test("records why a check failed", async () => {
+    const url = `${baseUrl}/missing`;
+    const { browser } = setupWatching([{ url }]);
+
+    const result = await sendRuntimeMessage(browser, {
+      action: "checkWatchlist",
+    });
+    assert.deepEqual(plain(result.failed), [url]);
+
+    const entry = watchedEntry(browser, url);
+    assert.match(entry.lastError, /Could not fetch .+ \(404\)/);
+    assert.ok(entry.lastChecked);
+    assert.equal(browser.notifications.created.length, 0);
+  });
+});